@@ -0,0 +1,25 @@
+-- CreateEnum
+CREATE TYPE "OfficeRole" AS ENUM ('viewer', 'editor', 'admin');
+
+-- CreateTable
+CREATE TABLE "OfficeMembership" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "officeId" INTEGER NOT NULL,
+    "role" "OfficeRole" NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OfficeMembership_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OfficeMembership_officeId_idx" ON "OfficeMembership"("officeId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OfficeMembership_userId_officeId_key" ON "OfficeMembership"("userId", "officeId");
+
+-- AddForeignKey
+ALTER TABLE "OfficeMembership" ADD CONSTRAINT "OfficeMembership_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OfficeMembership" ADD CONSTRAINT "OfficeMembership_officeId_fkey" FOREIGN KEY ("officeId") REFERENCES "Office"("id") ON DELETE CASCADE ON UPDATE CASCADE;
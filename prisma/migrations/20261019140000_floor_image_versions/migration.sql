@@ -0,0 +1,46 @@
+-- CreateEnum
+CREATE TYPE "FloorImageKind" AS ENUM ('plan', 'firesafe');
+
+-- CreateTable
+CREATE TABLE "FloorImage" (
+    "id" SERIAL NOT NULL,
+    "floorId" INTEGER NOT NULL,
+    "kind" "FloorImageKind" NOT NULL,
+    "url" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "width" INTEGER,
+    "height" INTEGER,
+    "size" INTEGER,
+    "uploadedById" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "FloorImage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "FloorImage_floorId_kind_idx" ON "FloorImage"("floorId", "kind");
+
+-- AddForeignKey
+ALTER TABLE "FloorImage" ADD CONSTRAINT "FloorImage_floorId_fkey" FOREIGN KEY ("floorId") REFERENCES "Floor"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FloorImage" ADD CONSTRAINT "FloorImage_uploadedById_fkey" FOREIGN KEY ("uploadedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Текущие изображения становятся первыми версиями
+INSERT INTO "FloorImage" ("floorId", "kind", "url", "mimeType")
+SELECT "id", 'plan', "planImageUrl",
+       CASE
+         WHEN lower("planImageUrl") LIKE '%.webp' THEN 'image/webp'
+         WHEN lower("planImageUrl") ~ '\.jpe?g$' THEN 'image/jpeg'
+         ELSE 'image/png'
+       END
+FROM "Floor" WHERE "planImageUrl" IS NOT NULL;
+
+INSERT INTO "FloorImage" ("floorId", "kind", "url", "mimeType")
+SELECT "id", 'firesafe', "firesafeImageUrl",
+       CASE
+         WHEN lower("firesafeImageUrl") LIKE '%.webp' THEN 'image/webp'
+         WHEN lower("firesafeImageUrl") ~ '\.jpe?g$' THEN 'image/jpeg'
+         ELSE 'image/png'
+       END
+FROM "Floor" WHERE "firesafeImageUrl" IS NOT NULL;
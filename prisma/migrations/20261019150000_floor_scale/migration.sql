@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Floor" ADD COLUMN     "metersPerPixel" DOUBLE PRECISION,
+ADD COLUMN     "scaleCalibration" JSONB;
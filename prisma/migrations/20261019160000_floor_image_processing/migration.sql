@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "FloorImage" ADD COLUMN     "thumbnailUrl" TEXT,
+ADD COLUMN     "tilesUrl" TEXT,
+ADD COLUMN     "tileSize" INTEGER,
+ADD COLUMN     "maxZoom" INTEGER;
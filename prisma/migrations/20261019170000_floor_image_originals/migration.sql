@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "FloorImage" ADD COLUMN     "originalUrl" TEXT,
+ADD COLUMN     "originalMimeType" TEXT;
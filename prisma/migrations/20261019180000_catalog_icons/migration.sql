@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "InventoryCatalog" ADD COLUMN     "iconUrl" TEXT;
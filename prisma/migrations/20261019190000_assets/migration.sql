@@ -0,0 +1,95 @@
+-- CreateEnum
+CREATE TYPE "AssetCondition" AS ENUM ('ok', 'broken', 'in_repair', 'written_off');
+
+-- CreateTable
+CREATE TABLE "Asset" (
+    "id" SERIAL NOT NULL,
+    "floorInventoryId" INTEGER NOT NULL,
+    "serialNumber" TEXT,
+    "inventoryNumber" TEXT,
+    "condition" "AssetCondition" NOT NULL DEFAULT 'ok',
+    "purchaseDate" TIMESTAMP(3),
+    "notes" TEXT NOT NULL DEFAULT '',
+    "zoneObjectId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Asset_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Asset_serialNumber_key" ON "Asset"("serialNumber");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Asset_inventoryNumber_key" ON "Asset"("inventoryNumber");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Asset_zoneObjectId_key" ON "Asset"("zoneObjectId");
+
+-- CreateIndex
+CREATE INDEX "Asset_floorInventoryId_condition_idx" ON "Asset"("floorInventoryId", "condition");
+
+-- AddForeignKey
+ALTER TABLE "Asset" ADD CONSTRAINT "Asset_floorInventoryId_fkey" FOREIGN KEY ("floorInventoryId") REFERENCES "FloorInventory"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Asset" ADD CONSTRAINT "Asset_zoneObjectId_fkey" FOREIGN KEY ("zoneObjectId") REFERENCES "ZoneObject"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Каждая единица прежнего count становится безымянным исправным активом
+INSERT INTO "Asset" ("floorInventoryId", "updatedAt")
+SELECT fi."id", CURRENT_TIMESTAMP
+FROM "FloorInventory" fi, generate_series(1, fi."count");
+
+-- printer_disabled -> актив "printer" в состоянии broken.
+-- Где на этаже ещё нет строки printer, просто меняем тип строки.
+UPDATE "Asset" a SET "condition" = 'broken'
+FROM "FloorInventory" fi
+WHERE a."floorInventoryId" = fi."id" AND fi."catalogId" = 'printer_disabled';
+
+UPDATE "FloorInventory" fi SET "catalogId" = 'printer'
+WHERE fi."catalogId" = 'printer_disabled'
+  AND EXISTS (SELECT 1 FROM "InventoryCatalog" WHERE "id" = 'printer')
+  AND NOT EXISTS (
+    SELECT 1 FROM "FloorInventory" p
+    WHERE p."floorId" = fi."floorId" AND p."catalogId" = 'printer'
+  );
+
+-- Где обе строки есть — переносим активы, распределения по зонам и объекты в printer
+CREATE TEMP TABLE "_printer_merge" AS
+SELECT d."id" AS "fromId", p."id" AS "toId", d."count" AS "count"
+FROM "FloorInventory" d
+JOIN "FloorInventory" p ON p."floorId" = d."floorId" AND p."catalogId" = 'printer'
+WHERE d."catalogId" = 'printer_disabled';
+
+UPDATE "Asset" a SET "floorInventoryId" = m."toId"
+FROM "_printer_merge" m WHERE a."floorInventoryId" = m."fromId";
+
+UPDATE "FloorInventory" p SET "count" = p."count" + m."count"
+FROM "_printer_merge" m WHERE p."id" = m."toId";
+
+-- распределение в зоне, где уже есть printer: складываем и переносим объекты
+UPDATE "ZoneInventory" t SET "quantity" = t."quantity" + s."quantity"
+FROM "ZoneInventory" s JOIN "_printer_merge" m ON s."floorInventoryId" = m."fromId"
+WHERE t."floorInventoryId" = m."toId" AND t."zoneId" = s."zoneId";
+
+UPDATE "ZoneObject" o SET "zoneInventoryId" = t."id"
+FROM "ZoneInventory" s
+JOIN "_printer_merge" m ON s."floorInventoryId" = m."fromId"
+JOIN "ZoneInventory" t ON t."floorInventoryId" = m."toId" AND t."zoneId" = s."zoneId"
+WHERE o."zoneInventoryId" = s."id";
+
+DELETE FROM "ZoneInventory" s
+USING "_printer_merge" m, "ZoneInventory" t
+WHERE s."floorInventoryId" = m."fromId"
+  AND t."floorInventoryId" = m."toId" AND t."zoneId" = s."zoneId";
+
+UPDATE "ZoneInventory" s SET "floorInventoryId" = m."toId"
+FROM "_printer_merge" m WHERE s."floorInventoryId" = m."fromId";
+
+DELETE FROM "FloorInventory" d USING "_printer_merge" m WHERE d."id" = m."fromId";
+
+DROP TABLE "_printer_merge";
+
+DELETE FROM "InventoryCatalog" c
+WHERE c."id" = 'printer_disabled'
+  AND NOT EXISTS (SELECT 1 FROM "FloorInventory" fi WHERE fi."catalogId" = c."id");
@@ -0,0 +1,39 @@
+-- CreateEnum
+CREATE TYPE "InventoryMovementType" AS ENUM ('receipt', 'write_off', 'transfer', 'correction');
+
+-- CreateTable
+CREATE TABLE "InventoryMovement" (
+    "id" SERIAL NOT NULL,
+    "floorId" INTEGER NOT NULL,
+    "catalogId" TEXT NOT NULL,
+    "type" "InventoryMovementType" NOT NULL,
+    "delta" INTEGER NOT NULL,
+    "reason" TEXT NOT NULL DEFAULT '',
+    "actor" TEXT,
+    "transferId" TEXT,
+    "counterpartFloorId" INTEGER,
+    "assetIds" INTEGER[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "InventoryMovement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "InventoryMovement_floorId_catalogId_createdAt_idx" ON "InventoryMovement"("floorId", "catalogId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "InventoryMovement_catalogId_createdAt_idx" ON "InventoryMovement"("catalogId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "InventoryMovement_transferId_idx" ON "InventoryMovement"("transferId");
+
+-- Текущие остатки становятся начальным приходом
+INSERT INTO "InventoryMovement" ("floorId", "catalogId", "type", "delta", "reason", "assetIds")
+SELECT fi."floorId", fi."catalogId", 'receipt', fi."count", 'initial balance',
+       COALESCE(
+         (SELECT array_agg(a."id" ORDER BY a."id") FROM "Asset" a
+          WHERE a."floorInventoryId" = fi."id" AND a."condition" <> 'written_off'),
+         '{}'
+       )
+FROM "FloorInventory" fi
+WHERE fi."count" > 0;
@@ -0,0 +1,31 @@
+-- CreateEnum
+CREATE TYPE "FiresafeFeatureType" AS ENUM ('exit', 'extinguisher', 'alarm', 'first_aid', 'evacuation_route');
+
+-- CreateTable
+CREATE TABLE "FiresafeFeature" (
+    "id" SERIAL NOT NULL,
+    "floorId" INTEGER NOT NULL,
+    "layerId" INTEGER NOT NULL,
+    "type" "FiresafeFeatureType" NOT NULL,
+    "name" TEXT NOT NULL DEFAULT '',
+    "coordinates" JSONB NOT NULL,
+    "inspectedAt" TIMESTAMP(3),
+    "nextInspectionAt" TIMESTAMP(3),
+    "notes" TEXT NOT NULL DEFAULT '',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FiresafeFeature_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "FiresafeFeature_floorId_type_idx" ON "FiresafeFeature"("floorId", "type");
+
+-- CreateIndex
+CREATE INDEX "FiresafeFeature_layerId_idx" ON "FiresafeFeature"("layerId");
+
+-- AddForeignKey
+ALTER TABLE "FiresafeFeature" ADD CONSTRAINT "FiresafeFeature_floorId_fkey" FOREIGN KEY ("floorId") REFERENCES "Floor"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FiresafeFeature" ADD CONSTRAINT "FiresafeFeature_layerId_fkey" FOREIGN KEY ("layerId") REFERENCES "Layer"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "Zone" ADD COLUMN     "attributes" JSONB NOT NULL DEFAULT '{}',
+ADD COLUMN     "capacity" INTEGER,
+ADD COLUMN     "typeId" TEXT;
+
+-- CreateTable
+CREATE TABLE "ZoneType" (
+    "id" TEXT NOT NULL,
+    "displayName" TEXT NOT NULL,
+    "color" TEXT,
+    "attributes" JSONB NOT NULL DEFAULT '[]',
+
+    CONSTRAINT "ZoneType_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Zone_floorId_typeId_idx" ON "Zone"("floorId", "typeId");
+
+-- AddForeignKey
+ALTER TABLE "Zone" ADD CONSTRAINT "Zone_typeId_fkey" FOREIGN KEY ("typeId") REFERENCES "ZoneType"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Базовые типы; seed.js держит тот же список
+INSERT INTO "ZoneType" ("id", "displayName", "color", "attributes") VALUES
+('desk', 'Рабочее место', '#4F8EF7', '[{"key":"monitors","label":"Мониторы","type":"number"},{"key":"docking_station","label":"Док-станция","type":"boolean"},{"key":"standing","label":"Стол с регулировкой высоты","type":"boolean"}]'),
+('meeting_room', 'Переговорная', '#9B59B6', '[{"key":"projector","label":"Проектор","type":"boolean"},{"key":"video_conferencing","label":"Видеосвязь","type":"boolean"},{"key":"whiteboard","label":"Маркерная доска","type":"boolean"}]'),
+('kitchen', 'Кухня', '#F5A623', '[{"key":"coffee_machine","label":"Кофемашина","type":"boolean"}]'),
+('storage', 'Склад', '#8B8B8B', '[{"key":"locked","label":"Запирается","type":"boolean"}]'),
+('restricted', 'Закрытая зона', '#E74C3C', '[{"key":"access_level","label":"Уровень доступа","type":"string"}]'),
+('open_space', 'Open space', '#2ECC71', '[]'),
+('lounge', 'Зона отдыха', '#1ABC9C', '[]')
+ON CONFLICT ("id") DO NOTHING;
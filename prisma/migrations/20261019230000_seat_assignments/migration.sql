@@ -0,0 +1,29 @@
+-- CreateEnum
+CREATE TYPE "SeatAssignmentKind" AS ENUM ('permanent', 'temporary');
+
+-- CreateTable
+CREATE TABLE "SeatAssignment" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "zoneId" INTEGER NOT NULL,
+    "kind" "SeatAssignmentKind" NOT NULL,
+    "startsAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "endsAt" TIMESTAMP(3),
+    "note" TEXT NOT NULL DEFAULT '',
+    "assignedBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SeatAssignment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SeatAssignment_zoneId_startsAt_idx" ON "SeatAssignment"("zoneId", "startsAt");
+
+-- CreateIndex
+CREATE INDEX "SeatAssignment_userId_startsAt_idx" ON "SeatAssignment"("userId", "startsAt");
+
+-- AddForeignKey
+ALTER TABLE "SeatAssignment" ADD CONSTRAINT "SeatAssignment_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SeatAssignment" ADD CONSTRAINT "SeatAssignment_zoneId_fkey" FOREIGN KEY ("zoneId") REFERENCES "Zone"("id") ON DELETE CASCADE ON UPDATE CASCADE;
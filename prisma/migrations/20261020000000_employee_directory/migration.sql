@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "User" ALTER COLUMN "passwordHash" DROP NOT NULL,
+ADD COLUMN     "active" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "deactivatedAt" TIMESTAMP(3),
+ADD COLUMN     "defaultOfficeId" INTEGER,
+ADD COLUMN     "department" TEXT,
+ADD COLUMN     "directorySource" TEXT,
+ADD COLUMN     "name" TEXT;
+
+-- AddForeignKey
+ALTER TABLE "User" ADD CONSTRAINT "User_defaultOfficeId_fkey" FOREIGN KEY ("defaultOfficeId") REFERENCES "Office"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,57 @@
+-- CreateEnum
+CREATE TYPE "AttendeeStatus" AS ENUM ('needs_action', 'accepted', 'declined', 'tentative');
+
+-- CreateTable
+CREATE TABLE "Booking" (
+    "id" SERIAL NOT NULL,
+    "zoneId" INTEGER NOT NULL,
+    "organizerId" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT NOT NULL DEFAULT '',
+    "startsAt" TIMESTAMP(3) NOT NULL,
+    "endsAt" TIMESTAMP(3) NOT NULL,
+    "rrule" TEXT,
+    "exdates" TIMESTAMP(3)[],
+    "seriesEndsAt" TIMESTAMP(3),
+    "uid" TEXT NOT NULL,
+    "sequence" INTEGER NOT NULL DEFAULT 0,
+    "cancelledAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Booking_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "BookingAttendee" (
+    "id" SERIAL NOT NULL,
+    "bookingId" INTEGER NOT NULL,
+    "email" TEXT NOT NULL,
+    "status" "AttendeeStatus" NOT NULL DEFAULT 'needs_action',
+
+    CONSTRAINT "BookingAttendee_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Booking_uid_key" ON "Booking"("uid");
+
+-- CreateIndex
+CREATE INDEX "Booking_zoneId_startsAt_idx" ON "Booking"("zoneId", "startsAt");
+
+-- CreateIndex
+CREATE INDEX "Booking_organizerId_idx" ON "Booking"("organizerId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BookingAttendee_bookingId_email_key" ON "BookingAttendee"("bookingId", "email");
+
+-- CreateIndex
+CREATE INDEX "BookingAttendee_email_idx" ON "BookingAttendee"("email");
+
+-- AddForeignKey
+ALTER TABLE "Booking" ADD CONSTRAINT "Booking_zoneId_fkey" FOREIGN KEY ("zoneId") REFERENCES "Zone"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Booking" ADD CONSTRAINT "Booking_organizerId_fkey" FOREIGN KEY ("organizerId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BookingAttendee" ADD CONSTRAINT "BookingAttendee_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "Booking"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -47,12 +47,6 @@ const catalog = [
     iconKey: "printer",
     category: "device",
   },
-  {
-    id: "printer_disabled",
-    displayName: "Принтер (не работает)",
-    iconKey: "printer_disabled",
-    category: "device",
-  },
   {
     id: "coffee",
     displayName: "Кофемашина",
@@ -141,6 +135,64 @@ const catalog = [
   },
 ];
 
+// Тот же список вставляет миграция zone_types
+const zoneTypes = [
+  {
+    id: "desk",
+    displayName: "Рабочее место",
+    color: "#4F8EF7",
+    attributes: [
+      { key: "monitors", label: "Мониторы", type: "number" },
+      { key: "docking_station", label: "Док-станция", type: "boolean" },
+      { key: "standing", label: "Стол с регулировкой высоты", type: "boolean" },
+    ],
+  },
+  {
+    id: "meeting_room",
+    displayName: "Переговорная",
+    color: "#9B59B6",
+    attributes: [
+      { key: "projector", label: "Проектор", type: "boolean" },
+      { key: "video_conferencing", label: "Видеосвязь", type: "boolean" },
+      { key: "whiteboard", label: "Маркерная доска", type: "boolean" },
+    ],
+  },
+  {
+    id: "kitchen",
+    displayName: "Кухня",
+    color: "#F5A623",
+    attributes: [
+      { key: "coffee_machine", label: "Кофемашина", type: "boolean" },
+    ],
+  },
+  {
+    id: "storage",
+    displayName: "Склад",
+    color: "#8B8B8B",
+    attributes: [{ key: "locked", label: "Запирается", type: "boolean" }],
+  },
+  {
+    id: "restricted",
+    displayName: "Закрытая зона",
+    color: "#E74C3C",
+    attributes: [
+      { key: "access_level", label: "Уровень доступа", type: "string" },
+    ],
+  },
+  {
+    id: "open_space",
+    displayName: "Open space",
+    color: "#2ECC71",
+    attributes: [],
+  },
+  {
+    id: "lounge",
+    displayName: "Зона отдыха",
+    color: "#1ABC9C",
+    attributes: [],
+  },
+];
+
 async function main() {
   for (const item of catalog) {
     await prisma.inventoryCatalog.upsert({
@@ -150,6 +202,14 @@ async function main() {
     });
   }
   console.log("Catalog seeded");
+  for (const type of zoneTypes) {
+    await prisma.zoneType.upsert({
+      where: { id: type.id },
+      update: type,
+      create: type,
+    });
+  }
+  console.log("Zone types seeded");
 }
 
 main().finally(() => prisma.$disconnect());
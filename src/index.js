@@ -4,32 +4,43 @@ import multer from "multer";
 import path from "path";
 import fs from "fs";
 import { fileURLToPath } from "url";
-import { PrismaClient } from "@prisma/client";
+import { PrismaClient, Prisma } from "@prisma/client";
 import dotenv from "dotenv";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
+import sharp from "sharp";
+import { DOMParser, XMLSerializer } from "@xmldom/xmldom";
+import * as mupdf from "mupdf";
+import crypto from "crypto";
+import ExcelJS from "exceljs";
+import rrule from "rrule";
 
 dotenv.config();
 
+const { RRule, RRuleSet } = rrule; // CommonJS-пакет: именованного экспорта нет
+
 const JWT_SECRET = process.env.JWT_SECRET || "dev_secret_change_me";
-const JWT_EXPIRES_IN = "1d"; // срок жизни access-токена
+const JWT_EXPIRES_IN = "15m"; // срок жизни access-токена
+const REFRESH_TTL_MS = 30 * 24 * 60 * 60 * 1000; // срок жизни refresh-сессии
 
 /**
  * Новый формат токена под фронт:
  * {
  *   sub: string,               // username (берём email как username)
  *   role: 'USER' | 'WORKSPACE_ADMIN' | 'PROJECT_ADMIN',
- *   perms?: string[],
+ *   perms: string[],           // итоговые права: роль + переопределения (UserPermission)
+ *   sid: number,               // id серверной сессии (Session), по нему работает отзыв
  *   type?: 'ACCESS',
  *   iat?: number,
  *   exp?: number
  * }
  */
-function signAccessToken(email, role, perms = []) {
+function signAccessToken(email, role, perms = [], sid) {
   const payload = {
     sub: email,
     role,
     perms,
+    sid,
     type: "ACCESS",
   };
   return jwt.sign(payload, JWT_SECRET, {
@@ -50,31 +61,210 @@ function authOptional(req, _res, next) {
   next();
 }
 
-function authRequired(req, res, next) {
+// Кроме подписи проверяем, что сессия токена не отозвана (logout, смена роли)
+async function authRequired(req, res, next) {
   const h = req.headers.authorization || "";
   const m = h.match(/^Bearer\s+(.+)$/i);
   if (!m) return res.status(401).json({ error: "Missing Bearer token" });
+  let payload;
   try {
-    req.user = jwt.verify(m[1], JWT_SECRET);
-    next();
+    payload = jwt.verify(m[1], JWT_SECRET);
   } catch (_e) {
     return res.status(401).json({ error: "Invalid or expired token" });
   }
+  if (payload.type !== "ACCESS" || !Number.isInteger(payload.sid))
+    return res.status(401).json({ error: "Invalid or expired token" });
+  try {
+    const session = await prisma.session.findUnique({
+      where: { id: payload.sid },
+      select: { revokedAt: true, expiresAt: true },
+    });
+    if (!session || session.revokedAt || session.expiresAt <= new Date())
+      return res.status(401).json({ error: "Session revoked" });
+  } catch (e) {
+    return next(e);
+  }
+  req.user = payload;
+  next();
+}
+
+// ===== Права =====
+// Именованные права и их раздача по ролям. Для конкретного пользователя
+// права можно выдать/отобрать поверх роли (UserPermission), итог кладём в perms токена.
+const PERMISSIONS = [
+  "office:manage", // создание/правка/удаление офисов
+  "office:access-all", // доступ ко всем офисам без членства
+  "floor:create",
+  "floor:edit", // план и пожарный план этажа
+  "floor:delete",
+  "layer:edit",
+  "zone:edit",
+  "inventory:manage", // инвентарь этажа, зон и объекты на карте
+  "catalog:manage", // справочники типов инвентаря (и их иконки) и типов зон
+  "reservation:create",
+  "seat:assign", // закрепление мест за сотрудниками
+  "user:manage", // список пользователей, роли и права
+  "audit:read",
+];
+
+const USER_PERMISSIONS = [
+  "floor:create",
+  "floor:edit",
+  "layer:edit",
+  "zone:edit",
+  "inventory:manage",
+  "reservation:create",
+];
+
+const ROLE_PERMISSIONS = {
+  USER: USER_PERMISSIONS,
+  WORKSPACE_ADMIN: PERMISSIONS,
+  PROJECT_ADMIN: PERMISSIONS,
+};
+
+// overrides: [{ permission, granted }] из UserPermission
+function effectivePermissions(role, overrides = []) {
+  const perms = new Set(ROLE_PERMISSIONS[role] ?? []);
+  for (const o of overrides) {
+    if (o.granted) perms.add(o.permission);
+    else perms.delete(o.permission);
+  }
+  return PERMISSIONS.filter((p) => perms.has(p));
 }
 
-function requireRole(...roles) {
+// Нужны все перечисленные права (берутся из perms токена)
+function requirePermission(...perms) {
   return (req, res, next) => {
     if (!req.user) return res.status(401).json({ error: "Unauthorized" });
-    if (!roles.includes(req.user.role))
+    const own = Array.isArray(req.user.perms) ? req.user.perms : [];
+    if (!perms.every((p) => own.includes(p)))
       return res.status(403).json({ error: "Forbidden" });
     next();
   };
 }
 
+const OFFICE_ROLE_RANK = { viewer: 1, editor: 2, admin: 3 };
+
+// Роль текущего пользователя в офисе (null — нет членства)
+async function officeRoleOf(req, officeId) {
+  if (req.user.perms?.includes("office:access-all")) return "admin";
+  const membership = await prisma.officeMembership.findFirst({
+    where: { officeId, user: { email: String(req.user.sub) } },
+    select: { role: true },
+  });
+  return membership?.role ?? null;
+}
+
+function hasOfficeRole(role, minRole) {
+  return role != null && OFFICE_ROLE_RANK[role] >= OFFICE_ROLE_RANK[minRole];
+}
+
+/**
+ * Доступ к /offices/:officeId/...: членство в офисе с ролью не ниже minRole
+ * (viewer < editor < admin). С правом office:access-all — без членства, как admin.
+ * Заодно проверяем, что :floorId лежит в этом офисе, а :layerId/:zoneId — на этом этаже,
+ * иначе членство в одном офисе давало бы доступ к чужим этажам.
+ */
+function requireOfficeRole(minRole) {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) return res.status(401).json({ error: "Unauthorized" });
+      const officeId = intParam(req.params.officeId);
+      if (officeId == null)
+        return res.status(400).json({ error: "Invalid officeId" });
+
+      const role = await officeRoleOf(req, officeId);
+      if (!hasOfficeRole(role, minRole))
+        return res.status(403).json({ error: "Forbidden" });
+      req.officeRole = role;
+
+      if (req.params.floorId == null) return next();
+      const floorId = intParam(req.params.floorId);
+      if (floorId == null)
+        return res.status(400).json({ error: "Invalid floorId" });
+      const floor = await prisma.floor.findFirst({
+        where: { id: floorId, officeId },
+        select: { id: true },
+      });
+      if (!floor) return res.status(404).json({ error: "Floor not found" });
+
+      for (const [param, model, label] of [
+        ["layerId", "layer", "Layer"],
+        ["zoneId", "zone", "Zone"],
+        ["featureId", "firesafeFeature", "Feature"],
+      ]) {
+        if (req.params[param] == null) continue;
+        const id = intParam(req.params[param]);
+        if (id == null)
+          return res.status(400).json({ error: `Invalid ${param}` });
+        const found = await prisma[model].findFirst({
+          where: { id, floorId },
+          select: { id: true },
+        });
+        if (!found)
+          return res.status(404).json({ error: `${label} not found` });
+      }
+      next();
+    } catch (e) {
+      next(e);
+    }
+  };
+}
+
 const app = express();
 const prisma = new PrismaClient();
 
+// В токене sub = email, id пользователя достаём из БД
+async function currentUser(req) {
+  if (!req.user?.sub) return null;
+  return prisma.user.findUnique({
+    where: { email: String(req.user.sub) },
+    select: { id: true, email: true, role: true },
+  });
+}
+
+// ISO-строка/число -> Date или null, если распарсить не удалось
+function parseDate(v) {
+  if (v == null || v === "") return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// ===== Аудит =====
+// JSON-снимок для before/after: Date -> ISO-строка, null -> поле не пишем
+function snapshot(v) {
+  return v == null ? undefined : JSON.parse(JSON.stringify(v));
+}
+
+function intParam(v) {
+  const n = Number(v);
+  return Number.isInteger(n) ? n : null;
+}
+
+// Пишет запись аудита. db — prisma или tx, чтобы запись попала в ту же транзакцию.
+// officeId/floorId по умолчанию берём из параметров маршрута, actor — из токена
+function audit(
+  db,
+  req,
+  { actor, action, entity, entityId, officeId, floorId, before, after }
+) {
+  return db.auditLog.create({
+    data: {
+      actor: actor ?? req.user?.sub ?? null,
+      action,
+      entity,
+      entityId: entityId != null ? String(entityId) : null,
+      officeId: officeId ?? intParam(req.params.officeId),
+      floorId: floorId ?? intParam(req.params.floorId),
+      before: snapshot(before),
+      after: snapshot(after),
+    },
+  });
+}
+
 app.use(cors());
+// Импорт этажа несёт изображения в base64 — ему нужен лимит побольше
+app.use("/offices/:officeId/floors/import", express.json({ limit: "64mb" }));
 app.use(express.json());
 app.use(authOptional);
 
@@ -92,16 +282,18 @@ const storage = multer.diskStorage({
     fs.mkdirSync(dir, { recursive: true });
     cb(null, dir);
   },
-  filename: (_req, file, cb) => {
-    const ext = path.extname(file.originalname) || ".png";
-    cb(null, `${Date.now()}${ext}`);
-  },
+  // временное имя без расширения клиента: итоговое rasterizeUpload
+  // выводит из содержимого файла
+  filename: (_req, _file, cb) => cb(null, `${crypto.randomUUID()}.upload`),
 });
 const upload = multer({
   storage,
   limits: { fileSize: 20 * 1024 * 1024 },
   fileFilter: (_req, file, cb) => {
-    if (!/^image\/(png|jpeg|jpg|webp)$/.test(file.mimetype))
+    if (
+      !/^image\/(png|jpeg|jpg|webp|svg\+xml)$/.test(file.mimetype) &&
+      file.mimetype !== "application/pdf"
+    )
       return cb(new Error("Unsupported file type"));
     cb(null, true);
   },
@@ -114,27 +306,186 @@ function toPublicUrl(absFilePath) {
 // ===================== HEALTH =====================
 app.get("/health", (_req, res) => res.json({ ok: true }));
 
+// ===================== LIVE FLOOR EVENTS (SSE) =====================
+// floorId -> Set<{ res, exp, sid }>; подписки живут в памяти процесса
+const floorSubscribers = new Map();
+let floorEventSeq = 0;
+
+function writeSse(res, event, data, id) {
+  if (id != null) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+// Этаж, которому принадлежит зона: событие уходит туда, а не на :floorId из URL
+async function floorOfZone(db, zoneId) {
+  const zone = await db.zone.findUnique({
+    where: { id: zoneId },
+    select: { floorId: true },
+  });
+  return zone?.floorId ?? null;
+}
+
+// Рассылает событие всем подписчикам этажа.
+// type: "zone.created" | "zoneObject.updated" | "planImage.updated" | ...
+function publishFloorEvent(req, floorId, type, data = {}) {
+  const subs = floorSubscribers.get(Number(floorId));
+  if (!subs?.size) return;
+  const event = {
+    type,
+    floorId: Number(floorId),
+    actor: req.user?.sub ?? null,
+    at: new Date().toISOString(),
+    data,
+  };
+  const id = ++floorEventSeq;
+  for (const sub of subs) writeSse(sub.res, type, event, id);
+}
+
+// Этаж удалён — слушать больше нечего
+function closeFloorChannel(floorId) {
+  const subs = floorSubscribers.get(Number(floorId));
+  if (!subs) return;
+  for (const sub of subs) sub.res.end();
+  floorSubscribers.delete(Number(floorId));
+}
+
+// Сессию проверяем только при открытии стрима — после logout или отзыва
+// сессий уже открытые стримы закрываем здесь, по таймеру
+async function closeRevokedStreams() {
+  const sids = new Set();
+  for (const subs of floorSubscribers.values())
+    for (const sub of subs) sids.add(sub.sid);
+  if (!sids.size) return;
+  const revoked = await prisma.session.findMany({
+    where: {
+      id: { in: [...sids] },
+      OR: [{ revokedAt: { not: null } }, { expiresAt: { lte: new Date() } }],
+    },
+    select: { id: true },
+  });
+  if (!revoked.length) return;
+  const ids = new Set(revoked.map((s) => s.id));
+  for (const subs of floorSubscribers.values()) {
+    for (const sub of subs) {
+      if (!ids.has(sub.sid)) continue;
+      writeSse(sub.res, "auth.revoked", {});
+      sub.res.end();
+    }
+  }
+}
+
+// Пинг держит соединение за прокси; заодно закрываем стримы с протухшим токеном
+setInterval(() => {
+  const now = Math.floor(Date.now() / 1000);
+  for (const subs of floorSubscribers.values()) {
+    for (const sub of subs) {
+      if (sub.exp && sub.exp <= now) {
+        writeSse(sub.res, "auth.expired", {});
+        sub.res.end();
+      } else {
+        sub.res.write(": ping\n\n");
+      }
+    }
+  }
+  closeRevokedStreams().catch(() => {});
+}, 25_000).unref();
+
+// EventSource не умеет слать заголовки — разрешаем ?access_token=
+// и проверяем его тем же authRequired
+function authRequiredSse(req, res, next) {
+  if (!req.headers.authorization && typeof req.query.access_token === "string")
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  authRequired(req, res, next);
+}
+
+// GET /offices/:officeId/floors/:floorId/events -> text/event-stream
+// Первое событие "ready"; после переподключения клиент перечитывает этаж
+app.get(
+  "/offices/:officeId/floors/:floorId/events",
+  authRequiredSse,
+  requireOfficeRole("viewer"),
+  async (req, res, next) => {
+    try {
+      const officeId = Number(req.params.officeId);
+      const floorId = Number(req.params.floorId);
+      if (!Number.isInteger(officeId) || !Number.isInteger(floorId))
+        return res.status(400).json({ error: "Invalid officeId or floorId" });
+
+      const floor = await prisma.floor.findFirst({
+        where: { id: floorId, officeId },
+        select: { id: true },
+      });
+      if (!floor) return res.status(404).json({ error: "Floor not found" });
+
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.write("retry: 3000\n\n");
+
+      const sub = { res, exp: req.user.exp, sid: req.user.sid };
+      if (!floorSubscribers.has(floorId))
+        floorSubscribers.set(floorId, new Set());
+      floorSubscribers.get(floorId).add(sub);
+
+      req.on("close", () => {
+        const subs = floorSubscribers.get(floorId);
+        subs?.delete(sub);
+        if (subs && !subs.size) floorSubscribers.delete(floorId);
+      });
+
+      writeSse(res, "ready", { floorId });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
 // ===================== FLOORS =====================
-// GET /offices/:officeId/floors  -> { floors:[{id, number}] }
-app.get("/offices/:officeId/floors", authRequired, async (req, res, next) => {
-  try {
-    const officeId = Number(req.params.officeId);
-    const floors = await prisma.floor.findMany({
-      where: { officeId },
-      select: { id: true, number: true },
-      orderBy: { number: "asc" },
-    });
-    res.json({ floors });
-  } catch (e) {
-    next(e);
+// GET /offices/:officeId/floors  -> { floors:[{id, number, thumbnailUrl}] }
+app.get(
+  "/offices/:officeId/floors",
+  authRequired,
+  requireOfficeRole("viewer"),
+  async (req, res, next) => {
+    try {
+      const officeId = Number(req.params.officeId);
+      const floors = await prisma.floor.findMany({
+        where: { officeId },
+        select: { id: true, number: true, planImageUrl: true },
+        orderBy: { number: "asc" },
+      });
+      const plans = await prisma.floorImage.findMany({
+        where: {
+          floorId: { in: floors.map((f) => f.id) },
+          kind: "plan",
+          url: { in: floors.map((f) => f.planImageUrl).filter(Boolean) },
+        },
+        select: { url: true, thumbnailUrl: true },
+      });
+      const thumbs = new Map(plans.map((p) => [p.url, p.thumbnailUrl]));
+      res.json({
+        floors: floors.map((f) => ({
+          id: f.id,
+          number: f.number,
+          thumbnailUrl: thumbs.get(f.planImageUrl) ?? null,
+        })),
+      });
+    } catch (e) {
+      next(e);
+    }
   }
-});
+);
 
 // DELETE /offices/:officeId/floors/:floorId  -> 204
 app.delete(
   "/offices/:officeId/floors/:floorId",
   authRequired,
-  requireRole("WORKSPACE_ADMIN", "PROJECT_ADMIN"),
+  requireOfficeRole("admin"),
+  requirePermission("floor:delete"),
   async (req, res, next) => {
     try {
       const officeId = Number(req.params.officeId);
@@ -145,7 +496,13 @@ app.delete(
 
       const floor = await prisma.floor.findFirst({
         where: { id: floorId, officeId },
-        select: { id: true },
+        select: {
+          id: true,
+          officeId: true,
+          number: true,
+          planImageUrl: true,
+          firesafeImageUrl: true,
+        },
       });
       if (!floor) return res.status(404).json({ error: "Floor not found" });
 
@@ -181,6 +538,14 @@ app.delete(
         fs.rmSync(dir, { recursive: true, force: true });
       } catch (_) {}
 
+      await audit(prisma, req, {
+        action: "delete",
+        entity: "Floor",
+        entityId: floorId,
+        before: floor,
+      });
+      publishFloorEvent(req, floorId, "floor.deleted");
+      closeFloorChannel(floorId);
       return res.status(204).end();
     } catch (err) {
       if (err?.code === "P2025")
@@ -192,55 +557,83 @@ app.delete(
 
 // POST /offices/:officeId/floors  { floorNumber } -> { floorId }
 // + автоматически создаём слой type='firesafe'
-app.post("/offices/:officeId/floors", authRequired, async (req, res, next) => {
-  try {
-    const officeId = Number(req.params.officeId);
-    const { floorNumber } = req.body;
-    if (!Number.isFinite(officeId) || !Number.isFinite(floorNumber))
-      return res.status(400).json({ error: "Invalid officeId or floorNumber" });
-
-    const result = await prisma
-      .$transaction(async (tx) => {
-        const floor = await tx.floor.create({
-          data: { officeId, number: floorNumber },
-          select: { id: true },
-        });
-        await tx.layer.create({
-          data: { floorId: floor.id, name: "Пожарный план", type: "firesafe" },
+app.post(
+  "/offices/:officeId/floors",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("floor:create"),
+  async (req, res, next) => {
+    try {
+      const officeId = Number(req.params.officeId);
+      const { floorNumber } = req.body;
+      if (!Number.isFinite(officeId) || !Number.isFinite(floorNumber))
+        return res
+          .status(400)
+          .json({ error: "Invalid officeId or floorNumber" });
+
+      const result = await prisma
+        .$transaction(async (tx) => {
+          const floor = await tx.floor.create({
+            data: { officeId, number: floorNumber },
+            select: { id: true, officeId: true, number: true },
+          });
+          await tx.layer.create({
+            data: {
+              floorId: floor.id,
+              name: "Пожарный план",
+              type: "firesafe",
+            },
+          });
+          await audit(tx, req, {
+            action: "create",
+            entity: "Floor",
+            entityId: floor.id,
+            floorId: floor.id,
+            after: floor,
+          });
+          return floor;
+        })
+        .catch((e) => {
+          if (e.code === "P2002") return { conflict: true };
+          throw e;
         });
-        return floor;
-      })
-      .catch((e) => {
-        if (e.code === "P2002") return { conflict: true };
-        throw e;
-      });
 
-    if (result?.conflict)
-      return res.status(409).json({ error: "Floor number already exists" });
+      if (result?.conflict)
+        return res.status(409).json({ error: "Floor number already exists" });
 
-    res.status(201).json({ floorId: result.id });
-  } catch (e) {
-    next(e);
+      res.status(201).json({ floorId: result.id });
+    } catch (e) {
+      next(e);
+    }
   }
-});
+);
 
-// GET /offices/:officeId/floors/:floorId -> { id, number, imageUrl }
+// GET /offices/:officeId/floors/:floorId -> { id, number, imageUrl, metersPerPixel, scaleCalibration }
 app.get(
   "/offices/:officeId/floors/:floorId",
   authRequired,
+  requireOfficeRole("viewer"),
   async (req, res, next) => {
     try {
       const officeId = Number(req.params.officeId);
       const floorId = Number(req.params.floorId);
       const floor = await prisma.floor.findFirst({
         where: { id: floorId, officeId },
-        select: { id: true, number: true, planImageUrl: true },
+        select: {
+          id: true,
+          number: true,
+          planImageUrl: true,
+          metersPerPixel: true,
+          scaleCalibration: true,
+        },
       });
       if (!floor) return res.status(404).json({ error: "Floor not found" });
       res.json({
         id: floor.id,
         number: floor.number,
         imageUrl: floor.planImageUrl,
+        metersPerPixel: floor.metersPerPixel,
+        scaleCalibration: floor.scaleCalibration,
       });
     } catch (e) {
       next(e);
@@ -248,106 +641,1801 @@ app.get(
   }
 );
 
-// ========== PLAN IMAGE ==========
-app.post(
-  "/offices/:officeId/floors/:floorId/plan-image",
-  authRequired,
-  upload.single("image"),
-  async (req, res, next) => {
-    try {
-      if (!req.file)
-        return res.status(400).json({ error: "image is required" });
-      const floorId = Number(req.params.floorId);
-      const imageUrl = toPublicUrl(req.file.path);
-      await prisma.floor.update({
-        where: { id: floorId },
-        data: { planImageUrl: imageUrl },
-      });
-      res.json({ imageUrl, updatedAt: new Date().toISOString() });
-    } catch (e) {
-      next(e);
+// ========== PLAN / FIRESAFE IMAGES ==========
+// Каждая загрузка — новая версия (FloorImage), Floor.planImageUrl/firesafeImageUrl
+// указывают на текущую. Откат — просто переключение указателя.
+const FLOOR_IMAGES = [
+  {
+    kind: "plan",
+    route: "plan-image",
+    field: "planImageUrl",
+    event: "planImage.updated",
+    notSet: "Plan image not set",
+  },
+  {
+    kind: "firesafe",
+    route: "firesafe-image",
+    field: "firesafeImageUrl",
+    event: "firesafeImage.updated",
+    notSet: "FireSafe image not set",
+  },
+];
+
+const floorImageSelect = {
+  id: true,
+  kind: true,
+  url: true,
+  mimeType: true,
+  width: true,
+  height: true,
+  size: true,
+  originalUrl: true,
+  originalMimeType: true,
+  thumbnailUrl: true,
+  tilesUrl: true,
+  tileSize: true,
+  maxZoom: true,
+  createdAt: true,
+  uploadedBy: { select: { id: true, email: true } },
+};
+
+// /uploads/... -> абсолютный путь внутри UPLOAD_ROOT (или null, если url чужой)
+function publicUrlToPath(url) {
+  if (typeof url !== "string" || !url.startsWith("/uploads/")) return null;
+  const abs = path.resolve(UPLOAD_ROOT, url.slice("/uploads/".length));
+  return abs.startsWith(UPLOAD_ROOT + path.sep) ? abs : null;
+}
+
+// ===== SVG / PDF планы =====
+// Архитекторы присылают SVG и PDF. Оригинал храним (SVG — уже очищенным),
+// а для клиентов рендерим PNG: FloorImage.url всегда указывает на растр.
+const RASTER_MAX_SIDE = 8000;
+const PDF_DPI = 150;
+
+const SVG_ALLOWED_ELEMENTS = new Set([
+  "svg",
+  "g",
+  "defs",
+  "symbol",
+  "use",
+  "title",
+  "desc",
+  "metadata",
+  "path",
+  "rect",
+  "circle",
+  "ellipse",
+  "line",
+  "polyline",
+  "polygon",
+  "text",
+  "tspan",
+  "textPath",
+  "image",
+  "clipPath",
+  "mask",
+  "marker",
+  "pattern",
+  "linearGradient",
+  "radialGradient",
+  "stop",
+  "filter",
+  "feGaussianBlur",
+  "feOffset",
+  "feBlend",
+  "feColorMatrix",
+  "feMerge",
+  "feMergeNode",
+  "feFlood",
+  "feComposite",
+]);
+// Ссылки разрешены только внутрь документа; растровые вставки — только data:image
+const SVG_LOCAL_REF = /^#/;
+const SVG_DATA_IMAGE = /^data:image\/(png|jpeg|webp);base64,/i;
+const SVG_EXTERNAL_URL = /url\(\s*['"]?(?!#)/i;
+
+function sanitizeSvgNode(node) {
+  for (const child of Array.from(node.childNodes)) {
+    if (child.nodeType === 1) {
+      const name = child.localName;
+      if (!SVG_ALLOWED_ELEMENTS.has(name)) {
+        node.removeChild(child);
+        continue;
+      }
+      for (const attr of Array.from(child.attributes)) {
+        const attrName = attr.name.toLowerCase();
+        const value = attr.value.trim();
+        const isHref = attrName === "href" || attrName.endsWith(":href");
+        const drop =
+          attrName.startsWith("on") ||
+          (isHref &&
+            !SVG_LOCAL_REF.test(value) &&
+            !(name === "image" && SVG_DATA_IMAGE.test(value))) ||
+          SVG_EXTERNAL_URL.test(value) ||
+          /javascript:|@import/i.test(value);
+        if (drop) child.removeAttribute(attr.name);
+      }
+      sanitizeSvgNode(child);
+    } else if (child.nodeType !== 3) {
+      // комментарии, CDATA, processing instructions
+      node.removeChild(child);
     }
   }
-);
-app.get(
-  "/offices/:officeId/floors/:floorId/plan-image",
-  authRequired,
-  async (req, res, next) => {
-    try {
-      const floorId = Number(req.params.floorId);
-      const f = await prisma.floor.findUnique({
-        where: { id: floorId },
-        select: { planImageUrl: true },
-      });
-      if (!f) return res.status(404).json({ error: "Floor not found" });
-      if (!f.planImageUrl)
-        return res.status(404).json({ error: "Plan image not set" });
-      res.json({ imageUrl: f.planImageUrl, updatedAt: null });
-    } catch (e) {
-      next(e);
-    }
+}
+
+/**
+ * Возвращает очищенный SVG: без скриптов, foreignObject, <style>,
+ * обработчиков on*, внешних ссылок и url(...) наружу. Бросает 400 на мусор.
+ */
+function sanitizeSvg(source) {
+  const bad = (msg) => Object.assign(new Error(msg), { status: 400 });
+  // DOCTYPE/ENTITY — путь к XXE и «billion laughs»; в планах они не нужны
+  if (/<!DOCTYPE|<!ENTITY/i.test(source))
+    throw bad("SVG with DOCTYPE or entities is not allowed");
+  let doc;
+  try {
+    doc = new DOMParser({
+      onError: (level, msg) => {
+        if (level !== "warning") throw new Error(msg);
+      },
+    }).parseFromString(source, "image/svg+xml");
+  } catch (_e) {
+    throw bad("Malformed SVG");
   }
-);
+  const root = doc.documentElement;
+  if (!root || root.localName !== "svg")
+    throw bad("Root element must be <svg>");
+  for (const attr of Array.from(root.attributes))
+    if (attr.name.toLowerCase().startsWith("on"))
+      root.removeAttribute(attr.name);
+  sanitizeSvgNode(root);
+  return new XMLSerializer().serializeToString(root);
+}
 
-// ========== FIRESAFE IMAGE ==========
-app.post(
-  "/offices/:officeId/floors/:floorId/firesafe-image",
-  authRequired,
-  upload.single("image"),
-  async (req, res, next) => {
-    try {
-      if (!req.file)
-        return res.status(400).json({ error: "image is required" });
-      const floorId = Number(req.params.floorId);
-      const imageUrl = toPublicUrl(req.file.path);
-      await prisma.floor.update({
-        where: { id: floorId },
-        data: { firesafeImageUrl: imageUrl },
-      });
-      res.json({ imageUrl, updatedAt: new Date().toISOString() });
-    } catch (e) {
-      next(e);
-    }
+// Рендер первой и единственной страницы PDF в PNG
+function rasterizePdf(buffer) {
+  const bad = (msg) => Object.assign(new Error(msg), { status: 400 });
+  if (buffer.subarray(0, 5).toString("latin1") !== "%PDF-")
+    throw bad("Not a PDF file");
+  let doc;
+  try {
+    doc = mupdf.Document.openDocument(buffer, "application/pdf");
+  } catch (_e) {
+    throw bad("Unreadable PDF");
   }
-);
-app.get(
-  "/offices/:officeId/floors/:floorId/firesafe-image",
-  authRequired,
-  async (req, res, next) => {
-    try {
-      const floorId = Number(req.params.floorId);
-      const f = await prisma.floor.findUnique({
-        where: { id: floorId },
-        select: { firesafeImageUrl: true },
-      });
-      if (!f) return res.status(404).json({ error: "Floor not found" });
-      if (!f.firesafeImageUrl)
-        return res.status(404).json({ error: "FireSafe image not set" });
-      res.json({ imageUrl: f.firesafeImageUrl, updatedAt: null });
-    } catch (e) {
-      next(e);
+  if (doc.countPages() !== 1) throw bad("PDF must contain exactly one page");
+  const page = doc.loadPage(0);
+  const [x0, y0, x1, y1] = page.getBounds();
+  const scale = Math.min(
+    PDF_DPI / 72,
+    RASTER_MAX_SIDE / Math.max(x1 - x0, y1 - y0)
+  );
+  const pixmap = page.toPixmap(
+    mupdf.Matrix.scale(scale, scale),
+    mupdf.ColorSpace.DeviceRGB,
+    false,
+    true
+  );
+  return Buffer.from(pixmap.asPNG());
+}
+
+// Форматы загрузок: формат по содержимому -> расширение и MIME
+const UPLOAD_FORMATS = {
+  png: { ext: ".png", mimeType: "image/png" },
+  jpeg: { ext: ".jpg", mimeType: "image/jpeg" },
+  webp: { ext: ".webp", mimeType: "image/webp" },
+  svg: { ext: ".svg", mimeType: "image/svg+xml" },
+  pdf: { ext: ".pdf", mimeType: "application/pdf" },
+};
+
+// Формат по байтам файла, а не по имени и заявленному MIME; null — не картинка
+async function detectUploadFormat(buffer) {
+  if (buffer.subarray(0, 5).toString("latin1") === "%PDF-") return "pdf";
+  const meta = await sharp(buffer)
+    .metadata()
+    .catch(() => null);
+  return meta && UPLOAD_FORMATS[meta.format] ? meta.format : null;
+}
+
+/**
+ * Определяет формат по содержимому и сверяет его с заявленным MIME (400 при
+ * расхождении). Файл получает расширение по формату; для SVG/PDF оригинал
+ * очищается/проверяется и рядом кладётся PNG.
+ * -> { rasterPath, mimeType, originalPath|null, originalMimeType|null }
+ */
+async function rasterizeUpload(file) {
+  const bad = (msg) => Object.assign(new Error(msg), { status: 400 });
+  const source = fs.readFileSync(file.path);
+  const format = await detectUploadFormat(source);
+  if (!format) throw bad("Unsupported file type");
+  const { ext, mimeType } = UPLOAD_FORMATS[format];
+  const declared = file.mimetype === "image/jpg" ? "image/jpeg" : file.mimetype;
+  if (declared !== mimeType)
+    throw bad(`File content is ${mimeType}, not ${file.mimetype}`);
+
+  const { dir, name } = path.parse(file.path);
+  if (format !== "svg" && format !== "pdf") {
+    const rasterPath = path.join(dir, `${name}${ext}`);
+    fs.renameSync(file.path, rasterPath);
+    return { rasterPath, mimeType, originalPath: null, originalMimeType: null };
+  }
+
+  const isSvg = format === "svg";
+  const originalPath = path.join(dir, `${name}${ext}`);
+  const rasterPath = path.join(dir, `${name}.png`);
+  fs.rmSync(file.path, { force: true });
+
+  try {
+    let png;
+    if (isSvg) {
+      const clean = sanitizeSvg(source.toString("utf8"));
+      fs.writeFileSync(originalPath, clean);
+      png = await sharp(Buffer.from(clean))
+        .resize({
+          width: RASTER_MAX_SIDE,
+          height: RASTER_MAX_SIDE,
+          fit: "inside",
+          withoutEnlargement: true,
+        })
+        .png()
+        .toBuffer()
+        .catch(() => {
+          throw Object.assign(new Error("Unreadable SVG"), { status: 400 });
+        });
+    } else {
+      png = rasterizePdf(source);
+      fs.writeFileSync(originalPath, source);
     }
+    fs.writeFileSync(rasterPath, png);
+  } catch (e) {
+    fs.rmSync(originalPath, { force: true });
+    fs.rmSync(rasterPath, { force: true });
+    throw e;
   }
-);
+  return {
+    rasterPath,
+    mimeType: "image/png",
+    originalPath,
+    originalMimeType: mimeType,
+  };
+}
 
-// ===================== LAYERS =====================
-app.get(
-  "/offices/:officeId/floors/:floorId/layers",
-  authRequired,
-  async (req, res, next) => {
-    try {
-      const floorId = Number(req.params.floorId);
-      const floor = await prisma.floor.findUnique({
-        where: { id: floorId },
-        select: { firesafeImageUrl: true },
-      });
-      const layers = await prisma.layer.findMany({
-        where: { floorId },
-        select: { id: true, name: true, type: true },
-        orderBy: [{ type: "asc" }, { id: "asc" }],
-      });
-      const result = layers.map((l) => ({
-        id: l.id,
+// ===== Обработка изображений (sharp, только CPU) =====
+const THUMB_WIDTH = 320;
+const TILE_SIZE = 256;
+
+/**
+ * Снимает размеры, делает миниатюру и, по запросу, пирамиду тайлов.
+ * Файлы кладутся рядом с оригиналом: {name}.thumb.webp и tiles/{name}/{z}/{y}/{x}.webp
+ * (layout "google"; пустые белые тайлы не пишутся — вместо них tiles/{name}/blank.png).
+ * Бросает ошибку, если sharp не смог прочитать файл.
+ * -> { width, height, thumbnailUrl, tilesUrl, tileSize, maxZoom, files:[abs] }
+ */
+async function processFloorImage(absPath, { tiles = false } = {}) {
+  const meta = await sharp(absPath).metadata();
+  const dir = path.dirname(absPath);
+  const name = path.parse(absPath).name;
+
+  const thumbPath = path.join(dir, `${name}.thumb.webp`);
+  await sharp(absPath)
+    .resize({ width: THUMB_WIDTH, withoutEnlargement: true })
+    .webp()
+    .toFile(thumbPath);
+
+  const result = {
+    width: meta.width ?? null,
+    height: meta.height ?? null,
+    thumbnailUrl: toPublicUrl(thumbPath),
+    tilesUrl: null,
+    tileSize: null,
+    maxZoom: null,
+    files: [thumbPath],
+  };
+  if (tiles) Object.assign(result, await buildTilePyramid(absPath, meta));
+  if (result.tilesUrl) result.files.push(publicUrlToPath(result.tilesUrl));
+  return result;
+}
+
+async function buildTilePyramid(absPath, meta) {
+  const tilesRoot = path.join(path.dirname(absPath), "tiles");
+  const tileDir = path.join(tilesRoot, path.parse(absPath).name);
+  fs.mkdirSync(tilesRoot, { recursive: true });
+  await sharp(absPath)
+    .webp()
+    .tile({ size: TILE_SIZE, layout: "google" })
+    .toFile(tileDir);
+  // libvips кладёт служебный файл рядом с каталогом тайлов — он не нужен
+  fs.rmSync(path.join(tilesRoot, "vips-properties.xml"), { force: true });
+  const side = Math.max(meta.width ?? 0, meta.height ?? 0);
+  return {
+    tilesUrl: toPublicUrl(tileDir),
+    tileSize: TILE_SIZE,
+    maxZoom: Math.max(0, Math.ceil(Math.log2(side / TILE_SIZE))),
+  };
+}
+
+// Удаляет файлы версии: растр, исходный SVG/PDF, миниатюру и каталог тайлов
+function removeFloorImageFiles(version) {
+  for (const url of [
+    version.url,
+    version.originalUrl,
+    version.thumbnailUrl,
+    version.tilesUrl,
+  ]) {
+    const abs = publicUrlToPath(url);
+    if (abs) fs.rmSync(abs, { force: true, recursive: true });
+  }
+}
+
+// Удаляет из uploads/floors/{floorId} файлы (и каталоги тайлов), на которые не
+// ссылается ни одна версия — ни оригиналом, ни миниатюрой, ни тайлами.
+// Свежие файлы не трогаем: их могла только что записать параллельная загрузка.
+async function cleanupFloorUploads(floorId) {
+  const dir = path.join(UPLOAD_ROOT, "floors", String(floorId));
+  if (!fs.existsSync(dir)) return [];
+  const images = await prisma.floorImage.findMany({
+    where: { floorId },
+    select: {
+      url: true,
+      originalUrl: true,
+      thumbnailUrl: true,
+      tilesUrl: true,
+    },
+  });
+  const referenced = new Set(
+    images
+      .flatMap((i) => [i.url, i.originalUrl, i.thumbnailUrl, i.tilesUrl])
+      .map(publicUrlToPath)
+      .filter(Boolean)
+  );
+  const cutoff = Date.now() - 10 * 60 * 1000;
+  const removed = [];
+  const sweep = (parent, wantDirs) => {
+    if (!fs.existsSync(parent)) return;
+    for (const entry of fs.readdirSync(parent, { withFileTypes: true })) {
+      if (wantDirs ? !entry.isDirectory() : !entry.isFile()) continue;
+      const abs = path.join(parent, entry.name);
+      if (referenced.has(abs) || fs.statSync(abs).mtimeMs > cutoff) continue;
+      fs.rmSync(abs, { force: true, recursive: true });
+      removed.push(toPublicUrl(abs));
+    }
+  };
+  sweep(dir, false);
+  sweep(path.join(dir, "tiles"), true);
+  return removed;
+}
+
+for (const img of FLOOR_IMAGES) {
+  const base = `/offices/:officeId/floors/:floorId/${img.route}`;
+
+  // POST .../{plan|firesafe}-image[?tiles=1] (multipart image) -> { imageUrl, updatedAt, version }
+  // image — png/jpeg/webp, SVG или одностраничный PDF (imageUrl тогда — отрендеренный PNG)
+  // tiles=1 (query или поле формы) — дополнительно нарезать пирамиду тайлов
+  app.post(
+    base,
+    authRequired,
+    requireOfficeRole("editor"),
+    requirePermission("floor:edit"),
+    upload.single("image"),
+    async (req, res, next) => {
+      try {
+        if (!req.file)
+          return res.status(400).json({ error: "image is required" });
+        const floorId = Number(req.params.floorId);
+        let raster;
+        try {
+          raster = await rasterizeUpload(req.file);
+        } catch (e) {
+          fs.rmSync(req.file.path, { force: true });
+          if (e.status) return res.status(e.status).json({ error: e.message });
+          throw e;
+        }
+        const imageUrl = toPublicUrl(raster.rasterPath);
+        const originalUrl = raster.originalPath
+          ? toPublicUrl(raster.originalPath)
+          : null;
+
+        const tiles = ["1", "true"].includes(
+          String(req.query.tiles ?? req.body?.tiles)
+        );
+        let processed;
+        try {
+          processed = await processFloorImage(raster.rasterPath, { tiles });
+        } catch (_e) {
+          removeFloorImageFiles({ url: imageUrl, originalUrl });
+          return res.status(400).json({ error: "Unreadable image" });
+        }
+
+        const user = await currentUser(req);
+        const version = await prisma.$transaction(async (tx) => {
+          const before = await tx.floor.findUnique({
+            where: { id: floorId },
+            select: { [img.field]: true },
+          });
+          const created = await tx.floorImage.create({
+            data: {
+              floorId,
+              kind: img.kind,
+              url: imageUrl,
+              mimeType: raster.mimeType,
+              width: processed.width,
+              height: processed.height,
+              size: fs.statSync(raster.rasterPath).size,
+              originalUrl,
+              originalMimeType: raster.originalMimeType,
+              thumbnailUrl: processed.thumbnailUrl,
+              tilesUrl: processed.tilesUrl,
+              tileSize: processed.tileSize,
+              maxZoom: processed.maxZoom,
+              uploadedById: user?.id ?? null,
+            },
+            select: floorImageSelect,
+          });
+          await tx.floor.update({
+            where: { id: floorId },
+            data: { [img.field]: imageUrl },
+          });
+          await audit(tx, req, {
+            action: "update",
+            entity: "Floor",
+            entityId: floorId,
+            before,
+            after: { [img.field]: imageUrl, imageId: created.id },
+          });
+          return created;
+        });
+
+        await cleanupFloorUploads(floorId);
+        publishFloorEvent(req, floorId, img.event, {
+          imageUrl,
+          versionId: version.id,
+        });
+        res.json({ imageUrl, updatedAt: version.createdAt, version });
+      } catch (e) {
+        next(e);
+      }
+    }
+  );
+
+  // GET .../{plan|firesafe}-image
+  // -> { imageUrl, updatedAt, width, height, thumbnailUrl, tiles:{url, tileSize, maxZoom}|null }
+  app.get(
+    base,
+    authRequired,
+    requireOfficeRole("viewer"),
+    async (req, res, next) => {
+      try {
+        const floorId = Number(req.params.floorId);
+        const f = await prisma.floor.findUnique({
+          where: { id: floorId },
+          select: { [img.field]: true },
+        });
+        if (!f) return res.status(404).json({ error: "Floor not found" });
+        const imageUrl = f[img.field];
+        if (!imageUrl) return res.status(404).json({ error: img.notSet });
+        const current = await prisma.floorImage.findFirst({
+          where: { floorId, kind: img.kind, url: imageUrl },
+          select: {
+            createdAt: true,
+            width: true,
+            height: true,
+            thumbnailUrl: true,
+            tilesUrl: true,
+            tileSize: true,
+            maxZoom: true,
+          },
+          orderBy: { id: "desc" },
+        });
+        res.json({
+          imageUrl,
+          updatedAt: current?.createdAt ?? null,
+          width: current?.width ?? null,
+          height: current?.height ?? null,
+          thumbnailUrl: current?.thumbnailUrl ?? null,
+          tiles: current?.tilesUrl
+            ? {
+                url: current.tilesUrl,
+                tileSize: current.tileSize,
+                maxZoom: current.maxZoom,
+              }
+            : null,
+        });
+      } catch (e) {
+        next(e);
+      }
+    }
+  );
+
+  // GET .../{plan|firesafe}-image/versions -> { versions:[{..., current}] }, новые первыми
+  app.get(
+    `${base}/versions`,
+    authRequired,
+    requireOfficeRole("viewer"),
+    async (req, res, next) => {
+      try {
+        const floorId = Number(req.params.floorId);
+        const [floor, versions] = await Promise.all([
+          prisma.floor.findUnique({
+            where: { id: floorId },
+            select: { [img.field]: true },
+          }),
+          prisma.floorImage.findMany({
+            where: { floorId, kind: img.kind },
+            select: floorImageSelect,
+            orderBy: { id: "desc" },
+          }),
+        ]);
+        res.json({
+          versions: versions.map((v) => ({
+            ...v,
+            current: v.url === floor?.[img.field],
+          })),
+        });
+      } catch (e) {
+        next(e);
+      }
+    }
+  );
+
+  // POST .../{plan|firesafe}-image/versions/:versionId/restore -> { imageUrl, updatedAt, version }
+  app.post(
+    `${base}/versions/:versionId/restore`,
+    authRequired,
+    requireOfficeRole("editor"),
+    requirePermission("floor:edit"),
+    async (req, res, next) => {
+      try {
+        const floorId = Number(req.params.floorId);
+        const versionId = Number(req.params.versionId);
+        if (!Number.isInteger(versionId))
+          return res.status(400).json({ error: "Invalid versionId" });
+
+        const version = await prisma.floorImage.findFirst({
+          where: { id: versionId, floorId, kind: img.kind },
+          select: floorImageSelect,
+        });
+        if (!version)
+          return res.status(404).json({ error: "Image version not found" });
+
+        const before = await prisma.floor.findUnique({
+          where: { id: floorId },
+          select: { [img.field]: true },
+        });
+        await prisma.floor.update({
+          where: { id: floorId },
+          data: { [img.field]: version.url },
+        });
+        await audit(prisma, req, {
+          action: "restore",
+          entity: "Floor",
+          entityId: floorId,
+          before,
+          after: { [img.field]: version.url, imageId: version.id },
+        });
+        publishFloorEvent(req, floorId, img.event, {
+          imageUrl: version.url,
+          versionId: version.id,
+        });
+        res.json({
+          imageUrl: version.url,
+          updatedAt: version.createdAt,
+          version,
+        });
+      } catch (e) {
+        next(e);
+      }
+    }
+  );
+
+  // POST .../{plan|firesafe}-image/versions/:versionId/tiles -> { version }
+  // Нарезает тайлы для уже загруженной версии (если при загрузке их не просили)
+  app.post(
+    `${base}/versions/:versionId/tiles`,
+    authRequired,
+    requireOfficeRole("editor"),
+    requirePermission("floor:edit"),
+    async (req, res, next) => {
+      try {
+        const floorId = Number(req.params.floorId);
+        const versionId = Number(req.params.versionId);
+        if (!Number.isInteger(versionId))
+          return res.status(400).json({ error: "Invalid versionId" });
+
+        const version = await prisma.floorImage.findFirst({
+          where: { id: versionId, floorId, kind: img.kind },
+          select: floorImageSelect,
+        });
+        if (!version)
+          return res.status(404).json({ error: "Image version not found" });
+        if (version.tilesUrl) return res.json({ version });
+        const abs = publicUrlToPath(version.url);
+        if (!abs || !fs.existsSync(abs))
+          return res.status(404).json({ error: "Image file is missing" });
+
+        const meta = await sharp(abs).metadata();
+        const tiles = await buildTilePyramid(abs, meta);
+        const updated = await prisma.floorImage.update({
+          where: { id: versionId },
+          data: tiles,
+          select: floorImageSelect,
+        });
+        await audit(prisma, req, {
+          action: "update",
+          entity: "FloorImage",
+          entityId: versionId,
+          before: version,
+          after: updated,
+        });
+        res.json({ version: updated });
+      } catch (e) {
+        next(e);
+      }
+    }
+  );
+
+  // DELETE .../{plan|firesafe}-image/versions/:versionId -> 204 (текущую удалить нельзя)
+  app.delete(
+    `${base}/versions/:versionId`,
+    authRequired,
+    requireOfficeRole("editor"),
+    requirePermission("floor:edit"),
+    async (req, res, next) => {
+      try {
+        const floorId = Number(req.params.floorId);
+        const versionId = Number(req.params.versionId);
+        if (!Number.isInteger(versionId))
+          return res.status(400).json({ error: "Invalid versionId" });
+
+        const version = await prisma.floorImage.findFirst({
+          where: { id: versionId, floorId, kind: img.kind },
+          select: floorImageSelect,
+        });
+        if (!version)
+          return res.status(404).json({ error: "Image version not found" });
+        const floor = await prisma.floor.findUnique({
+          where: { id: floorId },
+          select: { [img.field]: true },
+        });
+        if (floor?.[img.field] === version.url)
+          return res
+            .status(409)
+            .json({ error: "Cannot delete the current image version" });
+
+        await prisma.floorImage.delete({ where: { id: versionId } });
+        await audit(prisma, req, {
+          action: "delete",
+          entity: "FloorImage",
+          entityId: versionId,
+          before: version,
+        });
+        removeFloorImageFiles(version);
+        res.status(204).end();
+      } catch (e) {
+        next(e);
+      }
+    }
+  );
+}
+
+// POST /offices/:officeId/floors/:floorId/uploads/cleanup -> { removed:[url] }
+app.post(
+  "/offices/:officeId/floors/:floorId/uploads/cleanup",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("floor:edit"),
+  async (req, res, next) => {
+    try {
+      const floorId = Number(req.params.floorId);
+      const removed = await cleanupFloorUploads(floorId);
+      await audit(prisma, req, {
+        action: "cleanup",
+        entity: "Floor",
+        entityId: floorId,
+        after: { removed },
+      });
+      res.json({ removed });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// ===================== FLOOR EXPORT / IMPORT =====================
+// Переносимый JSON-бандл этажа. Связи внутри бандла — по исходным id,
+// при импорте все id выдаются заново. Изображения (текущие план и пожарный план)
+// лежат прямо в бандле в base64; при импорте они проверяются как обычная загрузка.
+// Версия 2 несёт активы поштучно (состояние, номера, привязка к объекту на карте);
+// в версии 1 был только count — такой бандл импортируется безымянными исправными активами.
+const FLOOR_BUNDLE_FORMAT = "office-map.floor";
+const FLOOR_BUNDLE_VERSION = 2;
+const FLOOR_BUNDLE_VERSIONS = [1, 2];
+
+async function buildFloorBundle(floorId, { withImages = true } = {}) {
+  const floor = await prisma.floor.findUnique({
+    where: { id: floorId },
+    select: {
+      id: true,
+      number: true,
+      planImageUrl: true,
+      firesafeImageUrl: true,
+      metersPerPixel: true,
+      scaleCalibration: true,
+    },
+  });
+  if (!floor) return null;
+
+  const [layers, zones, inventory, zoneInventory, objects, features, assets] =
+    await Promise.all([
+      prisma.layer.findMany({
+        where: { floorId },
+        select: { id: true, name: true, type: true },
+        orderBy: { id: "asc" },
+      }),
+      prisma.zone.findMany({
+        where: { floorId },
+        select: {
+          id: true,
+          layerId: true,
+          name: true,
+          description: true,
+          coordinates: true,
+          ...zoneTypeFields,
+        },
+        orderBy: { id: "asc" },
+      }),
+      prisma.floorInventory.findMany({
+        where: { floorId },
+        select: { id: true, catalogId: true, count: true },
+        orderBy: { id: "asc" },
+      }),
+      prisma.zoneInventory.findMany({
+        where: { zone: { floorId } },
+        select: {
+          id: true,
+          zoneId: true,
+          floorInventoryId: true,
+          quantity: true,
+        },
+        orderBy: { id: "asc" },
+      }),
+      prisma.zoneObject.findMany({
+        where: { zone: { floorId } },
+        select: {
+          id: true,
+          zoneId: true,
+          zoneInventoryId: true,
+          x: true,
+          y: true,
+          rotation: true,
+        },
+        orderBy: { id: "asc" },
+      }),
+      prisma.firesafeFeature.findMany({
+        where: { floorId },
+        select: {
+          id: true,
+          layerId: true,
+          type: true,
+          name: true,
+          coordinates: true,
+          inspectedAt: true,
+          nextInspectionAt: true,
+          notes: true,
+        },
+        orderBy: { id: "asc" },
+      }),
+      // списанные — история этого этажа, в бандл не идут
+      prisma.asset.findMany({
+        where: {
+          floorInventory: { floorId },
+          condition: { not: "written_off" },
+        },
+        select: {
+          id: true,
+          floorInventoryId: true,
+          serialNumber: true,
+          inventoryNumber: true,
+          condition: true,
+          purchaseDate: true,
+          notes: true,
+          zoneObjectId: true,
+        },
+        orderBy: { id: "asc" },
+      }),
+    ]);
+
+  const images = [];
+  for (const img of FLOOR_IMAGES) {
+    const url = floor[img.field];
+    const abs = publicUrlToPath(url);
+    if (!abs || !fs.existsSync(abs)) continue;
+    const version = await prisma.floorImage.findFirst({
+      where: { floorId, kind: img.kind, url },
+      select: { mimeType: true, width: true, height: true },
+      orderBy: { id: "desc" },
+    });
+    images.push({
+      kind: img.kind,
+      fileName: path.basename(abs),
+      mimeType: version?.mimeType ?? "image/png",
+      width: version?.width ?? null,
+      height: version?.height ?? null,
+      ...(withImages ? { data: fs.readFileSync(abs).toString("base64") } : {}),
+    });
+  }
+
+  return {
+    format: FLOOR_BUNDLE_FORMAT,
+    version: FLOOR_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    floor: {
+      id: floor.id,
+      number: floor.number,
+      metersPerPixel: floor.metersPerPixel,
+      scaleCalibration: floor.scaleCalibration,
+    },
+    images,
+    layers,
+    zones,
+    inventory,
+    zoneInventory,
+    objects,
+    features,
+    assets,
+  };
+}
+
+// Проверяет структуру и внутренние ссылки бандла -> массив ошибок (пустой, если всё ок)
+async function validateFloorBundle(db, b) {
+  if (!b || typeof b !== "object") return ["bundle must be an object"];
+  const errors = [];
+  if (b.format !== FLOOR_BUNDLE_FORMAT)
+    errors.push(`format must be "${FLOOR_BUNDLE_FORMAT}"`);
+  if (!FLOOR_BUNDLE_VERSIONS.includes(b.version))
+    errors.push(`unsupported version: ${b.version}`);
+  if (b.version >= 2 && !Array.isArray(b.assets))
+    errors.push("assets must be an array");
+  for (const key of [
+    "layers",
+    "zones",
+    "inventory",
+    "zoneInventory",
+    "objects",
+  ])
+    if (!Array.isArray(b[key])) errors.push(`${key} must be an array`);
+  if (b.images != null && !Array.isArray(b.images))
+    errors.push("images must be an array");
+  // features появились позже — в старых бандлах их нет
+  if (b.features != null && !Array.isArray(b.features))
+    errors.push("features must be an array");
+  const mpp = b.floor?.metersPerPixel;
+  if (mpp != null && !(Number.isFinite(mpp) && mpp > 0))
+    errors.push("floor.metersPerPixel must be positive number");
+  if (errors.length) return errors;
+
+  // id -> запись; заодно ловим дубли и нецелые id
+  const index = (key) => {
+    const map = new Map();
+    b[key].forEach((row, i) => {
+      if (!row || !Number.isInteger(row.id))
+        errors.push(`${key}[${i}].id must be an integer`);
+      else if (map.has(row.id)) errors.push(`${key}[${i}].id is duplicated`);
+      else map.set(row.id, row);
+    });
+    return map;
+  };
+  const layers = index("layers");
+  const zones = index("zones");
+  const inventory = index("inventory");
+  const zoneInventory = index("zoneInventory");
+  // ссылки активов на объекты есть только с версии 2
+  const objects = b.version >= 2 ? index("objects") : new Map();
+  const assets = b.version >= 2 ? index("assets") : null;
+  if (errors.length) return errors;
+
+  b.layers.forEach((l, i) => {
+    if (typeof l.name !== "string" || !l.name.trim())
+      errors.push(`layers[${i}].name is required`);
+    if (!["firesafe", "custom"].includes(l.type))
+      errors.push(`layers[${i}].type must be firesafe or custom`);
+  });
+  if (b.layers.filter((l) => l.type === "firesafe").length !== 1)
+    errors.push("bundle must contain exactly one firesafe layer");
+
+  b.zones.forEach((z, i) => {
+    const layer = layers.get(z.layerId);
+    if (!layer) errors.push(`zones[${i}].layerId: unknown layer ${z.layerId}`);
+    else if (layer.type !== "custom")
+      errors.push(`zones[${i}]: zones allowed only for custom layers`);
+    const invalid = validatePolygon(z.coordinates);
+    if (invalid) errors.push(`zones[${i}].${invalid}`);
+    if (z.name != null && typeof z.name !== "string")
+      errors.push(`zones[${i}].name must be string`);
+    if (z.description != null && typeof z.description !== "string")
+      errors.push(`zones[${i}].description must be string`);
+    if (z.capacity != null && (!Number.isInteger(z.capacity) || z.capacity < 0))
+      errors.push(`zones[${i}].capacity must be integer >= 0`);
+    if (z.typeId != null && typeof z.typeId !== "string")
+      errors.push(`zones[${i}].typeId must be string`);
+  });
+  const typeIds = [
+    ...new Set(
+      b.zones.map((z) => z.typeId).filter((t) => typeof t === "string")
+    ),
+  ];
+  const zoneTypes = new Map(
+    (await db.zoneType.findMany({ where: { id: { in: typeIds } } })).map(
+      (t) => [t.id, t]
+    )
+  );
+  b.zones.forEach((z, i) => {
+    // тип, которого нет в целевой базе, не ошибка: зона импортируется без типа
+    const invalid =
+      z.attributes != null &&
+      validateZoneAttributes(z.attributes, zoneTypes.get(z.typeId));
+    if (invalid) errors.push(`zones[${i}].${invalid}`);
+  });
+
+  const catalogIds = new Set();
+  b.inventory.forEach((it, i) => {
+    if (typeof it.catalogId !== "string" || !it.catalogId)
+      errors.push(`inventory[${i}].catalogId is required`);
+    else if (catalogIds.has(it.catalogId))
+      errors.push(`inventory[${i}].catalogId is duplicated`);
+    else catalogIds.add(it.catalogId);
+    if (!Number.isInteger(it.count) || it.count < 0)
+      errors.push(`inventory[${i}].count must be integer >= 0`);
+  });
+  if (catalogIds.size) {
+    const known = await db.inventoryCatalog.findMany({
+      where: { id: { in: [...catalogIds] } },
+      select: { id: true },
+    });
+    const knownIds = new Set(known.map((c) => c.id));
+    const unknown = [...catalogIds].filter((id) => !knownIds.has(id));
+    if (unknown.length) errors.push(`unknown catalogId: ${unknown.join(", ")}`);
+  }
+
+  const allocated = new Map();
+  const pairs = new Set();
+  b.zoneInventory.forEach((zi, i) => {
+    if (!zones.has(zi.zoneId))
+      errors.push(`zoneInventory[${i}].zoneId: unknown zone ${zi.zoneId}`);
+    if (!inventory.has(zi.floorInventoryId))
+      errors.push(
+        `zoneInventory[${i}].floorInventoryId: unknown item ${zi.floorInventoryId}`
+      );
+    if (!Number.isInteger(zi.quantity) || zi.quantity < 0)
+      errors.push(`zoneInventory[${i}].quantity must be integer >= 0`);
+    const pair = `${zi.zoneId}:${zi.floorInventoryId}`;
+    if (pairs.has(pair))
+      errors.push(`zoneInventory[${i}]: duplicate (zoneId,floorInventoryId)`);
+    pairs.add(pair);
+    allocated.set(
+      zi.floorInventoryId,
+      (allocated.get(zi.floorInventoryId) ?? 0) + (zi.quantity || 0)
+    );
+  });
+  // v2: распределять можно только исправные активы; v1: весь count
+  const working = new Map();
+  if (assets) {
+    const perItem = new Map();
+    const numbers = new Set();
+    const linked = new Set();
+    b.assets.forEach((a, i) => {
+      const item = inventory.get(a.floorInventoryId);
+      if (!item)
+        errors.push(
+          `assets[${i}].floorInventoryId: unknown item ${a.floorInventoryId}`
+        );
+      if (!["ok", "broken", "in_repair"].includes(a.condition))
+        errors.push(`assets[${i}].condition must be ok, broken or in_repair`);
+      for (const key of ["serialNumber", "inventoryNumber"]) {
+        if (a[key] == null) continue;
+        if (typeof a[key] !== "string" || !a[key].trim())
+          errors.push(`assets[${i}].${key} must be non-empty string or null`);
+        else if (numbers.has(`${key}:${a[key].trim()}`))
+          errors.push(`assets[${i}].${key} is duplicated`);
+        else numbers.add(`${key}:${a[key].trim()}`);
+      }
+      if (a.purchaseDate != null && !parseDate(a.purchaseDate))
+        errors.push(`assets[${i}].purchaseDate must be a date`);
+      if (a.notes != null && typeof a.notes !== "string")
+        errors.push(`assets[${i}].notes must be string`);
+      if (a.zoneObjectId != null) {
+        const o = objects.get(a.zoneObjectId);
+        if (!o)
+          errors.push(
+            `assets[${i}].zoneObjectId: unknown object ${a.zoneObjectId}`
+          );
+        else if (
+          zoneInventory.get(o.zoneInventoryId)?.floorInventoryId !==
+          a.floorInventoryId
+        )
+          errors.push(`assets[${i}]: object is of another inventory item`);
+        if (linked.has(a.zoneObjectId))
+          errors.push(`assets[${i}]: object is linked to several assets`);
+        linked.add(a.zoneObjectId);
+      }
+      perItem.set(
+        a.floorInventoryId,
+        (perItem.get(a.floorInventoryId) ?? 0) + 1
+      );
+      if (a.condition === "ok")
+        working.set(
+          a.floorInventoryId,
+          (working.get(a.floorInventoryId) ?? 0) + 1
+        );
+    });
+    for (const [id, item] of inventory)
+      if ((perItem.get(id) ?? 0) !== item.count)
+        errors.push(
+          `inventory ${id}: count ${item.count} differs from ${
+            perItem.get(id) ?? 0
+          } assets`
+        );
+  }
+  for (const [id, used] of allocated) {
+    const item = inventory.get(id);
+    const limit = assets ? working.get(id) ?? 0 : item?.count;
+    if (item && Number.isInteger(limit) && used > limit)
+      errors.push(
+        assets
+          ? `inventory ${id}: allocated ${used} exceeds ${limit} working assets`
+          : `inventory ${id}: allocated ${used} exceeds count ${item.count}`
+      );
+  }
+
+  b.objects.forEach((o, i) => {
+    const zi = zoneInventory.get(o.zoneInventoryId);
+    if (!zones.has(o.zoneId))
+      errors.push(`objects[${i}].zoneId: unknown zone ${o.zoneId}`);
+    if (!zi)
+      errors.push(
+        `objects[${i}].zoneInventoryId: unknown zone inventory ${o.zoneInventoryId}`
+      );
+    else if (zi.zoneId !== o.zoneId)
+      errors.push(`objects[${i}]: zoneInventoryId belongs to another zone`);
+    if (!Number.isFinite(o.x) || !Number.isFinite(o.y))
+      errors.push(`objects[${i}].x and y must be numbers`);
+    if (o.rotation != null && !Number.isFinite(o.rotation))
+      errors.push(`objects[${i}].rotation must be number`);
+  });
+  const placed = new Map();
+  for (const o of b.objects)
+    placed.set(o.zoneInventoryId, (placed.get(o.zoneInventoryId) ?? 0) + 1);
+  for (const [id, n] of placed) {
+    const zi = zoneInventory.get(id);
+    if (zi && Number.isInteger(zi.quantity) && n > zi.quantity)
+      errors.push(
+        `zoneInventory ${id}: ${n} objects exceed quantity ${zi.quantity}`
+      );
+  }
+
+  (b.features ?? []).forEach((f, i) => {
+    const layer = layers.get(f?.layerId);
+    if (!layer)
+      errors.push(`features[${i}].layerId: unknown layer ${f?.layerId}`);
+    else if (layer.type !== "firesafe")
+      errors.push(`features[${i}]: features allowed only for firesafe layer`);
+    if (!FIRESAFE_FEATURE_TYPES.includes(f?.type))
+      errors.push(`features[${i}].type is invalid`);
+    else {
+      const invalid = validateFeatureCoordinates(f.type, f.coordinates);
+      if (invalid) errors.push(`features[${i}].${invalid}`);
+    }
+    for (const key of ["inspectedAt", "nextInspectionAt"])
+      if (f?.[key] != null && !parseDate(f[key]))
+        errors.push(`features[${i}].${key} must be a date`);
+  });
+
+  const kinds = new Set();
+  (b.images ?? []).forEach((img, i) => {
+    if (!FLOOR_IMAGES.some((f) => f.kind === img?.kind))
+      errors.push(`images[${i}].kind must be plan or firesafe`);
+    else if (kinds.has(img.kind))
+      errors.push(`images[${i}].kind is duplicated`);
+    else kinds.add(img.kind);
+    if (
+      !Object.values(UPLOAD_FORMATS).some((f) => f.mimeType === img?.mimeType)
+    )
+      errors.push(`images[${i}].mimeType must be png, jpeg, webp, svg or pdf`);
+    if (img?.data != null && typeof img.data !== "string")
+      errors.push(`images[${i}].data must be base64 string`);
+  });
+
+  return errors;
+}
+
+/**
+ * Убирает из бандла зоны с некорректным контуром (старые данные, записанные до
+ * проверки геометрии) вместе с их распределениями и объектами; активы остаются
+ * на этаже, но без привязки к объекту. -> { bundle, skipped:[{ zoneId, name, error }] }
+ */
+function dropInvalidZones(bundle) {
+  const skipped = bundle.zones
+    .map((z) => ({
+      zoneId: z.id,
+      name: z.name,
+      error: validatePolygon(z.coordinates),
+    }))
+    .filter((z) => z.error);
+  if (!skipped.length) return { bundle, skipped };
+  const bad = new Set(skipped.map((z) => z.zoneId));
+  const objects = bundle.objects.filter((o) => !bad.has(o.zoneId));
+  const kept = new Set(objects.map((o) => o.id));
+  return {
+    bundle: {
+      ...bundle,
+      zones: bundle.zones.filter((z) => !bad.has(z.id)),
+      zoneInventory: bundle.zoneInventory.filter((zi) => !bad.has(zi.zoneId)),
+      objects,
+      ...(bundle.assets
+        ? {
+            assets: bundle.assets.map((a) =>
+              a.zoneObjectId != null && !kept.has(a.zoneObjectId)
+                ? { ...a, zoneObjectId: null }
+                : a
+            ),
+          }
+        : {}),
+    },
+    skipped,
+  };
+}
+
+/**
+ * Создаёт этаж из проверенного бандла. Вызывать внутри транзакции.
+ * Записанные файлы изображений складываются в written, чтобы вызывающий
+ * мог удалить их, если транзакция откатится.
+ * keepNumbers=false — серийные и инвентарные номера не переносятся (копия этажа
+ * в той же базе: номера уникальны и принадлежат исходным активам). При true
+ * номер, уже занятый в базе, — 409.
+ * -> { floorId, idMap: { layers, zones, inventory, zoneInventory, objects }, numbersDropped }
+ */
+async function importFloorBundle(
+  tx,
+  bundle,
+  {
+    officeId,
+    number,
+    uploadedById,
+    written,
+    actor,
+    reason = "import",
+    keepNumbers = true,
+  }
+) {
+  const floor = await tx.floor.create({
+    data: {
+      officeId,
+      number,
+      metersPerPixel: bundle.floor?.metersPerPixel ?? null,
+      scaleCalibration: bundle.floor?.scaleCalibration ?? Prisma.DbNull,
+    },
+    select: { id: true },
+  });
+  const idMap = {
+    layers: new Map(),
+    zones: new Map(),
+    inventory: new Map(),
+    zoneInventory: new Map(),
+    objects: new Map(),
+  };
+
+  for (const l of bundle.layers) {
+    const created = await tx.layer.create({
+      data: { floorId: floor.id, name: l.name.trim(), type: l.type },
+      select: { id: true },
+    });
+    idMap.layers.set(l.id, created.id);
+  }
+  const knownTypes = new Set(
+    (
+      await tx.zoneType.findMany({
+        where: {
+          id: { in: bundle.zones.map((z) => z.typeId).filter(Boolean) },
+        },
+        select: { id: true },
+      })
+    ).map((t) => t.id)
+  );
+  for (const z of bundle.zones) {
+    const created = await tx.zone.create({
+      data: {
+        floorId: floor.id,
+        layerId: idMap.layers.get(z.layerId),
+        name: z.name ?? "",
+        description: z.description ?? "",
+        coordinates: openRing(z.coordinates),
+        typeId: knownTypes.has(z.typeId) ? z.typeId : null,
+        capacity: z.capacity ?? null,
+        attributes: z.attributes ?? {},
+      },
+      select: { id: true },
+    });
+    idMap.zones.set(z.id, created.id);
+  }
+  const items = new Map();
+  for (const it of bundle.inventory) {
+    const created = await tx.floorInventory.create({
+      data: { floorId: floor.id, catalogId: it.catalogId },
+      select: { id: true, floorId: true, catalogId: true },
+    });
+    idMap.inventory.set(it.id, created.id);
+    items.set(it.id, created);
+  }
+  for (const zi of bundle.zoneInventory) {
+    const created = await tx.zoneInventory.create({
+      data: {
+        zoneId: idMap.zones.get(zi.zoneId),
+        floorInventoryId: idMap.inventory.get(zi.floorInventoryId),
+        quantity: zi.quantity,
+      },
+      select: { id: true },
+    });
+    idMap.zoneInventory.set(zi.id, created.id);
+  }
+  // по одному: новые id объектов нужны для привязки активов
+  for (const o of bundle.objects) {
+    const created = await tx.zoneObject.create({
+      data: {
+        zoneId: idMap.zones.get(o.zoneId),
+        zoneInventoryId: idMap.zoneInventory.get(o.zoneInventoryId),
+        x: o.x,
+        y: o.y,
+        rotation: o.rotation ?? 0,
+      },
+      select: { id: true },
+    });
+    idMap.objects.set(o.id, created.id);
+  }
+
+  let numbersDropped = 0;
+  if (bundle.version >= 2) {
+    const numbered = (key) =>
+      bundle.assets.map((a) => a[key]?.trim()).filter(Boolean);
+    if (keepNumbers) {
+      const taken = await tx.asset.findMany({
+        where: {
+          OR: [
+            { serialNumber: { in: numbered("serialNumber") } },
+            { inventoryNumber: { in: numbered("inventoryNumber") } },
+          ],
+        },
+        select: { serialNumber: true, inventoryNumber: true },
+        take: 20,
+      });
+      if (taken.length)
+        throw Object.assign(
+          new Error(
+            `assets: numbers already exist: ${taken
+              .map((a) => a.serialNumber ?? a.inventoryNumber)
+              .join(", ")}`
+          ),
+          { status: 409 }
+        );
+    } else
+      numbersDropped = bundle.assets.filter(
+        (a) => a.serialNumber?.trim() || a.inventoryNumber?.trim()
+      ).length;
+    for (const [oldId, item] of items) {
+      const list = bundle.assets.filter((a) => a.floorInventoryId === oldId);
+      if (!list.length) continue;
+      const created = await tx.asset.createManyAndReturn({
+        data: list.map((a) => ({
+          floorInventoryId: item.id,
+          serialNumber: keepNumbers ? a.serialNumber?.trim() || null : null,
+          inventoryNumber: keepNumbers
+            ? a.inventoryNumber?.trim() || null
+            : null,
+          condition: a.condition,
+          purchaseDate: parseDate(a.purchaseDate),
+          notes: a.notes ?? "",
+          zoneObjectId:
+            a.zoneObjectId != null ? idMap.objects.get(a.zoneObjectId) : null,
+        })),
+        select: { id: true },
+      });
+      await recordMovement(tx, {
+        actor,
+        floorId: item.floorId,
+        catalogId: item.catalogId,
+        type: "receipt",
+        delta: created.length,
+        reason,
+        assetIds: created.map((a) => a.id),
+      });
+      await syncInventoryCount(tx, item.id);
+    }
+  } else
+    for (const it of bundle.inventory)
+      if (it.count) {
+        const item = items.get(it.id);
+        await receiveAssets(tx, item, it.count, { actor, reason });
+        await syncInventoryCount(tx, item.id);
+      }
+  if (bundle.features?.length)
+    await tx.firesafeFeature.createMany({
+      data: bundle.features.map((f) => ({
+        floorId: floor.id,
+        layerId: idMap.layers.get(f.layerId),
+        type: f.type,
+        name: f.name ?? "",
+        coordinates: f.coordinates,
+        inspectedAt: parseDate(f.inspectedAt),
+        nextInspectionAt: parseDate(f.nextInspectionAt),
+        notes: f.notes ?? "",
+      })),
+    });
+
+  const withData = (bundle.images ?? []).filter((img) => img.data);
+  if (withData.length) {
+    const dir = path.join(UPLOAD_ROOT, "floors", String(floor.id));
+    fs.mkdirSync(dir, { recursive: true });
+    for (const img of withData) {
+      const meta = FLOOR_IMAGES.find((f) => f.kind === img.kind);
+      // Байты и mimeType из бандла не доверенные: тот же путь, что у загрузки —
+      // формат по содержимому, очистка SVG/PDF, случайное имя с расширением по формату
+      const tmp = path.join(dir, `${crypto.randomUUID()}.upload`);
+      fs.writeFileSync(tmp, Buffer.from(img.data, "base64"));
+      written.push(tmp);
+      const raster = await rasterizeUpload({
+        path: tmp,
+        mimetype: img.mimeType,
+      }).catch((e) => {
+        if (!e.status) throw e;
+        throw Object.assign(new Error(`images: ${img.kind}: ${e.message}`), {
+          status: 400,
+        });
+      });
+      written.push(raster.rasterPath);
+      if (raster.originalPath) written.push(raster.originalPath);
+      const processed = await processFloorImage(raster.rasterPath).catch(() => {
+        throw Object.assign(
+          new Error(`images: ${img.kind} is not a readable image`),
+          { status: 400 }
+        );
+      });
+      written.push(...processed.files);
+      const url = toPublicUrl(raster.rasterPath);
+      await tx.floorImage.create({
+        data: {
+          floorId: floor.id,
+          kind: img.kind,
+          url,
+          mimeType: raster.mimeType,
+          width: processed.width,
+          height: processed.height,
+          size: fs.statSync(raster.rasterPath).size,
+          originalUrl: raster.originalPath
+            ? toPublicUrl(raster.originalPath)
+            : null,
+          originalMimeType: raster.originalMimeType,
+          thumbnailUrl: processed.thumbnailUrl,
+          uploadedById,
+        },
+      });
+      await tx.floor.update({
+        where: { id: floor.id },
+        data: { [meta.field]: url },
+      });
+    }
+  }
+
+  return { floorId: floor.id, idMap, numbersDropped };
+}
+
+// GET /offices/:officeId/floors/:floorId/export[?images=0] -> бандл (attachment)
+app.get(
+  "/offices/:officeId/floors/:floorId/export",
+  authRequired,
+  requireOfficeRole("viewer"),
+  async (req, res, next) => {
+    try {
+      const floorId = Number(req.params.floorId);
+      const bundle = await buildFloorBundle(floorId, {
+        withImages: req.query.images !== "0",
+      });
+      if (!bundle) return res.status(404).json({ error: "Floor not found" });
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="floor-${bundle.floor.number}.json"`
+      );
+      res.json(bundle);
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// POST /offices/:officeId/floors/import { bundle, floorNumber? } -> 201 { floorId }
+// (можно прислать и сам бандл без обёртки). Номер по умолчанию — из бандла.
+app.post(
+  "/offices/:officeId/floors/import",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("floor:create"),
+  async (req, res, next) => {
+    const written = [];
+    try {
+      const officeId = Number(req.params.officeId);
+      const body = req.body || {};
+      const bundle = body.bundle ?? body;
+      const number = body.floorNumber ?? bundle?.floor?.number;
+      if (!Number.isInteger(number))
+        return res.status(400).json({ error: "floorNumber must be integer" });
+
+      const office = await prisma.office.findUnique({
+        where: { id: officeId },
+        select: { id: true },
+      });
+      if (!office) return res.status(404).json({ error: "Office not found" });
+
+      const errors = await validateFloorBundle(prisma, bundle);
+      if (errors.length)
+        return res
+          .status(400)
+          .json({ error: "Invalid bundle", details: errors.slice(0, 50) });
+
+      const user = await currentUser(req);
+      const result = await prisma
+        .$transaction(
+          async (tx) => {
+            const imported = await importFloorBundle(tx, bundle, {
+              officeId,
+              number,
+              uploadedById: user?.id ?? null,
+              written,
+              actor: req.user.sub,
+            });
+            await audit(tx, req, {
+              action: "import",
+              entity: "Floor",
+              entityId: imported.floorId,
+              floorId: imported.floorId,
+              after: {
+                number,
+                sourceFloorId: bundle.floor?.id ?? null,
+                layers: bundle.layers.length,
+                zones: bundle.zones.length,
+                inventory: bundle.inventory.length,
+                objects: bundle.objects.length,
+                assets: bundle.assets?.length ?? null,
+              },
+            });
+            return imported;
+          },
+          { timeout: 60_000 }
+        )
+        .catch((e) => {
+          if (e.code === "P2002") return { conflict: true };
+          throw e;
+        });
+
+      if (result.conflict) {
+        for (const f of written) fs.rmSync(f, { force: true });
+        return res.status(409).json({ error: "Floor number already exists" });
+      }
+      res.status(201).json({ floorId: result.floorId });
+    } catch (e) {
+      for (const f of written) fs.rmSync(f, { force: true });
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      next(e);
+    }
+  }
+);
+
+// ===================== DUPLICATE FLOOR / LAYER =====================
+// POST /offices/:officeId/floors/:floorId/duplicate { floorNumber, targetOfficeId? }
+// -> 201 { floorId, officeId, numbersDropped, skippedZones? }. Копия собирается через тот же бандл,
+// что и экспорт. Серийные и инвентарные номера уникальны и в копию не переносятся:
+// numbersDropped — у скольких активов они были. Зоны с некорректным контуром не
+// копируются и перечисляются в skippedZones.
+app.post(
+  "/offices/:officeId/floors/:floorId/duplicate",
+  authRequired,
+  requireOfficeRole("viewer"),
+  requirePermission("floor:create"),
+  async (req, res, next) => {
+    const written = [];
+    try {
+      const floorId = Number(req.params.floorId);
+      const { floorNumber } = req.body || {};
+      const targetOfficeId =
+        req.body?.targetOfficeId ?? Number(req.params.officeId);
+      if (!Number.isInteger(floorNumber))
+        return res.status(400).json({ error: "floorNumber must be integer" });
+      if (!Number.isInteger(targetOfficeId))
+        return res.status(400).json({ error: "Invalid targetOfficeId" });
+
+      const office = await prisma.office.findUnique({
+        where: { id: targetOfficeId },
+        select: { id: true },
+      });
+      if (!office)
+        return res.status(404).json({ error: "Target office not found" });
+      if (!hasOfficeRole(await officeRoleOf(req, targetOfficeId), "editor"))
+        return res.status(403).json({ error: "Forbidden" });
+
+      const source = await buildFloorBundle(floorId);
+      if (!source) return res.status(404).json({ error: "Floor not found" });
+      // зоны с битым контуром не копируем, а перечисляем в ответе
+      const { bundle, skipped } = dropInvalidZones(source);
+      const errors = await validateFloorBundle(prisma, bundle);
+      if (errors.length)
+        return res.status(422).json({
+          error: "Source floor is inconsistent",
+          details: errors.slice(0, 50),
+        });
+
+      const user = await currentUser(req);
+      const result = await prisma
+        .$transaction(
+          async (tx) => {
+            const copy = await importFloorBundle(tx, bundle, {
+              officeId: targetOfficeId,
+              number: floorNumber,
+              uploadedById: user?.id ?? null,
+              written,
+              actor: req.user.sub,
+              reason: `duplicated from floor ${floorId}`,
+              keepNumbers: false,
+            });
+            await audit(tx, req, {
+              action: "duplicate",
+              entity: "Floor",
+              entityId: copy.floorId,
+              officeId: targetOfficeId,
+              floorId: copy.floorId,
+              after: {
+                sourceFloorId: floorId,
+                number: floorNumber,
+                numbersDropped: copy.numbersDropped,
+                skippedZones: skipped.map((z) => z.zoneId),
+              },
+            });
+            return copy;
+          },
+          { timeout: 60_000 }
+        )
+        .catch((e) => {
+          if (e.code === "P2002") return { conflict: true };
+          throw e;
+        });
+
+      if (result.conflict) {
+        for (const f of written) fs.rmSync(f, { force: true });
+        return res.status(409).json({ error: "Floor number already exists" });
+      }
+      res.status(201).json({
+        floorId: result.floorId,
+        officeId: targetOfficeId,
+        numbersDropped: result.numbersDropped,
+        ...(skipped.length ? { skippedZones: skipped } : {}),
+      });
+    } catch (e) {
+      for (const f of written) fs.rmSync(f, { force: true });
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      next(e);
+    }
+  }
+);
+
+// POST .../layers/:layerId/duplicate { targetFloorId?, targetOfficeId?, name? }
+// -> 201 { layerId, floorId }
+// Копирует зоны, распределение инвентаря и объекты. Инвентарь берётся из
+// FloorInventory целевого этажа: если каких-то позиций не хватает — 409 со списком.
+app.post(
+  "/offices/:officeId/floors/:floorId/layers/:layerId/duplicate",
+  authRequired,
+  requireOfficeRole("viewer"),
+  requirePermission("layer:edit"),
+  async (req, res, next) => {
+    try {
+      const floorId = Number(req.params.floorId);
+      const layerId = Number(req.params.layerId);
+      const targetOfficeId =
+        req.body?.targetOfficeId ?? Number(req.params.officeId);
+      const targetFloorId = req.body?.targetFloorId ?? floorId;
+      const { name } = req.body || {};
+      if (!Number.isInteger(targetOfficeId) || !Number.isInteger(targetFloorId))
+        return res
+          .status(400)
+          .json({ error: "Invalid targetOfficeId or targetFloorId" });
+      if (name != null && (typeof name !== "string" || !name.trim()))
+        return res.status(400).json({ error: "name must be non-empty string" });
+
+      const targetFloor = await prisma.floor.findFirst({
+        where: { id: targetFloorId, officeId: targetOfficeId },
+        select: { id: true },
+      });
+      if (!targetFloor)
+        return res.status(404).json({ error: "Target floor not found" });
+      if (!hasOfficeRole(await officeRoleOf(req, targetOfficeId), "editor"))
+        return res.status(403).json({ error: "Forbidden" });
+
+      const source = await prisma.layer.findUnique({
+        where: { id: layerId },
+        select: {
+          name: true,
+          type: true,
+          zones: {
+            select: {
+              id: true,
+              name: true,
+              description: true,
+              coordinates: true,
+              ...zoneTypeFields,
+              zoneInventory: {
+                select: {
+                  id: true,
+                  quantity: true,
+                  floorInventory: { select: { catalogId: true } },
+                },
+              },
+              objects: {
+                select: {
+                  zoneInventoryId: true,
+                  x: true,
+                  y: true,
+                  rotation: true,
+                },
+              },
+            },
+            orderBy: { id: "asc" },
+          },
+        },
+      });
+      if (source.type !== "custom")
+        return res
+          .status(400)
+          .json({ error: "Only custom layers can be duplicated" });
+
+      const needed = new Map(); // catalogId -> сколько распределено в слое
+      for (const z of source.zones)
+        for (const zi of z.zoneInventory) {
+          const key = zi.floorInventory.catalogId;
+          needed.set(key, (needed.get(key) ?? 0) + zi.quantity);
+        }
+
+      const layerName =
+        name?.trim() ??
+        (targetFloorId === floorId ? `${source.name} (копия)` : source.name);
+
+      const created = await prisma.$transaction(
+        async (tx) => {
+          const items = await tx.floorInventory.findMany({
+            where: {
+              floorId: targetFloorId,
+              catalogId: { in: [...needed.keys()] },
+            },
+            select: { id: true, catalogId: true, count: true },
+            orderBy: { id: "asc" },
+          });
+          // Блокируем позиции до подсчёта остатков, иначе параллельное
+          // распределение успеет занять тот же инвентарь между проверкой и вставкой
+          for (const item of items) await lockInventory(tx, item.id);
+          const used = await tx.zoneInventory.groupBy({
+            by: ["floorInventoryId"],
+            where: { floorInventoryId: { in: items.map((i) => i.id) } },
+            _sum: { quantity: true },
+          });
+          const usedById = new Map(
+            used.map((u) => [u.floorInventoryId, u._sum.quantity ?? 0])
+          );
+          const byCatalog = new Map(items.map((i) => [i.catalogId, i]));
+          const stats = await assetStats(
+            tx,
+            items.map((i) => i.id)
+          );
+
+          const shortages = [];
+          for (const [catalogId, qty] of needed) {
+            const item = byCatalog.get(catalogId);
+            const available = item
+              ? stats.get(item.id).ok - (usedById.get(item.id) ?? 0)
+              : 0;
+            if (qty > available)
+              shortages.push({ catalogId, needed: qty, available });
+          }
+          if (shortages.length) {
+            const err = new Error("Not enough inventory on target floor");
+            err.status = 409;
+            err.shortages = shortages;
+            throw err;
+          }
+
+          const layer = await tx.layer.create({
+            data: { floorId: targetFloorId, name: layerName, type: "custom" },
+            select: { id: true, name: true, type: true },
+          });
+          for (const z of source.zones) {
+            const zone = await tx.zone.create({
+              data: {
+                layerId: layer.id,
+                floorId: targetFloorId,
+                name: z.name,
+                description: z.description,
+                coordinates: z.coordinates,
+                typeId: z.typeId,
+                capacity: z.capacity,
+                attributes: z.attributes,
+              },
+              select: { id: true },
+            });
+            const ziIds = new Map();
+            for (const zi of z.zoneInventory) {
+              const row = await tx.zoneInventory.create({
+                data: {
+                  zoneId: zone.id,
+                  floorInventoryId: byCatalog.get(zi.floorInventory.catalogId)
+                    .id,
+                  quantity: zi.quantity,
+                },
+                select: { id: true },
+              });
+              ziIds.set(zi.id, row.id);
+            }
+            if (z.objects.length)
+              await tx.zoneObject.createMany({
+                data: z.objects.map((o) => ({
+                  zoneId: zone.id,
+                  zoneInventoryId: ziIds.get(o.zoneInventoryId),
+                  x: o.x,
+                  y: o.y,
+                  rotation: o.rotation,
+                })),
+              });
+          }
+          await audit(tx, req, {
+            action: "duplicate",
+            entity: "Layer",
+            entityId: layer.id,
+            officeId: targetOfficeId,
+            floorId: targetFloorId,
+            after: {
+              ...layer,
+              sourceLayerId: layerId,
+              zones: source.zones.length,
+            },
+          });
+          return layer;
+        },
+        { timeout: 60_000 }
+      );
+
+      publishFloorEvent(req, targetFloorId, "layer.created", created);
+      res.status(201).json({ layerId: created.id, floorId: targetFloorId });
+    } catch (e) {
+      if (e.status)
+        return res
+          .status(e.status)
+          .json({ error: e.message, shortages: e.shortages });
+      next(e);
+    }
+  }
+);
+
+// ===================== LAYERS =====================
+app.get(
+  "/offices/:officeId/floors/:floorId/layers",
+  authRequired,
+  requireOfficeRole("viewer"),
+  async (req, res, next) => {
+    try {
+      const floorId = Number(req.params.floorId);
+      const floor = await prisma.floor.findUnique({
+        where: { id: floorId },
+        select: { firesafeImageUrl: true },
+      });
+      const layers = await prisma.layer.findMany({
+        where: { floorId },
+        select: { id: true, name: true, type: true },
+        orderBy: [{ type: "asc" }, { id: "asc" }],
+      });
+      const result = layers.map((l) => ({
+        id: l.id,
         name: l.name,
         type: l.type,
         hasImage: l.type === "firesafe" ? !!floor?.firesafeImageUrl : undefined,
@@ -360,827 +2448,7269 @@ app.get(
 );
 
 app.post(
-  "/offices/:officeId/floors/:floorId/layers",
+  "/offices/:officeId/floors/:floorId/layers",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("layer:edit"),
+  async (req, res, next) => {
+    try {
+      const floorId = Number(req.params.floorId);
+      const { name } = req.body;
+      if (!name?.trim())
+        return res.status(400).json({ error: "name required" });
+      const layer = await prisma.layer.create({
+        data: { floorId, name: name.trim(), type: "custom" },
+        select: { id: true, name: true, type: true },
+      });
+      await audit(prisma, req, {
+        action: "create",
+        entity: "Layer",
+        entityId: layer.id,
+        after: layer,
+      });
+      publishFloorEvent(req, floorId, "layer.created", layer);
+      res.status(201).json({ layerId: layer.id, name: layer.name });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+app.get(
+  "/offices/:officeId/floors/:floorId/layers/:layerId",
+  authRequired,
+  requireOfficeRole("viewer"),
+  async (req, res, next) => {
+    try {
+      const floorId = Number(req.params.floorId);
+      const layerId = Number(req.params.layerId);
+
+      const layer = await prisma.layer.findFirst({
+        where: { id: layerId, floorId },
+        select: {
+          id: true,
+          name: true,
+          type: true,
+          floor: { select: { firesafeImageUrl: true, metersPerPixel: true } },
+        },
+      });
+      if (!layer) return res.status(404).json({ error: "Layer not found" });
+
+      if (layer.type === "firesafe") {
+        const features = await prisma.firesafeFeature.findMany({
+          where: { layerId },
+          select: firesafeFeatureSelect,
+          orderBy: { id: "asc" },
+        });
+        return res.json({
+          id: layer.id,
+          name: layer.name,
+          type: layer.type,
+          imageUrl: layer.floor.firesafeImageUrl ?? null,
+          features: features.map(featureView),
+        });
+      }
+
+      const filter = zoneFilterWhere(req.query);
+      if (filter.error) return res.status(400).json({ error: filter.error });
+      const zones = await prisma.zone.findMany({
+        where: { layerId, ...filter.where },
+        select: {
+          id: true,
+          name: true,
+          description: true,
+          coordinates: true,
+          ...zoneTypeFields,
+          type: true,
+        },
+        orderBy: { id: "asc" },
+      });
+      const now = new Date();
+      const [occupied, seated] = await Promise.all([
+        occupiedZoneIds(
+          zones.map((z) => z.id),
+          now
+        ),
+        seatedByZone(
+          zones.map((z) => z.id),
+          now
+        ),
+      ]);
+      res.json({
+        id: layer.id,
+        name: layer.name,
+        type: layer.type,
+        zones: zones.map((z) => ({
+          ...z,
+          status: occupied.has(z.id) ? "occupied" : "free",
+          seatedUser: seated.get(z.id) ?? null,
+          ...(validatePolygon(z.coordinates)
+            ? {}
+            : zoneMeasurements(z.coordinates, layer.floor.metersPerPixel)),
+        })),
+      });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+app.delete(
+  "/offices/:officeId/floors/:floorId/layers/:layerId",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("layer:edit"),
+  async (req, res, next) => {
+    try {
+      const floorId = Number(req.params.floorId);
+      const layerId = Number(req.params.layerId);
+      const layer = await prisma.layer.findFirst({
+        where: { id: layerId, floorId },
+        select: { id: true, name: true, type: true },
+      });
+      if (!layer) return res.status(404).json({ error: "Layer not found" });
+      if (layer.type === "firesafe")
+        return res.status(400).json({ error: "Cannot delete firesafe layer" });
+      await prisma.layer.delete({ where: { id: layerId } });
+      await audit(prisma, req, {
+        action: "delete",
+        entity: "Layer",
+        entityId: layerId,
+        before: layer,
+      });
+      publishFloorEvent(req, floorId, "layer.deleted", { id: layerId });
+      res.status(204).end();
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// ===================== ZONE GEOMETRY =====================
+// Координаты зоны — плоский массив [x1,y1,x2,y2,...] в пикселях плана.
+const ZONE_MIN_AREA = Number(process.env.ZONE_MIN_AREA) || 1;
+// Что делать с пересечением зон одного слоя: allow | warn | reject.
+// Можно переопределить на запрос через ?overlap=...
+const ZONE_OVERLAP_POLICIES = ["allow", "warn", "reject"];
+const ZONE_OVERLAP_POLICY = ZONE_OVERLAP_POLICIES.includes(
+  process.env.ZONE_OVERLAP_POLICY
+)
+  ? process.env.ZONE_OVERLAP_POLICY
+  : "warn";
+// Объект вне контура своей зоны: allow | warn | reject (?placement=...)
+const OBJECT_PLACEMENT_POLICY = ZONE_OVERLAP_POLICIES.includes(
+  process.env.OBJECT_PLACEMENT_POLICY
+)
+  ? process.env.OBJECT_PLACEMENT_POLICY
+  : "warn";
+const EPS = 1e-9;
+
+// Замкнутое кольцо (последняя точка = первой, как в GeoJSON/SVG) -> открытое
+function openRing(coords) {
+  const n = coords.length;
+  if (
+    n >= 8 &&
+    Math.abs(coords[0] - coords[n - 2]) <= EPS &&
+    Math.abs(coords[1] - coords[n - 1]) <= EPS
+  )
+    return coords.slice(0, -2);
+  return coords;
+}
+
+function toPoints(coords) {
+  coords = openRing(coords);
+  const pts = [];
+  for (let i = 0; i < coords.length; i += 2)
+    pts.push([coords[i], coords[i + 1]]);
+  return pts;
+}
+
+// Площадь со знаком (формула шнурования)
+function signedArea(pts) {
+  let s = 0;
+  for (let i = 0; i < pts.length; i++) {
+    const [x1, y1] = pts[i];
+    const [x2, y2] = pts[(i + 1) % pts.length];
+    s += x1 * y2 - x2 * y1;
+  }
+  return s / 2;
+}
+
+function cross(o, a, b) {
+  return (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+}
+
+function onSegment(p, a, b) {
+  return (
+    Math.abs(cross(a, b, p)) <= EPS &&
+    p[0] >= Math.min(a[0], b[0]) - EPS &&
+    p[0] <= Math.max(a[0], b[0]) + EPS &&
+    p[1] >= Math.min(a[1], b[1]) - EPS &&
+    p[1] <= Math.max(a[1], b[1]) + EPS
+  );
+}
+
+// Пересекаются ли отрезки ab и cd (включая касание концами)
+function segmentsIntersect(a, b, c, d) {
+  const d1 = cross(c, d, a);
+  const d2 = cross(c, d, b);
+  const d3 = cross(a, b, c);
+  const d4 = cross(a, b, d);
+  if (
+    ((d1 > EPS && d2 < -EPS) || (d1 < -EPS && d2 > EPS)) &&
+    ((d3 > EPS && d4 < -EPS) || (d3 < -EPS && d4 > EPS))
+  )
+    return true;
+  return (
+    onSegment(a, c, d) ||
+    onSegment(b, c, d) ||
+    onSegment(c, a, b) ||
+    onSegment(d, a, b)
+  );
+}
+
+// Собственное пересечение отрезков: только крест-накрест, касание не считается
+function segmentsCross(a, b, c, d) {
+  const d1 = cross(c, d, a);
+  const d2 = cross(c, d, b);
+  const d3 = cross(a, b, c);
+  const d4 = cross(a, b, d);
+  return (
+    ((d1 > EPS && d2 < -EPS) || (d1 < -EPS && d2 > EPS)) &&
+    ((d3 > EPS && d4 < -EPS) || (d3 < -EPS && d4 > EPS))
+  );
+}
+
+// Точка строго внутри многоугольника (на границе — false)
+function pointInPolygon(p, pts) {
+  let inside = false;
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+    const a = pts[i];
+    const b = pts[j];
+    if (onSegment(p, a, b)) return false;
+    if (
+      a[1] > p[1] !== b[1] > p[1] &&
+      p[0] < ((b[0] - a[0]) * (p[1] - a[1])) / (b[1] - a[1]) + a[0]
+    )
+      inside = !inside;
+  }
+  return inside;
+}
+
+// Точка внутри многоугольника или на его границе
+function polygonContains(coords, x, y) {
+  const pts = toPoints(coords);
+  const p = [x, y];
+  for (let i = 0; i < pts.length; i++)
+    if (onSegment(p, pts[i], pts[(i + 1) % pts.length])) return true;
+  return pointInPolygon(p, pts);
+}
+
+function centroid(pts) {
+  const a = signedArea(pts);
+  let cx = 0;
+  let cy = 0;
+  for (let i = 0; i < pts.length; i++) {
+    const [x1, y1] = pts[i];
+    const [x2, y2] = pts[(i + 1) % pts.length];
+    const f = x1 * y2 - x2 * y1;
+    cx += (x1 + x2) * f;
+    cy += (y1 + y2) * f;
+  }
+  return [cx / (6 * a), cy / (6 * a)];
+}
+
+function polygonPerimeter(pts) {
+  let s = 0;
+  for (let i = 0; i < pts.length; i++) {
+    const [x1, y1] = pts[i];
+    const [x2, y2] = pts[(i + 1) % pts.length];
+    s += Math.hypot(x2 - x1, y2 - y1);
+  }
+  return s;
+}
+
+function round2(v) {
+  return Math.round(v * 100) / 100;
+}
+
+// Площадь и периметр зоны; метрические значения — только для откалиброванного этажа
+function zoneMeasurements(coords, metersPerPixel) {
+  const pts = toPoints(coords);
+  const areaPx = Math.abs(signedArea(pts));
+  const perimeterPx = polygonPerimeter(pts);
+  const k = metersPerPixel ?? null;
+  return {
+    areaPx: round2(areaPx),
+    perimeterPx: round2(perimeterPx),
+    areaM2: k ? round2(areaPx * k * k) : null,
+    perimeterM: k ? round2(perimeterPx * k) : null,
+  };
+}
+
+/**
+ * Проверяет координаты зоны. Возвращает текст ошибки или null.
+ * Требования: массив конечных чисел чётной длины, >= 3 точек (замыкающая точка,
+ * равная первой, не считается), простой многоугольник (рёбра не пересекаются), площадь >= ZONE_MIN_AREA.
+ */
+function validatePolygon(coords) {
+  if (!Array.isArray(coords) || coords.length < 6)
+    return "coordinates must be [x1,y1,...] with >= 3 points";
+  if (!coords.every((v) => typeof v === "number" && Number.isFinite(v)))
+    return "coordinates must contain only finite numbers";
+  if (coords.length % 2 !== 0)
+    return "coordinates must have even length (x,y pairs)";
+
+  const pts = toPoints(coords);
+  const n = pts.length;
+  if (n < 3) return "coordinates must be [x1,y1,...] with >= 3 points";
+  for (let i = 0; i < n; i++) {
+    const [x1, y1] = pts[i];
+    const [x2, y2] = pts[(i + 1) % n];
+    if (Math.abs(x1 - x2) <= EPS && Math.abs(y1 - y2) <= EPS)
+      return `coordinates: duplicate consecutive point #${i + 1}`;
+  }
+  for (let i = 0; i < n; i++) {
+    const a = pts[i];
+    const b = pts[(i + 1) % n];
+    for (let j = i + 1; j < n; j++) {
+      // соседние рёбра делят вершину — их не сравниваем
+      if (j === i + 1 || (i === 0 && j === n - 1)) continue;
+      if (segmentsIntersect(a, b, pts[j], pts[(j + 1) % n]))
+        return `coordinates: polygon is self-intersecting (edges ${i + 1} and ${
+          j + 1
+        })`;
+    }
+  }
+  if (Math.abs(signedArea(pts)) < ZONE_MIN_AREA)
+    return `coordinates: polygon area must be >= ${ZONE_MIN_AREA}`;
+  return null;
+}
+
+// Перекрываются ли внутренности двух простых многоугольников.
+// Общая граница (соседние столы) перекрытием не считается.
+function polygonsOverlap(coordsA, coordsB) {
+  const a = toPoints(coordsA);
+  const b = toPoints(coordsB);
+  for (let i = 0; i < a.length; i++)
+    for (let j = 0; j < b.length; j++)
+      if (
+        segmentsCross(a[i], a[(i + 1) % a.length], b[j], b[(j + 1) % b.length])
+      )
+        return true;
+  if (a.some((p) => pointInPolygon(p, b))) return true;
+  if (b.some((p) => pointInPolygon(p, a))) return true;
+  // совпадающие многоугольники: все вершины на границе
+  return pointInPolygon(centroid(a), b) || pointInPolygon(centroid(b), a);
+}
+
+function overlapPolicy(req) {
+  const p = req.query.overlap;
+  return ZONE_OVERLAP_POLICIES.includes(p) ? p : ZONE_OVERLAP_POLICY;
+}
+
+function placementPolicy(req) {
+  const p = req.query.placement;
+  return ZONE_OVERLAP_POLICIES.includes(p) ? p : OBJECT_PLACEMENT_POLICY;
+}
+
+// Проверяет, что объект стоит внутри своей зоны. При reject бросает 400.
+// Вызывать в транзакции записи: строка зоны блокируется, чтобы контур не поменялся
+// между проверкой и сохранением объекта.
+async function checkObjectPlacement(tx, req, zoneId, x, y) {
+  const policy = placementPolicy(req);
+  if (policy === "allow") return [];
+  await tx.$queryRaw`SELECT id FROM "Zone" WHERE id = ${zoneId} FOR UPDATE`;
+  const zone = await tx.zone.findUnique({
+    where: { id: zoneId },
+    select: { coordinates: true },
+  });
+  if (!zone || validatePolygon(zone.coordinates)) return [];
+  if (polygonContains(zone.coordinates, x, y)) return [];
+  const message = `Object (${x}, ${y}) is outside zone #${zoneId}`;
+  if (policy === "reject")
+    throw Object.assign(new Error(message), { status: 400 });
+  return [{ zoneId, message }];
+}
+
+// Зоны того же слоя, с которыми пересекается новый контур
+async function findOverlappingZones(db, layerId, coords, excludeZoneId) {
+  const zones = await db.zone.findMany({
+    where: {
+      layerId,
+      ...(excludeZoneId ? { id: { not: excludeZoneId } } : {}),
+    },
+    select: { id: true, name: true, coordinates: true },
+  });
+  return zones
+    .filter(
+      (z) =>
+        !validatePolygon(z.coordinates) &&
+        polygonsOverlap(coords, z.coordinates)
+    )
+    .map((z) => ({ zoneId: z.id, name: z.name }));
+}
+
+// Применяет политику пересечений: при reject бросает 409, при warn — возвращает предупреждения
+async function checkZoneOverlap(db, req, layerId, coords, excludeZoneId) {
+  const policy = overlapPolicy(req);
+  if (policy === "allow") return [];
+  const overlaps = await findOverlappingZones(
+    db,
+    layerId,
+    coords,
+    excludeZoneId
+  );
+  if (!overlaps.length) return [];
+  const names = overlaps
+    .map((o) => `#${o.zoneId}${o.name ? ` "${o.name}"` : ""}`)
+    .join(", ");
+  if (policy === "reject")
+    throw Object.assign(new Error(`Zone overlaps ${names}`), {
+      status: 409,
+      overlaps,
+    });
+  return overlaps.map((o) => ({
+    ...o,
+    message: `Zone overlaps #${o.zoneId}${o.name ? ` "${o.name}"` : ""}`,
+  }));
+}
+
+// ===================== ZONE TYPES =====================
+// Справочник типов зон. Тип задаёт набор атрибутов, которые можно проставить зоне:
+// [{ key, label, type: boolean|number|string }]. Сама зона хранит capacity и attributes.
+const ZONE_ATTRIBUTE_TYPES = ["boolean", "number", "string"];
+const ATTRIBUTE_KEY_RE = /^[a-z][a-z0-9_]{0,63}$/;
+
+const zoneTypeFields = { typeId: true, capacity: true, attributes: true };
+
+function validateAttributeSchema(list) {
+  if (!Array.isArray(list)) return "attributes must be an array";
+  const keys = new Set();
+  for (const [i, a] of list.entries()) {
+    if (!a || typeof a.key !== "string" || !ATTRIBUTE_KEY_RE.test(a.key))
+      return `attributes[${i}].key must match [a-z0-9_]`;
+    if (keys.has(a.key)) return `attributes[${i}].key is duplicated`;
+    keys.add(a.key);
+    if (!ZONE_ATTRIBUTE_TYPES.includes(a.type))
+      return `attributes[${i}].type must be one of: ${ZONE_ATTRIBUTE_TYPES.join(
+        ", "
+      )}`;
+    if (a.label != null && typeof a.label !== "string")
+      return `attributes[${i}].label must be string`;
+  }
+  return null;
+}
+
+function validateZoneTypeFields(body, { partial }) {
+  const data = {};
+  const { displayName, color, attributes } = body || {};
+  if (displayName !== undefined || !partial) {
+    if (typeof displayName !== "string" || !displayName.trim())
+      return { error: "displayName is required" };
+    data.displayName = displayName.trim();
+  }
+  if (color !== undefined) {
+    if (color !== null && !/^#[0-9a-fA-F]{6}$/.test(color))
+      return { error: "color must be #RRGGBB or null" };
+    data.color = color;
+  }
+  if (attributes !== undefined) {
+    const invalid = validateAttributeSchema(attributes);
+    if (invalid) return { error: invalid };
+    data.attributes = attributes.map((a) => ({
+      key: a.key,
+      label: a.label ?? a.key,
+      type: a.type,
+    }));
+  }
+  return { data };
+}
+
+// Атрибуты зоны: плоский объект скаляров; у типа со схемой — только её ключи и типы
+function validateZoneAttributes(attrs, zoneType) {
+  if (!attrs || typeof attrs !== "object" || Array.isArray(attrs))
+    return "attributes must be an object";
+  const schema = new Map(
+    (zoneType?.attributes ?? []).map((a) => [a.key, a.type])
+  );
+  for (const [key, value] of Object.entries(attrs)) {
+    if (!ZONE_ATTRIBUTE_TYPES.includes(typeof value))
+      return `attributes.${key} must be boolean, number or string`;
+    if (!schema.size) continue;
+    if (!schema.has(key))
+      return `attributes.${key} is not defined for zone type ${zoneType.id}`;
+    if (typeof value !== schema.get(key))
+      return `attributes.${key} must be ${schema.get(key)}`;
+  }
+  return null;
+}
+
+/**
+ * typeId / capacity / attributes из тела POST/PATCH зоны. existing — текущая зона при PATCH:
+ * при смене типа её атрибуты перепроверяются по схеме нового.
+ * -> { error } | { data }
+ */
+async function parseZoneTypeFields(db, body, existing) {
+  const b = body || {};
+  const data = {};
+  if (b.capacity !== undefined) {
+    if (
+      b.capacity !== null &&
+      (!Number.isInteger(b.capacity) || b.capacity < 0)
+    )
+      return { error: "capacity must be integer >= 0 or null" };
+    data.capacity = b.capacity;
+  }
+  if (b.typeId !== undefined) {
+    if (b.typeId !== null && typeof b.typeId !== "string")
+      return { error: "typeId must be string or null" };
+    data.typeId = b.typeId;
+  }
+  if (b.attributes !== undefined) data.attributes = b.attributes;
+  if (data.typeId === undefined && data.attributes === undefined)
+    return { data };
+
+  const typeId = data.typeId !== undefined ? data.typeId : existing?.typeId;
+  const zoneType = typeId
+    ? await db.zoneType.findUnique({ where: { id: typeId } })
+    : null;
+  if (typeId && !zoneType) return { error: `Unknown zone type: ${typeId}` };
+  const invalid = validateZoneAttributes(
+    data.attributes ?? existing?.attributes ?? {},
+    zoneType
+  );
+  if (invalid) return { error: invalid };
+  return { data };
+}
+
+// "true"/"false"/число из query -> значение для сравнения с JSON
+function queryScalar(v) {
+  if (v === "true") return true;
+  if (v === "false") return false;
+  if (v !== "" && Number.isFinite(Number(v))) return Number(v);
+  return v;
+}
+
+/**
+ * Фильтр зон из query: ?type=desk,meeting_room&minCapacity=4&attr[projector]=true
+ * -> { where } | { error }
+ */
+function zoneFilterWhere(query) {
+  const where = {};
+  if (query.type != null) {
+    const types = String(query.type)
+      .split(",")
+      .map((t) => t.trim())
+      .filter(Boolean);
+    if (types.length) where.typeId = { in: types };
+  }
+  if (query.minCapacity != null) {
+    const min = Number(query.minCapacity);
+    if (!Number.isInteger(min) || min < 0)
+      return { error: "minCapacity must be integer >= 0" };
+    where.capacity = { gte: min };
+  }
+  if (query.attr != null) {
+    if (typeof query.attr !== "object")
+      return { error: "attr filter must look like attr[key]=value" };
+    where.AND = Object.entries(query.attr).map(([key, value]) => ({
+      attributes: { path: [key], equals: queryScalar(String(value)) },
+    }));
+  }
+  return { where };
+}
+
+app.get("/zone-types", authRequired, async (_req, res, next) => {
+  try {
+    const types = await prisma.zoneType.findMany({
+      orderBy: { displayName: "asc" },
+    });
+    res.json(types);
+  } catch (e) {
+    next(e);
+  }
+});
+
+// POST /zone-types { id, displayName, color?, attributes? } -> 201 type
+app.post(
+  "/zone-types",
+  authRequired,
+  requirePermission("catalog:manage"),
+  async (req, res, next) => {
+    try {
+      const { id } = req.body || {};
+      if (typeof id !== "string" || !CATALOG_ID_RE.test(id))
+        return res
+          .status(400)
+          .json({ error: "id must match [a-z0-9_-], up to 64 chars" });
+      const { data, error } = validateZoneTypeFields(req.body, {
+        partial: false,
+      });
+      if (error) return res.status(400).json({ error });
+
+      const type = await prisma.zoneType.create({ data: { id, ...data } });
+      await audit(prisma, req, {
+        action: "create",
+        entity: "ZoneType",
+        entityId: id,
+        after: type,
+      });
+      res.status(201).json(type);
+    } catch (e) {
+      if (e.code === "P2002")
+        return res.status(409).json({ error: "Zone type already exists" });
+      next(e);
+    }
+  }
+);
+
+// PATCH /zone-types/:id { displayName?, color?, attributes? }
+// Уже проставленные зонам атрибуты при смене схемы не трогаем.
+app.patch(
+  "/zone-types/:id",
+  authRequired,
+  requirePermission("catalog:manage"),
+  async (req, res, next) => {
+    try {
+      const { data, error } = validateZoneTypeFields(req.body, {
+        partial: true,
+      });
+      if (error) return res.status(400).json({ error });
+      if (Object.keys(data).length === 0)
+        return res.status(400).json({ error: "No fields to update" });
+
+      const before = await prisma.zoneType.findUnique({
+        where: { id: req.params.id },
+      });
+      if (!before)
+        return res.status(404).json({ error: "Zone type not found" });
+      const type = await prisma.zoneType.update({
+        where: { id: before.id },
+        data,
+      });
+      await audit(prisma, req, {
+        action: "update",
+        entity: "ZoneType",
+        entityId: type.id,
+        before,
+        after: type,
+      });
+      res.json(type);
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// DELETE /zone-types/:id -> 204; зоны этого типа остаются без типа
+app.delete(
+  "/zone-types/:id",
+  authRequired,
+  requirePermission("catalog:manage"),
+  async (req, res, next) => {
+    try {
+      const before = await prisma.zoneType.findUnique({
+        where: { id: req.params.id },
+      });
+      if (!before)
+        return res.status(404).json({ error: "Zone type not found" });
+      await prisma.zoneType.delete({ where: { id: before.id } });
+      await audit(prisma, req, {
+        action: "delete",
+        entity: "ZoneType",
+        entityId: before.id,
+        before,
+      });
+      res.status(204).end();
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// ===================== ZONES (custom layers) =====================
+app.post(
+  "/offices/:officeId/floors/:floorId/layers/:layerId/zones",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("zone:edit"),
+  async (req, res, next) => {
+    try {
+      const layerId = Number(req.params.layerId);
+      // status больше не хранится — он вычисляется из броней
+      const { name = "", description = "" } = req.body;
+
+      const invalid = validatePolygon(req.body.coordinates);
+      if (invalid) return res.status(400).json({ error: invalid });
+      const coordinates = openRing(req.body.coordinates);
+      const typed = await parseZoneTypeFields(prisma, req.body);
+      if (typed.error) return res.status(400).json({ error: typed.error });
+
+      const layer = await prisma.layer.findUnique({
+        where: { id: layerId },
+        select: { type: true, floorId: true },
+      });
+      if (!layer) return res.status(404).json({ error: "Layer not found" });
+      if (layer.type !== "custom")
+        return res
+          .status(400)
+          .json({ error: "Zones allowed only for custom layers" });
+
+      const warnings = await checkZoneOverlap(
+        prisma,
+        req,
+        layerId,
+        coordinates
+      );
+      const z = await prisma.zone.create({
+        data: {
+          layerId,
+          floorId: layer.floorId,
+          name,
+          description,
+          coordinates,
+          ...typed.data,
+        },
+        select: {
+          id: true,
+          layerId: true,
+          name: true,
+          description: true,
+          coordinates: true,
+          ...zoneTypeFields,
+        },
+      });
+      await audit(prisma, req, {
+        action: "create",
+        entity: "Zone",
+        entityId: z.id,
+        floorId: layer.floorId,
+        after: z,
+      });
+      publishFloorEvent(req, layer.floorId, "zone.created", z);
+      res.status(201).json({
+        zoneId: z.id,
+        coordinates,
+        ...(warnings.length ? { warnings } : {}),
+      });
+    } catch (e) {
+      if (e.status)
+        return res
+          .status(e.status)
+          .json({ error: e.message, overlaps: e.overlaps });
+      next(e);
+    }
+  }
+);
+
+app.patch(
+  "/offices/:officeId/floors/:floorId/layers/:layerId/zones/:zoneId",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("zone:edit"),
+  async (req, res, next) => {
+    try {
+      const layerId = Number(req.params.layerId);
+      const zoneId = Number(req.params.zoneId);
+      const { name, description, status, coordinates } = req.body;
+
+      const zone = await prisma.zone.findFirst({
+        where: { id: zoneId, layerId },
+        select: {
+          id: true,
+          floorId: true,
+          name: true,
+          description: true,
+          coordinates: true,
+          ...zoneTypeFields,
+        },
+      });
+      if (!zone) return res.status(404).json({ error: "Zone not found" });
+
+      const typed = await parseZoneTypeFields(prisma, req.body, zone);
+      if (typed.error) return res.status(400).json({ error: typed.error });
+      const data = { ...typed.data };
+      if (typeof name === "string") data.name = name;
+      if (typeof description === "string") data.description = description;
+      if (status !== undefined)
+        return res.status(400).json({
+          error: "status is computed from reservations, use /reservations",
+        });
+      let warnings = [];
+      if (coordinates !== undefined) {
+        const invalid = validatePolygon(coordinates);
+        if (invalid) return res.status(400).json({ error: invalid });
+        data.coordinates = openRing(coordinates);
+        warnings = await checkZoneOverlap(
+          prisma,
+          req,
+          layerId,
+          data.coordinates,
+          zoneId
+        );
+      }
+      if (Object.keys(data).length === 0)
+        return res.status(400).json({ error: "No fields to update" });
+
+      const updated = await prisma.zone.update({
+        where: { id: zoneId },
+        data,
+        select: {
+          id: true,
+          floorId: true,
+          name: true,
+          description: true,
+          coordinates: true,
+          ...zoneTypeFields,
+        },
+      });
+      await audit(prisma, req, {
+        action: "update",
+        entity: "Zone",
+        entityId: zoneId,
+        floorId: zone.floorId,
+        before: zone,
+        after: updated,
+      });
+      publishFloorEvent(req, zone.floorId, "zone.updated", {
+        id: zoneId,
+        layerId,
+        ...data,
+      });
+      res.json({
+        id: zoneId,
+        updated: true,
+        ...(warnings.length ? { warnings } : {}),
+      });
+    } catch (e) {
+      if (e.status)
+        return res
+          .status(e.status)
+          .json({ error: e.message, overlaps: e.overlaps });
+      next(e);
+    }
+  }
+);
+
+app.delete(
+  "/offices/:officeId/floors/:floorId/layers/:layerId/zones/:zoneId",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("zone:edit"),
+  async (req, res, next) => {
+    try {
+      const layerId = Number(req.params.layerId);
+      const zoneId = Number(req.params.zoneId);
+      const zone = await prisma.zone.findFirst({
+        where: { id: zoneId, layerId },
+        select: {
+          id: true,
+          floorId: true,
+          name: true,
+          description: true,
+          coordinates: true,
+          ...zoneTypeFields,
+        },
+      });
+      if (!zone) return res.status(404).json({ error: "Zone not found" });
+      await prisma.zone.delete({ where: { id: zoneId } });
+      await audit(prisma, req, {
+        action: "delete",
+        entity: "Zone",
+        entityId: zoneId,
+        floorId: zone.floorId,
+        before: zone,
+      });
+      publishFloorEvent(req, zone.floorId, "zone.deleted", {
+        id: zoneId,
+        layerId,
+      });
+      res.status(204).end();
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// ===================== FIRESAFE FEATURES =====================
+// Структурные объекты пожарного слоя поверх его подложки. Точечные объекты —
+// [x,y], путь эвакуации — полилиния [x1,y1,x2,y2,...]; всё в пикселях плана.
+const FIRESAFE_FEATURE_TYPES = [
+  "exit",
+  "extinguisher",
+  "alarm",
+  "first_aid",
+  "evacuation_route",
+];
+// Если nextInspectionAt не задан — inspectedAt + интервал
+const FIRESAFE_INSPECTION_INTERVAL_DAYS =
+  Number(process.env.FIRESAFE_INSPECTION_INTERVAL_DAYS) || 365;
+// Предельное расстояние (м) от любой точки зоны до ближайшего выхода; ?maxExitDistance=...
+const FIRESAFE_MAX_EXIT_DISTANCE =
+  Number(process.env.FIRESAFE_MAX_EXIT_DISTANCE) || 40;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const firesafeFeatureSelect = {
+  id: true,
+  layerId: true,
+  type: true,
+  name: true,
+  coordinates: true,
+  inspectedAt: true,
+  nextInspectionAt: true,
+  notes: true,
+  updatedAt: true,
+};
+
+// -> текст ошибки или null
+function validateFeatureCoordinates(type, coords) {
+  if (
+    !Array.isArray(coords) ||
+    !coords.every((v) => typeof v === "number" && Number.isFinite(v))
+  )
+    return "coordinates must be array of finite numbers";
+  if (type === "evacuation_route") {
+    if (coords.length < 4 || coords.length % 2)
+      return "evacuation_route coordinates must be [x1,y1,x2,y2,...] with at least 2 points";
+  } else if (coords.length !== 2) return "coordinates must be [x,y]";
+  return null;
+}
+
+/**
+ * Разбирает тело POST/PATCH. existing — текущая запись при PATCH.
+ * -> { error } | { data }
+ */
+function parseFeatureInput(body, existing) {
+  const b = body || {};
+  const data = {};
+  const type = b.type ?? existing?.type;
+  if (!existing || b.type !== undefined) {
+    if (!FIRESAFE_FEATURE_TYPES.includes(type))
+      return {
+        error: `type must be one of: ${FIRESAFE_FEATURE_TYPES.join(", ")}`,
+      };
+    data.type = type;
+  }
+  if (!existing || b.coordinates !== undefined || b.type !== undefined) {
+    const coordinates = b.coordinates ?? existing?.coordinates;
+    const invalid = validateFeatureCoordinates(type, coordinates);
+    if (invalid) return { error: invalid };
+    data.coordinates = coordinates;
+  }
+  for (const key of ["name", "notes"]) {
+    if (b[key] === undefined) continue;
+    if (typeof b[key] !== "string") return { error: `${key} must be string` };
+    data[key] = b[key];
+  }
+  for (const key of ["inspectedAt", "nextInspectionAt"]) {
+    if (b[key] === undefined) continue;
+    if (b[key] === null) {
+      data[key] = null;
+      continue;
+    }
+    const d = parseDate(b[key]);
+    if (!d) return { error: `${key} must be a date` };
+    data[key] = d;
+  }
+  return { data };
+}
+
+// Срок проверки: явный nextInspectionAt либо последняя проверка + интервал
+function inspectionDueAt(f) {
+  if (f.nextInspectionAt) return f.nextInspectionAt;
+  if (f.inspectedAt)
+    return new Date(
+      f.inspectedAt.getTime() + FIRESAFE_INSPECTION_INTERVAL_DAYS * DAY_MS
+    );
+  return null;
+}
+
+function featureView(f) {
+  return { ...f, inspectionDueAt: inspectionDueAt(f) };
+}
+
+// Слой из :layerId должен быть пожарным -> layer | бросает 400
+async function firesafeLayerOf(req) {
+  const layer = await prisma.layer.findUnique({
+    where: { id: Number(req.params.layerId) },
+    select: { id: true, type: true, floorId: true },
+  });
+  if (layer.type !== "firesafe")
+    throw Object.assign(
+      new Error("Features allowed only on the firesafe layer"),
+      { status: 400 }
+    );
+  return layer;
+}
+
+// GET .../layers/:layerId/features[?type=] -> { features:[{..., inspectionDueAt}] }
+app.get(
+  "/offices/:officeId/floors/:floorId/layers/:layerId/features",
+  authRequired,
+  requireOfficeRole("viewer"),
+  async (req, res, next) => {
+    try {
+      const layer = await firesafeLayerOf(req);
+      const { type } = req.query;
+      if (type != null && !FIRESAFE_FEATURE_TYPES.includes(type))
+        return res.status(400).json({ error: "Invalid type" });
+      const features = await prisma.firesafeFeature.findMany({
+        where: { layerId: layer.id, ...(type ? { type } : {}) },
+        select: firesafeFeatureSelect,
+        orderBy: { id: "asc" },
+      });
+      res.json({ features: features.map(featureView) });
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      next(e);
+    }
+  }
+);
+
+// POST .../layers/:layerId/features { type, coordinates, name?, notes?, inspectedAt?, nextInspectionAt? }
+// -> 201 { ...feature, inspectionDueAt }
+app.post(
+  "/offices/:officeId/floors/:floorId/layers/:layerId/features",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("floor:edit"),
+  async (req, res, next) => {
+    try {
+      const layer = await firesafeLayerOf(req);
+      const { error, data } = parseFeatureInput(req.body);
+      if (error) return res.status(400).json({ error });
+
+      const feature = await prisma.firesafeFeature.create({
+        data: { ...data, floorId: layer.floorId, layerId: layer.id },
+        select: firesafeFeatureSelect,
+      });
+      await audit(prisma, req, {
+        action: "create",
+        entity: "FiresafeFeature",
+        entityId: feature.id,
+        after: feature,
+      });
+      publishFloorEvent(req, layer.floorId, "feature.created", feature);
+      res.status(201).json(featureView(feature));
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      next(e);
+    }
+  }
+);
+
+// PATCH .../layers/:layerId/features/:featureId — любые поля из POST
+app.patch(
+  "/offices/:officeId/floors/:floorId/layers/:layerId/features/:featureId",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("floor:edit"),
+  async (req, res, next) => {
+    try {
+      const before = await prisma.firesafeFeature.findFirst({
+        where: {
+          id: Number(req.params.featureId),
+          layerId: Number(req.params.layerId),
+        },
+        select: firesafeFeatureSelect,
+      });
+      if (!before) return res.status(404).json({ error: "Feature not found" });
+      const { error, data } = parseFeatureInput(req.body, before);
+      if (error) return res.status(400).json({ error });
+
+      const feature = await prisma.firesafeFeature.update({
+        where: { id: before.id },
+        data,
+        select: firesafeFeatureSelect,
+      });
+      await audit(prisma, req, {
+        action: "update",
+        entity: "FiresafeFeature",
+        entityId: feature.id,
+        before,
+        after: feature,
+      });
+      publishFloorEvent(
+        req,
+        Number(req.params.floorId),
+        "feature.updated",
+        feature
+      );
+      res.json(featureView(feature));
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+app.delete(
+  "/offices/:officeId/floors/:floorId/layers/:layerId/features/:featureId",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("floor:edit"),
+  async (req, res, next) => {
+    try {
+      const before = await prisma.firesafeFeature.findFirst({
+        where: {
+          id: Number(req.params.featureId),
+          layerId: Number(req.params.layerId),
+        },
+        select: firesafeFeatureSelect,
+      });
+      if (!before) return res.status(404).json({ error: "Feature not found" });
+      await prisma.firesafeFeature.delete({ where: { id: before.id } });
+      await audit(prisma, req, {
+        action: "delete",
+        entity: "FiresafeFeature",
+        entityId: before.id,
+        before,
+      });
+      publishFloorEvent(req, Number(req.params.floorId), "feature.deleted", {
+        id: before.id,
+      });
+      res.status(204).end();
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// Худший случай по зоне: самая дальняя вершина до своего ближайшего выхода (по прямой, px)
+function zoneExitDistance(pts, exits) {
+  let worst = 0;
+  let worstExit = null;
+  for (const [x, y] of pts) {
+    let best = Infinity;
+    let bestExit = null;
+    for (const e of exits) {
+      const d = Math.hypot(e.coordinates[0] - x, e.coordinates[1] - y);
+      if (d < best) {
+        best = d;
+        bestExit = e.id;
+      }
+    }
+    if (best > worst) {
+      worst = best;
+      worstExit = bestExit;
+    }
+  }
+  return { distance: worst, exitId: worstExit };
+}
+
+// GET /offices/:officeId/floors/:floorId/firesafe/compliance[?maxExitDistance=метры&at=ISO]
+// -> { floorId, at, maxExitDistance, expiredInspections:[...], zonesFarFromExit:[...] | null, uncheckedZones?, warnings? }
+// Расстояния проверяются только на откалиброванном этаже (metersPerPixel).
+app.get(
+  "/offices/:officeId/floors/:floorId/firesafe/compliance",
+  authRequired,
+  requireOfficeRole("viewer"),
+  async (req, res, next) => {
+    try {
+      const floorId = Number(req.params.floorId);
+      const at = req.query.at != null ? parseDate(req.query.at) : new Date();
+      if (!at) return res.status(400).json({ error: "Invalid at" });
+      const maxExitDistance =
+        req.query.maxExitDistance != null
+          ? Number(req.query.maxExitDistance)
+          : FIRESAFE_MAX_EXIT_DISTANCE;
+      if (!Number.isFinite(maxExitDistance) || maxExitDistance <= 0)
+        return res
+          .status(400)
+          .json({ error: "maxExitDistance must be positive number" });
+
+      const [floor, features, zones] = await Promise.all([
+        prisma.floor.findUnique({
+          where: { id: floorId },
+          select: { metersPerPixel: true },
+        }),
+        prisma.firesafeFeature.findMany({
+          where: { floorId },
+          select: firesafeFeatureSelect,
+          orderBy: { id: "asc" },
+        }),
+        prisma.zone.findMany({
+          where: { floorId },
+          select: { id: true, layerId: true, name: true, coordinates: true },
+          orderBy: { id: "asc" },
+        }),
+      ]);
+
+      const expiredInspections = [];
+      for (const f of features) {
+        const dueAt = inspectionDueAt(f);
+        if (dueAt && dueAt >= at) continue;
+        expiredInspections.push({
+          featureId: f.id,
+          type: f.type,
+          name: f.name,
+          inspectedAt: f.inspectedAt,
+          inspectionDueAt: dueAt,
+          reason: dueAt ? "overdue" : "never_inspected",
+        });
+      }
+
+      const warnings = [];
+      let zonesFarFromExit = null;
+      // зоны с некорректным контуром измерить нельзя — перечисляем, а не пропускаем молча
+      const uncheckedZones = [];
+      const exits = features.filter((f) => f.type === "exit");
+      if (!floor.metersPerPixel)
+        warnings.push(
+          "floor scale is not calibrated, exit distances not checked"
+        );
+      else {
+        if (!exits.length) warnings.push("floor has no fire exits");
+        zonesFarFromExit = [];
+        for (const z of zones) {
+          const invalid = validatePolygon(z.coordinates);
+          if (invalid) {
+            uncheckedZones.push({
+              zoneId: z.id,
+              layerId: z.layerId,
+              name: z.name,
+              reason: invalid,
+            });
+            continue;
+          }
+          const { distance, exitId } = exits.length
+            ? zoneExitDistance(toPoints(z.coordinates), exits)
+            : { distance: Infinity, exitId: null };
+          const meters = distance * floor.metersPerPixel;
+          if (meters <= maxExitDistance) continue;
+          zonesFarFromExit.push({
+            zoneId: z.id,
+            layerId: z.layerId,
+            name: z.name,
+            distance: Number.isFinite(meters) ? round2(meters) : null,
+            nearestExitId: exitId,
+          });
+        }
+        if (uncheckedZones.length)
+          warnings.push(
+            `${uncheckedZones.length} zone(s) have invalid coordinates, exit distances not checked`
+          );
+      }
+
+      res.json({
+        floorId,
+        at,
+        maxExitDistance,
+        expiredInspections,
+        zonesFarFromExit,
+        ...(uncheckedZones.length ? { uncheckedZones } : {}),
+        ...(warnings.length ? { warnings } : {}),
+      });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// ===================== RESERVATIONS =====================
+// Бронь занимает полуинтервал [startsAt, endsAt); отменённые не учитываются
+const reservationSelect = {
+  id: true,
+  zoneId: true,
+  startsAt: true,
+  endsAt: true,
+  comment: true,
+  createdAt: true,
+  cancelledAt: true,
+  user: { select: { id: true, email: true } },
+};
+
+function overlapWhere(from, to) {
+  return { cancelledAt: null, startsAt: { lt: to }, endsAt: { gt: from } };
+}
+
+// ?from=&to= -> { from, to } | { error }; оба конца обязательны
+function parseRange(query) {
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (!from || !to) return { error: "from and to must be ISO dates" };
+  if (to <= from) return { error: "to must be after from" };
+  return { from, to };
+}
+
+// Множество id зон, занятых в момент `at`
+async function occupiedZoneIds(zoneIds, at) {
+  if (!zoneIds.length) return new Set();
+  const rows = await prisma.reservation.findMany({
+    where: {
+      zoneId: { in: zoneIds },
+      cancelledAt: null,
+      startsAt: { lte: at },
+      endsAt: { gt: at },
+    },
+    select: { zoneId: true },
+    distinct: ["zoneId"],
+  });
+  const booked = await bookedZoneIds(zoneIds, at, new Date(at.getTime() + 1));
+  return new Set([...rows.map((r) => r.zoneId), ...booked]);
+}
+
+// GET /offices/:officeId/floors/:floorId/zones/free?from&to[&layerId][&type&minCapacity&attr[key]=value]
+// -> { from, to, zones:[{id, layerId, name, description, coordinates}] }
+app.get(
+  "/offices/:officeId/floors/:floorId/zones/free",
+  authRequired,
+  requireOfficeRole("viewer"),
+  async (req, res, next) => {
+    try {
+      const floorId = Number(req.params.floorId);
+      if (!Number.isInteger(floorId))
+        return res.status(400).json({ error: "Invalid floorId" });
+      const range = parseRange(req.query);
+      if (range.error) return res.status(400).json({ error: range.error });
+
+      const filter = zoneFilterWhere(req.query);
+      if (filter.error) return res.status(400).json({ error: filter.error });
+      const where = {
+        floorId,
+        reservations: { none: overlapWhere(range.from, range.to) },
+        ...filter.where,
+      };
+      if (req.query.layerId != null) {
+        const layerId = Number(req.query.layerId);
+        if (!Number.isInteger(layerId))
+          return res.status(400).json({ error: "Invalid layerId" });
+        where.layerId = layerId;
+      }
+
+      const zones = await prisma.zone.findMany({
+        where,
+        select: {
+          id: true,
+          layerId: true,
+          name: true,
+          description: true,
+          coordinates: true,
+          ...zoneTypeFields,
+        },
+        orderBy: { id: "asc" },
+      });
+      const booked = await bookedZoneIds(
+        zones.map((z) => z.id),
+        range.from,
+        range.to
+      );
+      res.json({
+        from: range.from,
+        to: range.to,
+        zones: zones.filter((z) => !booked.has(z.id)),
+      });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// GET /offices/:officeId/floors/:floorId/reservations?from&to -> [reservation]
+app.get(
+  "/offices/:officeId/floors/:floorId/reservations",
+  authRequired,
+  requireOfficeRole("viewer"),
+  async (req, res, next) => {
+    try {
+      const floorId = Number(req.params.floorId);
+      if (!Number.isInteger(floorId))
+        return res.status(400).json({ error: "Invalid floorId" });
+      const range = parseRange(req.query);
+      if (range.error) return res.status(400).json({ error: range.error });
+
+      const list = await prisma.reservation.findMany({
+        where: { zone: { floorId }, ...overlapWhere(range.from, range.to) },
+        select: reservationSelect,
+        orderBy: [{ startsAt: "asc" }, { id: "asc" }],
+      });
+      res.json(list);
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// GET .../zones/:zoneId/reservations[?from&to&includeCancelled=1]
+// по умолчанию — актуальные брони, начиная с текущего момента
+app.get(
+  "/offices/:officeId/floors/:floorId/zones/:zoneId/reservations",
+  authRequired,
+  requireOfficeRole("viewer"),
+  async (req, res, next) => {
+    try {
+      const zoneId = Number(req.params.zoneId);
+      if (!Number.isInteger(zoneId))
+        return res.status(400).json({ error: "Invalid zoneId" });
+      const from =
+        req.query.from != null ? parseDate(req.query.from) : new Date();
+      const to = req.query.to != null ? parseDate(req.query.to) : null;
+      if (!from || (req.query.to != null && !to))
+        return res.status(400).json({ error: "from and to must be ISO dates" });
+
+      const where = { zoneId, endsAt: { gt: from } };
+      if (to) where.startsAt = { lt: to };
+      if (req.query.includeCancelled !== "1") where.cancelledAt = null;
+
+      const list = await prisma.reservation.findMany({
+        where,
+        select: reservationSelect,
+        orderBy: [{ startsAt: "asc" }, { id: "asc" }],
+      });
+      res.json(list);
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// POST .../zones/:zoneId/reservations { startsAt, endsAt, comment? } -> 201 reservation
+// 409, если пересекается с чужой (или своей) активной бронью
+app.post(
+  "/offices/:officeId/floors/:floorId/zones/:zoneId/reservations",
+  authRequired,
+  requireOfficeRole("viewer"),
+  requirePermission("reservation:create"),
+  async (req, res, next) => {
+    try {
+      const floorId = Number(req.params.floorId);
+      const zoneId = Number(req.params.zoneId);
+      if (!Number.isInteger(floorId) || !Number.isInteger(zoneId))
+        return res.status(400).json({ error: "Invalid floorId or zoneId" });
+
+      const { comment = "" } = req.body || {};
+      const startsAt = parseDate(req.body?.startsAt);
+      const endsAt = parseDate(req.body?.endsAt);
+      if (!startsAt || !endsAt)
+        return res
+          .status(400)
+          .json({ error: "startsAt and endsAt must be ISO dates" });
+      if (endsAt <= startsAt)
+        return res.status(400).json({ error: "endsAt must be after startsAt" });
+      if (typeof comment !== "string")
+        return res.status(400).json({ error: "comment must be string" });
+
+      const user = await currentUser(req);
+      if (!user) return res.status(401).json({ error: "Unknown user" });
+
+      const created = await prisma.$transaction(async (tx) => {
+        const zone = await tx.zone.findFirst({
+          where: { id: zoneId, floorId },
+          select: { id: true },
+        });
+        if (!zone)
+          throw Object.assign(new Error("Zone not found"), { status: 404 });
+
+        // блокируем строку зоны, чтобы параллельные брони не проскочили проверку
+        await tx.$queryRaw`SELECT id FROM "Zone" WHERE id = ${zoneId} FOR UPDATE`;
+
+        const conflict = await tx.reservation.findFirst({
+          where: { zoneId, ...overlapWhere(startsAt, endsAt) },
+          select: reservationSelect,
+        });
+        if (conflict) {
+          const err = new Error("Zone is already reserved for this time");
+          err.status = 409;
+          err.conflict = conflict;
+          throw err;
+        }
+        // переговорки ещё и бронируются встречами (в т.ч. повторяющимися)
+        const [booked] = await findBookingConflicts(tx, zoneId, {
+          startsAt,
+          endsAt,
+          rrule: null,
+          exdates: [],
+        });
+        if (booked) {
+          const err = new Error("Zone is booked for a meeting at this time");
+          err.status = 409;
+          err.conflict = booked;
+          throw err;
+        }
+
+        const reservation = await tx.reservation.create({
+          data: { zoneId, userId: user.id, startsAt, endsAt, comment },
+          select: reservationSelect,
+        });
+        await audit(tx, req, {
+          action: "create",
+          entity: "Reservation",
+          entityId: reservation.id,
+          after: reservation,
+        });
+        return reservation;
+      });
+
+      publishFloorEvent(req, floorId, "reservation.created", created);
+      res.status(201).json(created);
+    } catch (e) {
+      if (e.status)
+        return res
+          .status(e.status)
+          .json({ error: e.message, conflict: e.conflict });
+      next(e);
+    }
+  }
+);
+
+// DELETE .../zones/:zoneId/reservations/:id -> 204 (отмена, запись остаётся в истории)
+// Отменить может автор брони или админ офиса
+app.delete(
+  "/offices/:officeId/floors/:floorId/zones/:zoneId/reservations/:id",
+  authRequired,
+  requireOfficeRole("viewer"),
+  requirePermission("reservation:create"),
+  async (req, res, next) => {
+    try {
+      const zoneId = Number(req.params.zoneId);
+      const id = Number(req.params.id);
+      if (!Number.isInteger(zoneId) || !Number.isInteger(id))
+        return res.status(400).json({ error: "Invalid ids" });
+
+      const reservation = await prisma.reservation.findFirst({
+        where: { id, zoneId },
+        select: { ...reservationSelect, userId: true },
+      });
+      if (!reservation)
+        return res.status(404).json({ error: "Reservation not found" });
+
+      const user = await currentUser(req);
+      if (req.officeRole !== "admin" && reservation.userId !== user?.id)
+        return res.status(403).json({ error: "Forbidden" });
+
+      if (!reservation.cancelledAt) {
+        const cancelled = await prisma.reservation.update({
+          where: { id },
+          data: { cancelledAt: new Date() },
+          select: reservationSelect,
+        });
+        await audit(prisma, req, {
+          action: "cancel",
+          entity: "Reservation",
+          entityId: id,
+          before: reservation,
+          after: cancelled,
+        });
+      }
+      publishFloorEvent(req, req.params.floorId, "reservation.cancelled", {
+        id,
+        zoneId,
+      });
+      res.status(204).end();
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// ===================== MEETING ROOM BOOKINGS =====================
+// Брони переговорок (зоны типа meeting_room): название, организатор, участники,
+// повторение по RRULE. Вхождения серии считаются в UTC от startsAt; отменённые
+// вхождения — exdates. Серия обязана закончиться (COUNT или UNTIL) в пределах
+// BOOKING_MAX_SERIES_DAYS и повторяться не чаще раза в день: вхождения
+// разворачиваются при каждой проверке конфликтов и занятости зон.
+const BOOKING_ZONE_TYPES = ["meeting_room"];
+const BOOKING_MAX_SERIES_DAYS =
+  Number(process.env.BOOKING_MAX_SERIES_DAYS) || 730;
+// жёсткий предел на одно разворачивание серии, даже если правило как-то обошло проверки
+const BOOKING_MAX_OCCURRENCES = 1000;
+const BOOKING_MAX_ATTENDEES = 200;
+const ATTENDEE_STATUSES = ["needs_action", "accepted", "declined", "tentative"];
+
+const bookingSelect = {
+  id: true,
+  zoneId: true,
+  title: true,
+  description: true,
+  startsAt: true,
+  endsAt: true,
+  rrule: true,
+  exdates: true,
+  seriesEndsAt: true,
+  uid: true,
+  sequence: true,
+  cancelledAt: true,
+  createdAt: true,
+  organizer: { select: { id: true, email: true, name: true } },
+  attendees: {
+    select: { email: true, status: true },
+    orderBy: { email: "asc" },
+  },
+};
+
+// Дней в месяце (февраль — 29, високосный год тоже бывает)
+const MONTH_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+/**
+ * Правило, у которого BY-части никогда не совпадают (BYMONTH=2;BYMONTHDAY=30,
+ * BYDAY=MO;BYSETPOS=6, ...), rrule перебирает до 9999 года, не выдав ни одного
+ * вхождения, — лимиты на число вхождений это не останавливают. Поэтому пускаем
+ * только сочетания, которые совпадают хотя бы раз в месяц (или в году).
+ * -> сообщение об ошибке | null
+ */
+function rruleShapeError(o) {
+  const list = (v) => (v == null ? [] : [].concat(v));
+  if (o.byyearday != null || o.byweekno != null || o.byeaster != null)
+    return "rrule must not contain BYYEARDAY, BYWEEKNO or BYEASTER";
+  const weekdays = list(o.byweekday);
+  const ordinals = weekdays.filter((d) => d.n != null).map((d) => d.n);
+  const months = list(o.bymonth);
+  const monthDays = list(o.bymonthday);
+  const setpos = list(o.bysetpos);
+  if (o.freq === RRule.DAILY || o.freq === RRule.WEEKLY) {
+    if (ordinals.length || monthDays.length || setpos.length)
+      return "DAILY and WEEKLY rrule may only use BYDAY (without ordinals) and BYMONTH";
+    return null;
+  }
+  if (monthDays.length && weekdays.length)
+    return "rrule must not combine BYMONTHDAY with BYDAY";
+  const maxOrdinal = o.freq === RRule.YEARLY && !months.length ? 52 : 4;
+  if (ordinals.some((n) => n === 0 || Math.abs(n) > maxOrdinal))
+    return `rrule BYDAY ordinal must be within ±${maxOrdinal}`;
+  if (setpos.length && (!weekdays.length || ordinals.length))
+    return "rrule BYSETPOS requires BYDAY without ordinals";
+  if (setpos.some((p) => p === 0 || Math.abs(p) > 4 * weekdays.length))
+    return `rrule BYSETPOS must be within ±${4 * weekdays.length}`;
+  const inMonths = months.length ? months : [1];
+  if (
+    monthDays.length &&
+    !monthDays.some((d) =>
+      inMonths.some((m) => d !== 0 && Math.abs(d) <= MONTH_DAYS[m - 1])
+    )
+  )
+    return "rrule BYMONTHDAY does not exist in BYMONTH";
+  return null;
+}
+
+// "FREQ=WEEKLY;BYDAY=MO" (можно с префиксом RRULE:) -> { rrule } | { error }
+function normalizeRRule(value) {
+  if (value == null || value === "") return { rrule: null };
+  if (typeof value !== "string") return { error: "rrule must be string" };
+  try {
+    const options = RRule.parseString(value.trim().replace(/^RRULE:/i, ""));
+    if (options.freq == null) return { error: "rrule must contain FREQ" };
+    // в enum rrule частоты идут от YEARLY (0) к SECONDLY (6)
+    if (options.freq > RRule.DAILY)
+      return { error: "rrule FREQ must be DAILY, WEEKLY, MONTHLY or YEARLY" };
+    if (
+      options.byhour != null ||
+      options.byminute != null ||
+      options.bysecond != null
+    )
+      return {
+        error:
+          "rrule must not contain BYHOUR, BYMINUTE or BYSECOND, time comes from startsAt",
+      };
+    const shape = rruleShapeError(options);
+    if (shape) return { error: shape };
+    if (options.dtstart)
+      return { error: "rrule must not contain DTSTART, use startsAt" };
+    if (options.count == null && options.until == null)
+      return { error: "rrule must contain COUNT or UNTIL" };
+    if (
+      options.count != null &&
+      !(options.count >= 1 && options.count <= BOOKING_MAX_OCCURRENCES)
+    )
+      return { error: `rrule COUNT must be 1..${BOOKING_MAX_OCCURRENCES}` };
+    return { rrule: RRule.optionsToString(options).replace(/^RRULE:/, "") };
+  } catch (e) {
+    return { error: `Invalid rrule: ${e.message}` };
+  }
+}
+
+function bookingRuleSet(b) {
+  const set = new RRuleSet();
+  set.rrule(new RRule({ ...RRule.parseString(b.rrule), dtstart: b.startsAt }));
+  for (const d of b.exdates ?? []) set.exdate(d);
+  return set;
+}
+
+// Вхождения брони, пересекающие [from, to) -> [{ startsAt, endsAt }]
+function bookingOccurrences(b, from, to) {
+  const duration = b.endsAt - b.startsAt;
+  if (!b.rrule)
+    return b.startsAt < to && b.endsAt > from
+      ? [{ startsAt: b.startsAt, endsAt: b.endsAt }]
+      : [];
+  return bookingRuleSet(b)
+    .between(
+      new Date(from.getTime() - duration),
+      to,
+      false,
+      (_d, i) => i < BOOKING_MAX_OCCURRENCES
+    )
+    .map((d) => ({ startsAt: d, endsAt: new Date(d.getTime() + duration) }))
+    .filter((o) => o.endsAt > from);
+}
+
+function seriesLimit(b) {
+  return new Date(b.startsAt.getTime() + BOOKING_MAX_SERIES_DAYS * DAY_MS);
+}
+
+// Начала вхождений в пределах BOOKING_MAX_SERIES_DAYS; без exdates, если withExdates=false
+function seriesStarts(b, { withExdates = true } = {}) {
+  const rule = withExdates
+    ? bookingRuleSet(b)
+    : new RRule({ ...RRule.parseString(b.rrule), dtstart: b.startsAt });
+  return rule.between(
+    b.startsAt,
+    seriesLimit(b),
+    true,
+    (_d, i) => i < BOOKING_MAX_OCCURRENCES
+  );
+}
+
+// Конец последнего вхождения; null — серия бесконечна (новые такими не бывают)
+function bookingSeriesEnd(b) {
+  if (!b.rrule) return b.endsAt;
+  const { until, count } = RRule.parseString(b.rrule);
+  if (until == null && count == null) return null;
+  const starts = seriesStarts(b);
+  const last = starts[starts.length - 1] ?? b.startsAt;
+  return new Date(last.getTime() + (b.endsAt - b.startsAt));
+}
+
+// Серия должна уложиться в BOOKING_MAX_SERIES_DAYS -> сообщение об ошибке | null
+function seriesLimitError(b) {
+  if (!b.rrule) return null;
+  const { until, count } = RRule.parseString(b.rrule);
+  if (until != null && until > seriesLimit(b))
+    return `rrule UNTIL must be within ${BOOKING_MAX_SERIES_DAYS} days of startsAt`;
+  if (count != null && seriesStarts(b, { withExdates: false }).length < count)
+    return `rrule COUNT occurrences must fit within ${BOOKING_MAX_SERIES_DAYS} days of startsAt`;
+  return null;
+}
+
+// Окно, в котором бронь проверяется на конфликты
+function bookingConflictWindow(b) {
+  return { from: b.startsAt, to: bookingSeriesEnd(b) ?? seriesLimit(b) };
+}
+
+/**
+ * Пересечения вхождений candidate с другими бронями и с Reservation той же зоны.
+ * candidate: { startsAt, endsAt, rrule, exdates } -> [{ bookingId|reservationId, title?, startsAt, endsAt }]
+ */
+async function findBookingConflicts(db, zoneId, candidate, exceptBookingId) {
+  const { from, to } = bookingConflictWindow(candidate);
+  const [others, reservations] = await Promise.all([
+    db.booking.findMany({
+      where: {
+        zoneId,
+        cancelledAt: null,
+        ...(exceptBookingId ? { NOT: { id: exceptBookingId } } : {}),
+        startsAt: { lt: to },
+        OR: [{ seriesEndsAt: null }, { seriesEndsAt: { gt: from } }],
+      },
+      select: {
+        id: true,
+        title: true,
+        startsAt: true,
+        endsAt: true,
+        rrule: true,
+        exdates: true,
+      },
+    }),
+    db.reservation.findMany({
+      where: { zoneId, ...overlapWhere(from, to) },
+      select: { id: true, startsAt: true, endsAt: true },
+    }),
+  ]);
+
+  const own = bookingOccurrences(candidate, from, to);
+  const busy = [
+    ...others.flatMap((b) =>
+      bookingOccurrences(b, from, to).map((o) => ({
+        bookingId: b.id,
+        title: b.title,
+        ...o,
+      }))
+    ),
+    ...reservations.map((r) => ({
+      reservationId: r.id,
+      startsAt: r.startsAt,
+      endsAt: r.endsAt,
+    })),
+  ].sort((a, b) => a.startsAt - b.startsAt);
+
+  // оба списка отсортированы по началу — проходим их вместе
+  const conflicts = [];
+  let j = 0;
+  for (const o of own) {
+    while (j < busy.length && busy[j].endsAt <= o.startsAt) j++;
+    for (let k = j; k < busy.length && busy[k].startsAt < o.endsAt; k++)
+      if (busy[k].endsAt > o.startsAt) conflicts.push(busy[k]);
+    if (conflicts.length >= 10) break;
+  }
+  return conflicts;
+}
+
+// Множество id зон, у которых есть вхождение встречи в [from, to)
+async function bookedZoneIds(zoneIds, from, to) {
+  if (!zoneIds.length) return new Set();
+  const bookings = await prisma.booking.findMany({
+    where: {
+      zoneId: { in: zoneIds },
+      cancelledAt: null,
+      startsAt: { lt: to },
+      OR: [{ seriesEndsAt: null }, { seriesEndsAt: { gt: from } }],
+    },
+    select: {
+      zoneId: true,
+      startsAt: true,
+      endsAt: true,
+      rrule: true,
+      exdates: true,
+    },
+  });
+  return new Set(
+    bookings
+      .filter((b) => bookingOccurrences(b, from, to).length)
+      .map((b) => b.zoneId)
+  );
+}
+
+// ["a@x", ...] -> { attendees } | { error }; организатор в списке не нужен
+function parseAttendees(value) {
+  if (value == null) return { attendees: [] };
+  if (!Array.isArray(value))
+    return { error: "attendees must be array of emails" };
+  const emails = new Set();
+  for (const v of value) {
+    const email = typeof v === "string" ? v : v?.email;
+    if (typeof email !== "string" || !/^[^\s@]+@[^\s@]+$/.test(email.trim()))
+      return { error: `Invalid attendee email: ${email}` };
+    emails.add(email.trim().toLowerCase());
+  }
+  if (emails.size > BOOKING_MAX_ATTENDEES)
+    return { error: `Too many attendees (max ${BOOKING_MAX_ATTENDEES})` };
+  return { attendees: [...emails] };
+}
+
+// Переговорка по :zoneId внутри tx (бросает 400/404) -> { id, capacity }
+async function meetingRoomOf(db, zoneId) {
+  const zone = await db.zone.findUnique({
+    where: { id: zoneId },
+    select: { id: true, typeId: true, capacity: true },
+  });
+  if (!zone) throw Object.assign(new Error("Zone not found"), { status: 404 });
+  if (!BOOKING_ZONE_TYPES.includes(zone.typeId))
+    throw Object.assign(
+      new Error(
+        `Bookings allowed only for zones of type: ${BOOKING_ZONE_TYPES.join(
+          ", "
+        )}`
+      ),
+      { status: 400 }
+    );
+  return zone;
+}
+
+/**
+ * Создаёт или меняет бронь под блокировкой зоны, с проверкой конфликтов серии.
+ * fields: { title, description, startsAt, endsAt, rrule, exdates, attendees, uid?, sequence?, restore? }
+ * Отменённую бронь менять нельзя (409); restore=true возвращает её — только для
+ * повторного приглашения ICS REQUEST с большим SEQUENCE.
+ * -> { booking, warnings }
+ */
+async function saveBooking(tx, req, { zoneId, organizerId, existing, fields }) {
+  if (existing?.cancelledAt && !fields.restore)
+    throw Object.assign(new Error("Booking is cancelled"), { status: 409 });
+  const room = await meetingRoomOf(tx, zoneId);
+  await tx.$queryRaw`SELECT id FROM "Zone" WHERE id = ${zoneId} FOR UPDATE`;
+
+  const timing = {
+    startsAt: fields.startsAt ?? existing?.startsAt,
+    endsAt: fields.endsAt ?? existing?.endsAt,
+    rrule: fields.rrule !== undefined ? fields.rrule : existing?.rrule ?? null,
+    exdates: fields.exdates ?? existing?.exdates ?? [],
+  };
+  if (timing.endsAt <= timing.startsAt)
+    throw Object.assign(new Error("endsAt must be after startsAt"), {
+      status: 400,
+    });
+  const tooLong = seriesLimitError(timing);
+  if (tooLong) throw Object.assign(new Error(tooLong), { status: 400 });
+  const conflicts = await findBookingConflicts(
+    tx,
+    zoneId,
+    timing,
+    existing?.id
+  );
+  if (conflicts.length)
+    throw Object.assign(new Error("Room is already booked for this time"), {
+      status: 409,
+      conflicts,
+    });
+
+  const data = {
+    ...(fields.title !== undefined ? { title: fields.title } : {}),
+    ...(fields.description !== undefined
+      ? { description: fields.description }
+      : {}),
+    ...timing,
+    seriesEndsAt: bookingSeriesEnd(timing),
+  };
+  let booking;
+  if (existing) {
+    booking = await tx.booking.update({
+      where: { id: existing.id },
+      data: {
+        ...data,
+        sequence: fields.sequence ?? existing.sequence + 1,
+        ...(fields.restore ? { cancelledAt: null } : {}),
+      },
+      select: { id: true },
+    });
+  } else {
+    booking = await tx.booking.create({
+      data: {
+        ...data,
+        zoneId,
+        organizerId,
+        uid: fields.uid ?? `${crypto.randomUUID()}@office-map`,
+        sequence: fields.sequence ?? 0,
+      },
+      select: { id: true },
+    });
+  }
+
+  if (fields.attendees) {
+    // статусы уже ответивших сохраняем
+    await tx.bookingAttendee.deleteMany({
+      where: { bookingId: booking.id, email: { notIn: fields.attendees } },
+    });
+    await tx.bookingAttendee.createMany({
+      data: fields.attendees.map((email) => ({ bookingId: booking.id, email })),
+      skipDuplicates: true,
+    });
+  }
+
+  const saved = await tx.booking.findUnique({
+    where: { id: booking.id },
+    select: bookingSelect,
+  });
+  await audit(tx, req, {
+    action: existing ? "update" : "create",
+    entity: "Booking",
+    entityId: saved.id,
+    before: existing,
+    after: saved,
+  });
+  const warnings = [];
+  if (room.capacity != null && saved.attendees.length + 1 > room.capacity)
+    warnings.push(
+      `${saved.attendees.length + 1} people exceed room capacity ${
+        room.capacity
+      }`
+    );
+  return { booking: saved, warnings };
+}
+
+// Менять и отменять бронь может организатор или админ офиса
+async function assertCanManageBooking(req, booking) {
+  const user = await currentUser(req);
+  if (req.officeRole !== "admin" && booking.organizer.id !== user?.id)
+    throw Object.assign(new Error("Forbidden"), { status: 403 });
+}
+
+// Тело POST/PATCH -> { fields } | { error }
+function parseBookingInput(body, { partial }) {
+  const b = body || {};
+  const fields = {};
+  if (b.title !== undefined || !partial) {
+    if (typeof b.title !== "string" || !b.title.trim())
+      return { error: "title is required" };
+    fields.title = b.title.trim();
+  }
+  if (b.description !== undefined) {
+    if (typeof b.description !== "string")
+      return { error: "description must be string" };
+    fields.description = b.description;
+  }
+  for (const key of ["startsAt", "endsAt"]) {
+    if (b[key] === undefined && partial) continue;
+    const d = parseDate(b[key]);
+    if (!d) return { error: "startsAt and endsAt must be ISO dates" };
+    fields[key] = d;
+  }
+  if (b.rrule !== undefined) {
+    const { rrule, error } = normalizeRRule(b.rrule);
+    if (error) return { error };
+    fields.rrule = rrule;
+  }
+  if (b.attendees !== undefined || !partial) {
+    const { attendees, error } = parseAttendees(b.attendees);
+    if (error) return { error };
+    fields.attendees = attendees;
+  }
+  return { fields };
+}
+
+function bookingError(res, e) {
+  return res
+    .status(e.status)
+    .json({ error: e.message, conflicts: e.conflicts });
+}
+
+// GET .../zones/:zoneId/bookings?from&to -> { from, to, occurrences:[{bookingId, uid, title, startsAt, endsAt, organizer, recurring}] }
+app.get(
+  "/offices/:officeId/floors/:floorId/zones/:zoneId/bookings",
+  authRequired,
+  requireOfficeRole("viewer"),
+  async (req, res, next) => {
+    try {
+      const zoneId = Number(req.params.zoneId);
+      const range = parseRange(req.query);
+      if (range.error) return res.status(400).json({ error: range.error });
+
+      const bookings = await prisma.booking.findMany({
+        where: {
+          zoneId,
+          cancelledAt: null,
+          startsAt: { lt: range.to },
+          OR: [{ seriesEndsAt: null }, { seriesEndsAt: { gt: range.from } }],
+        },
+        select: bookingSelect,
+      });
+      const occurrences = bookings
+        .flatMap((b) =>
+          bookingOccurrences(b, range.from, range.to).map((o) => ({
+            bookingId: b.id,
+            uid: b.uid,
+            title: b.title,
+            ...o,
+            organizer: b.organizer,
+            recurring: !!b.rrule,
+          }))
+        )
+        .sort((a, b) => a.startsAt - b.startsAt);
+      res.json({ from: range.from, to: range.to, occurrences });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// POST .../zones/:zoneId/bookings/feed -> 201 { url } — ссылка на iCalendar-ленту
+// переговорки для текущего пользователя. Показывается один раз, прежняя отзывается.
+app.post(
+  "/offices/:officeId/floors/:floorId/zones/:zoneId/bookings/feed",
+  authRequired,
+  requireOfficeRole("viewer"),
+  async (req, res, next) => {
+    try {
+      const zoneId = Number(req.params.zoneId);
+      await meetingRoomOf(prisma, zoneId);
+      const user = await currentUser(req);
+      if (!user) return res.status(401).json({ error: "Unknown user" });
+      res.status(201).json({ url: await issueFeed(req, user.id, zoneId) });
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      next(e);
+    }
+  }
+);
+
+// DELETE .../zones/:zoneId/bookings/feed -> 204 — отзывает ссылку текущего пользователя
+app.delete(
+  "/offices/:officeId/floors/:floorId/zones/:zoneId/bookings/feed",
+  authRequired,
+  requireOfficeRole("viewer"),
+  async (req, res, next) => {
+    try {
+      const user = await currentUser(req);
+      if (!user) return res.status(401).json({ error: "Unknown user" });
+      await revokeFeed(req, user.id, Number(req.params.zoneId));
+      res.status(204).end();
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+app.get(
+  "/offices/:officeId/floors/:floorId/zones/:zoneId/bookings/:bookingId",
+  authRequired,
+  requireOfficeRole("viewer"),
+  async (req, res, next) => {
+    try {
+      const booking = await prisma.booking.findFirst({
+        where: {
+          id: Number(req.params.bookingId),
+          zoneId: Number(req.params.zoneId),
+        },
+        select: bookingSelect,
+      });
+      if (!booking) return res.status(404).json({ error: "Booking not found" });
+      res.json(booking);
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// POST .../zones/:zoneId/bookings { title, startsAt, endsAt, rrule?, attendees?:[email], description? }
+// -> 201 { ...booking, warnings? }; 409 { conflicts } при пересечении с любым вхождением
+app.post(
+  "/offices/:officeId/floors/:floorId/zones/:zoneId/bookings",
+  authRequired,
+  requireOfficeRole("viewer"),
+  requirePermission("reservation:create"),
+  async (req, res, next) => {
+    try {
+      const zoneId = Number(req.params.zoneId);
+      const { fields, error } = parseBookingInput(req.body, { partial: false });
+      if (error) return res.status(400).json({ error });
+      const user = await currentUser(req);
+      if (!user) return res.status(401).json({ error: "Unknown user" });
+
+      const { booking, warnings } = await prisma.$transaction((tx) =>
+        saveBooking(tx, req, { zoneId, organizerId: user.id, fields })
+      );
+      publishFloorEvent(req, req.params.floorId, "booking.created", booking);
+      res
+        .status(201)
+        .json({ ...booking, ...(warnings.length ? { warnings } : {}) });
+    } catch (e) {
+      if (e.status) return bookingError(res, e);
+      next(e);
+    }
+  }
+);
+
+// PATCH .../zones/:zoneId/bookings/:bookingId — любые поля из POST; меняет всю серию
+app.patch(
+  "/offices/:officeId/floors/:floorId/zones/:zoneId/bookings/:bookingId",
+  authRequired,
+  requireOfficeRole("viewer"),
+  requirePermission("reservation:create"),
+  async (req, res, next) => {
+    try {
+      const zoneId = Number(req.params.zoneId);
+      const { fields, error } = parseBookingInput(req.body, { partial: true });
+      if (error) return res.status(400).json({ error });
+      if (Object.keys(fields).length === 0)
+        return res.status(400).json({ error: "No fields to update" });
+
+      const existing = await prisma.booking.findFirst({
+        where: { id: Number(req.params.bookingId), zoneId },
+        select: bookingSelect,
+      });
+      if (!existing)
+        return res.status(404).json({ error: "Booking not found" });
+      await assertCanManageBooking(req, existing);
+
+      const { booking, warnings } = await prisma.$transaction((tx) =>
+        saveBooking(tx, req, { zoneId, existing, fields })
+      );
+      publishFloorEvent(req, req.params.floorId, "booking.updated", booking);
+      res.json({ ...booking, ...(warnings.length ? { warnings } : {}) });
+    } catch (e) {
+      if (e.status) return bookingError(res, e);
+      next(e);
+    }
+  }
+);
+
+// DELETE .../zones/:zoneId/bookings/:bookingId[?occurrence=ISO] -> 204
+// С occurrence отменяется одно вхождение серии, без него — вся бронь (запись остаётся)
+app.delete(
+  "/offices/:officeId/floors/:floorId/zones/:zoneId/bookings/:bookingId",
+  authRequired,
+  requireOfficeRole("viewer"),
+  requirePermission("reservation:create"),
+  async (req, res, next) => {
+    try {
+      const existing = await prisma.booking.findFirst({
+        where: {
+          id: Number(req.params.bookingId),
+          zoneId: Number(req.params.zoneId),
+        },
+        select: bookingSelect,
+      });
+      if (!existing)
+        return res.status(404).json({ error: "Booking not found" });
+      await assertCanManageBooking(req, existing);
+
+      let data;
+      if (req.query.occurrence != null) {
+        const at = parseDate(req.query.occurrence);
+        const hit =
+          at &&
+          bookingOccurrences(existing, at, new Date(at.getTime() + 1)).find(
+            (o) => o.startsAt.getTime() === at.getTime()
+          );
+        if (!hit)
+          return res
+            .status(400)
+            .json({ error: "occurrence must be a start of this booking" });
+        if (!existing.rrule) data = { cancelledAt: new Date() };
+        else {
+          const exdates = [...existing.exdates, at];
+          data = {
+            exdates,
+            seriesEndsAt: bookingSeriesEnd({ ...existing, exdates }),
+          };
+        }
+      } else data = { cancelledAt: new Date() };
+
+      const updated = await prisma.booking.update({
+        where: { id: existing.id },
+        data: { ...data, sequence: existing.sequence + 1 },
+        select: bookingSelect,
+      });
+      await audit(prisma, req, {
+        action: "cancel",
+        entity: "Booking",
+        entityId: existing.id,
+        before: existing,
+        after: updated,
+      });
+      publishFloorEvent(req, req.params.floorId, "booking.cancelled", {
+        id: existing.id,
+        zoneId: existing.zoneId,
+        occurrence: req.query.occurrence ?? null,
+      });
+      res.status(204).end();
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      next(e);
+    }
+  }
+);
+
+// ===== iCalendar =====
+// Ленты .ics открываются календарями без заголовка Authorization, поэтому доступ —
+// по секрету в ссылке (CalendarFeed, в БД только sha256). Ссылку можно отозвать
+// или перевыпустить; при каждой выдаче ленты заново проверяем, что владелец
+// активен и всё ещё видит офис.
+
+/**
+ * Выпускает ссылку владельца на ленту; прежняя ссылка на ту же ленту отзывается.
+ * zoneId null — личная лента. -> url
+ */
+async function issueFeed(req, ownerId, zoneId) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await prisma.$transaction(async (tx) => {
+    await tx.calendarFeed.deleteMany({ where: { ownerId, zoneId } });
+    const feed = await tx.calendarFeed.create({
+      data: { ownerId, zoneId, tokenHash: hashToken(token) },
+      select: { id: true, ownerId: true, zoneId: true, createdAt: true },
+    });
+    await audit(tx, req, {
+      action: "create",
+      entity: "CalendarFeed",
+      entityId: feed.id,
+      after: feed,
+    });
+  });
+  const scope = zoneId == null ? `users/${ownerId}` : `rooms/${zoneId}`;
+  return `${req.protocol}://${req.get(
+    "host"
+  )}/calendar/${scope}.ics?token=${token}`;
+}
+
+async function revokeFeed(req, ownerId, zoneId) {
+  const feeds = await prisma.calendarFeed.findMany({
+    where: { ownerId, zoneId },
+    select: { id: true, ownerId: true, zoneId: true, createdAt: true },
+  });
+  if (!feeds.length) return;
+  await prisma.$transaction(async (tx) => {
+    await tx.calendarFeed.deleteMany({ where: { ownerId, zoneId } });
+    for (const feed of feeds)
+      await audit(tx, req, {
+        action: "delete",
+        entity: "CalendarFeed",
+        entityId: feed.id,
+        before: feed,
+      });
+  });
+}
+
+// Секрет из ?token= -> { id, zoneId, owner } | null (нет такой ленты или владелец отключён)
+async function resolveFeed(token) {
+  if (typeof token !== "string" || !token) return null;
+  const feed = await prisma.calendarFeed.findUnique({
+    where: { tokenHash: hashToken(token) },
+    select: {
+      id: true,
+      zoneId: true,
+      owner: {
+        select: {
+          id: true,
+          email: true,
+          role: true,
+          active: true,
+          permissions: { select: { permission: true, granted: true } },
+        },
+      },
+    },
+  });
+  if (!feed?.owner.active) return null;
+  await prisma.calendarFeed.update({
+    where: { id: feed.id },
+    data: { lastUsedAt: new Date() },
+  });
+  return feed;
+}
+
+// Офисы, где у владельца ленты сейчас есть роль viewer и выше; null — все
+async function feedOfficeIds(owner) {
+  const perms = effectivePermissions(owner.role, owner.permissions);
+  if (perms.includes("office:access-all")) return null;
+  const rows = await prisma.officeMembership.findMany({
+    where: { userId: owner.id },
+    select: { officeId: true, role: true },
+  });
+  return rows
+    .filter((r) => hasOfficeRole(r.role, "viewer"))
+    .map((r) => r.officeId);
+}
+
+function icsEscape(text) {
+  return String(text ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function icsDate(d) {
+  return d
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+// Строки длиннее 75 октетов переносятся (RFC 5545 3.1), не разрывая UTF-8 символы
+function icsFold(line) {
+  const out = [];
+  let chunk = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch);
+    if (bytes + n > (out.length ? 74 : 75)) {
+      out.push(chunk);
+      chunk = "";
+      bytes = 0;
+    }
+    chunk += ch;
+    bytes += n;
+  }
+  out.push(chunk);
+  return out.join("\r\n ");
+}
+
+const PARTSTAT = {
+  needs_action: "NEEDS-ACTION",
+  accepted: "ACCEPTED",
+  declined: "DECLINED",
+  tentative: "TENTATIVE",
+};
+
+// bookings — с zone { name, floor { number, office { name } } }
+function buildCalendar(name, bookings) {
+  const now = icsDate(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//office-map//bookings//RU",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsEscape(name)}`,
+  ];
+  for (const b of bookings) {
+    const z = b.zone;
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${b.uid}`,
+      `DTSTAMP:${now}`,
+      `SEQUENCE:${b.sequence}`,
+      `DTSTART:${icsDate(b.startsAt)}`,
+      `DTEND:${icsDate(b.endsAt)}`,
+      `SUMMARY:${icsEscape(b.title)}`,
+      ...(b.description ? [`DESCRIPTION:${icsEscape(b.description)}`] : []),
+      `LOCATION:${icsEscape(
+        `${z.floor.office.name}, этаж ${z.floor.number}, ${z.name}`
+      )}`,
+      `ORGANIZER${
+        b.organizer.name ? `;CN=${icsEscape(b.organizer.name)}` : ""
+      }:mailto:${b.organizer.email}`,
+      ...b.attendees.map(
+        (a) => `ATTENDEE;PARTSTAT=${PARTSTAT[a.status]}:mailto:${a.email}`
+      ),
+      ...(b.rrule ? [`RRULE:${b.rrule}`] : []),
+      ...(b.exdates.length
+        ? [`EXDATE:${b.exdates.map(icsDate).join(",")}`]
+        : []),
+      `STATUS:${b.cancelledAt ? "CANCELLED" : "CONFIRMED"}`,
+      "END:VEVENT"
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+
+// Смещение часового пояса (мс) в момент utcMs
+function tzOffset(utcMs, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(new Date(utcMs))
+      .map((p) => [p.type, Number(p.value)])
+  );
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return asUtc - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * Значение DATE-TIME из ICS -> Date. "...Z" — UTC, с TZID — местное время пояса,
+ * без того и другого — считаем UTC. Даты без времени (весь день) не поддерживаются.
+ */
+function parseIcsDate(value, params = {}) {
+  const m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/.exec(value);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s, z] = m.map((v, i) =>
+    i && i < 7 ? Number(v) : v
+  );
+  const local = Date.UTC(y, mo - 1, d, h, mi, s);
+  if (z || !params.TZID) return new Date(local);
+  try {
+    // два прохода, чтобы попасть в правильное смещение рядом с переходом на летнее время
+    let utc = local - tzOffset(local, params.TZID);
+    utc = local - tzOffset(utc, params.TZID);
+    return new Date(utc);
+  } catch (_e) {
+    return null;
+  }
+}
+
+// "PT1H30M" / "P1D" -> мс
+function parseIcsDuration(value) {
+  const m =
+    /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(
+      value
+    );
+  if (!m) return null;
+  const [, sign, w, d, h, mi, s] = m;
+  const ms =
+    (((Number(w ?? 0) * 7 + Number(d ?? 0)) * 24 + Number(h ?? 0)) * 60 +
+      Number(mi ?? 0)) *
+      60000 +
+    Number(s ?? 0) * 1000;
+  return sign === "-" ? -ms : ms;
+}
+
+function icsUnescape(text) {
+  return text.replace(/\\([\\;,nN])/g, (_m, c) =>
+    c === "n" || c === "N" ? "\n" : c
+  );
+}
+
+function mailtoOf(value) {
+  return value
+    .replace(/^mailto:/i, "")
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Разбирает VCALENDAR -> { method, events:[{ uid, summary, description, startsAt, endsAt,
+ *   rrule, exdates, organizer, attendees:[{email, status}], sequence, cancelled, recurrenceId }] }
+ * Бросает 400 на нечитаемые даты.
+ */
+function parseIcs(text) {
+  const lines = String(text)
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/);
+  let method = null;
+  const events = [];
+  let ev = null;
+  const bad = (msg) => Object.assign(new Error(msg), { status: 400 });
+  for (const line of lines) {
+    const m = /^([A-Za-z0-9-]+)((?:;[^:]*)?):(.*)$/.exec(line);
+    if (!m) continue;
+    const name = m[1].toUpperCase();
+    const params = Object.fromEntries(
+      m[2]
+        .split(";")
+        .filter(Boolean)
+        .map((p) => {
+          const [k, ...v] = p.split("=");
+          return [k.toUpperCase(), v.join("=").replace(/^"|"$/g, "")];
+        })
+    );
+    const value = m[3];
+    if (name === "BEGIN" && value.toUpperCase() === "VEVENT") {
+      ev = { attendees: [], exdates: [], sequence: 0 };
+      continue;
+    }
+    if (name === "END" && value.toUpperCase() === "VEVENT") {
+      if (ev) events.push(ev);
+      ev = null;
+      continue;
+    }
+    if (!ev) {
+      if (name === "METHOD") method = value.trim().toUpperCase();
+      continue;
+    }
+    switch (name) {
+      case "UID":
+        ev.uid = value.trim();
+        break;
+      case "SUMMARY":
+        ev.summary = icsUnescape(value);
+        break;
+      case "DESCRIPTION":
+        ev.description = icsUnescape(value);
+        break;
+      case "DTSTART":
+      case "DTEND":
+      case "RECURRENCE-ID": {
+        const d = parseIcsDate(value.trim(), params);
+        if (!d)
+          throw bad(
+            `${name} must be a date-time (all-day events are not supported)`
+          );
+        ev[
+          {
+            DTSTART: "startsAt",
+            DTEND: "endsAt",
+            "RECURRENCE-ID": "recurrenceId",
+          }[name]
+        ] = d;
+        break;
+      }
+      case "DURATION":
+        ev.duration = parseIcsDuration(value.trim());
+        break;
+      case "RRULE":
+        ev.rrule = value.trim();
+        break;
+      case "EXDATE":
+        for (const v of value.split(",")) {
+          const d = parseIcsDate(v.trim(), params);
+          if (!d) throw bad("EXDATE must be a date-time");
+          ev.exdates.push(d);
+        }
+        break;
+      case "ORGANIZER":
+        ev.organizer = mailtoOf(value);
+        break;
+      case "ATTENDEE": {
+        const status = (params.PARTSTAT ?? "NEEDS-ACTION").toUpperCase();
+        ev.attendees.push({
+          email: mailtoOf(value),
+          status:
+            Object.keys(PARTSTAT).find((k) => PARTSTAT[k] === status) ??
+            "needs_action",
+        });
+        break;
+      }
+      case "SEQUENCE":
+        ev.sequence = Number(value) || 0;
+        break;
+      case "STATUS":
+        ev.cancelled = value.trim().toUpperCase() === "CANCELLED";
+        break;
+    }
+  }
+  for (const e of events)
+    if (!e.endsAt && e.startsAt && e.duration != null)
+      e.endsAt = new Date(e.startsAt.getTime() + e.duration);
+  return { method, events };
+}
+
+// Один VEVENT приглашения -> { uid, action, bookingId?, error?, conflicts? }
+async function applyIcsEvent(req, zoneId, method, ev, user) {
+  if (!ev.uid)
+    return { uid: null, action: "skipped", error: "UID is required" };
+  if (ev.recurrenceId)
+    return {
+      uid: ev.uid,
+      action: "skipped",
+      error: "changes of single occurrences (RECURRENCE-ID) are not supported",
+    };
+  const existing = await prisma.booking.findUnique({
+    where: { uid: ev.uid },
+    select: bookingSelect,
+  });
+  if (existing && existing.zoneId !== zoneId)
+    return {
+      uid: ev.uid,
+      action: "skipped",
+      error: "UID belongs to another room",
+    };
+
+  if (method === "REPLY") {
+    if (!existing)
+      return { uid: ev.uid, action: "skipped", error: "Booking not found" };
+    // отвечать за других может только организатор или админ офиса
+    const manager =
+      req.officeRole === "admin" || existing.organizer.id === user.id;
+    const replies = ev.attendees.filter(
+      (a) => manager || a.email === user.email
+    );
+    if (!replies.length)
+      return {
+        uid: ev.uid,
+        action: "skipped",
+        bookingId: existing.id,
+        error: "REPLY may only change your own attendance",
+      };
+    await prisma.$transaction(async (tx) => {
+      for (const a of replies)
+        await tx.bookingAttendee.updateMany({
+          where: { bookingId: existing.id, email: a.email },
+          data: { status: a.status },
+        });
+      await audit(tx, req, {
+        action: "reply",
+        entity: "Booking",
+        entityId: existing.id,
+        before: existing,
+        after: await tx.booking.findUnique({
+          where: { id: existing.id },
+          select: bookingSelect,
+        }),
+      });
+    });
+    return { uid: ev.uid, action: "replied", bookingId: existing.id };
+  }
+
+  if (method === "CANCEL" || ev.cancelled) {
+    if (!existing)
+      return { uid: ev.uid, action: "skipped", error: "Booking not found" };
+    await assertCanManageBooking(req, existing);
+    if (!existing.cancelledAt) {
+      const cancelled = await prisma.booking.update({
+        where: { id: existing.id },
+        data: {
+          cancelledAt: new Date(),
+          sequence: Math.max(ev.sequence, existing.sequence + 1),
+        },
+        select: bookingSelect,
+      });
+      await audit(prisma, req, {
+        action: "cancel",
+        entity: "Booking",
+        entityId: existing.id,
+        before: existing,
+        after: cancelled,
+      });
+    }
+    return { uid: ev.uid, action: "cancelled", bookingId: existing.id };
+  }
+
+  if (existing && ev.sequence < existing.sequence)
+    return {
+      uid: ev.uid,
+      action: "skipped",
+      bookingId: existing.id,
+      error: "stale SEQUENCE",
+    };
+  // отменённую бронь возвращает только новое приглашение: REQUEST с большим SEQUENCE
+  const restore = !!existing?.cancelledAt;
+  if (restore && !(method === "REQUEST" && ev.sequence > existing.sequence))
+    return {
+      uid: ev.uid,
+      action: "skipped",
+      bookingId: existing.id,
+      error:
+        "Booking is cancelled, re-invite with METHOD:REQUEST and a higher SEQUENCE",
+    };
+  if (!ev.startsAt || !ev.endsAt)
+    return {
+      uid: ev.uid,
+      action: "skipped",
+      error: "DTSTART and DTEND (or DURATION) are required",
+    };
+  const { rrule, error } = normalizeRRule(ev.rrule);
+  if (error) return { uid: ev.uid, action: "skipped", error };
+  if (existing) await assertCanManageBooking(req, existing);
+
+  // организатором из приглашения может быть только сам отправитель (или его назначает админ)
+  let organizerId = user.id;
+  if (
+    ev.organizer &&
+    ev.organizer !== user.email &&
+    req.officeRole === "admin"
+  ) {
+    const organizer = await prisma.user.findUnique({
+      where: { email: ev.organizer },
+      select: { id: true },
+    });
+    if (organizer) organizerId = organizer.id;
+  }
+  const fields = {
+    title: ev.summary?.trim() || "(без названия)",
+    description: ev.description ?? "",
+    startsAt: ev.startsAt,
+    endsAt: ev.endsAt,
+    rrule,
+    exdates: ev.exdates,
+    attendees: [
+      ...new Set(
+        ev.attendees.map((a) => a.email).filter((e) => e && e !== ev.organizer)
+      ),
+    ].slice(0, BOOKING_MAX_ATTENDEES),
+    uid: ev.uid,
+    sequence: ev.sequence,
+    restore,
+  };
+  try {
+    const { booking, warnings } = await prisma.$transaction((tx) =>
+      saveBooking(tx, req, { zoneId, organizerId, existing, fields })
+    );
+    return {
+      uid: ev.uid,
+      action: restore ? "restored" : existing ? "updated" : "created",
+      bookingId: booking.id,
+      ...(warnings.length ? { warnings } : {}),
+    };
+  } catch (e) {
+    // конфликт или недопустимая серия — пропускаем событие, остальные импортируем
+    if (e.status === 409 || e.status === 400)
+      return {
+        uid: ev.uid,
+        action: "skipped",
+        error: e.message,
+        conflicts: e.conflicts,
+      };
+    throw e;
+  }
+}
+
+// POST .../zones/:zoneId/bookings/ics (Content-Type: text/calendar) -> { results:[{uid, action, bookingId?, error?}] }
+// REQUEST/PUBLISH создают или обновляют бронь по UID, CANCEL отменяет, REPLY — ответы участников.
+// Отменённую бронь возвращает только REQUEST с большим SEQUENCE (action: "restored").
+app.post(
+  "/offices/:officeId/floors/:floorId/zones/:zoneId/bookings/ics",
+  authRequired,
+  requireOfficeRole("viewer"),
+  requirePermission("reservation:create"),
+  express.text({ type: ["text/calendar", "text/plain"], limit: "1mb" }),
+  async (req, res, next) => {
+    try {
+      const zoneId = Number(req.params.zoneId);
+      if (typeof req.body !== "string" || !/BEGIN:VCALENDAR/i.test(req.body))
+        return res
+          .status(400)
+          .json({ error: "Body must be an iCalendar (text/calendar)" });
+      await meetingRoomOf(prisma, zoneId);
+      const user = await currentUser(req);
+      if (!user) return res.status(401).json({ error: "Unknown user" });
+
+      const { method, events } = parseIcs(req.body);
+      if (!events.length)
+        return res.status(400).json({ error: "No VEVENT in calendar" });
+      const results = [];
+      for (const ev of events)
+        results.push(await applyIcsEvent(req, zoneId, method, ev, user));
+      if (results.some((r) => r.bookingId && r.action !== "skipped"))
+        publishFloorEvent(req, req.params.floorId, "booking.imported", {
+          zoneId,
+          uids: results.map((r) => r.uid),
+        });
+      res.json({ results });
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      next(e);
+    }
+  }
+);
+
+const calendarBookingSelect = {
+  ...bookingSelect,
+  zone: {
+    select: {
+      name: true,
+      floor: { select: { number: true, office: { select: { name: true } } } },
+    },
+  },
+};
+
+function sendCalendar(res, filename, body) {
+  res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+  res.type("text/calendar; charset=utf-8").send(body);
+}
+
+// GET /calendar/rooms/:zoneId.ics?token= — лента переговорки (включая отменённые брони)
+app.get("/calendar/rooms/:zoneId.ics", async (req, res, next) => {
+  try {
+    const zoneId = intParam(req.params.zoneId);
+    const feed = zoneId != null && (await resolveFeed(req.query.token));
+    if (!feed || feed.zoneId !== zoneId)
+      return res.status(401).json({ error: "Invalid feed token" });
+    const zone = await prisma.zone.findUnique({
+      where: { id: zoneId },
+      select: { name: true, floor: { select: { officeId: true } } },
+    });
+    if (!zone) return res.status(404).json({ error: "Zone not found" });
+    const offices = await feedOfficeIds(feed.owner);
+    if (offices && !offices.includes(zone.floor.officeId))
+      return res.status(403).json({ error: "Forbidden" });
+    const bookings = await prisma.booking.findMany({
+      where: { zoneId },
+      select: calendarBookingSelect,
+      orderBy: { startsAt: "asc" },
+    });
+    sendCalendar(res, `room-${zoneId}.ics`, buildCalendar(zone.name, bookings));
+  } catch (e) {
+    next(e);
+  }
+});
+
+// GET /calendar/users/:userId.ics?token= — брони, где пользователь организатор или участник
+app.get("/calendar/users/:userId.ics", async (req, res, next) => {
+  try {
+    const userId = intParam(req.params.userId);
+    const feed = userId != null && (await resolveFeed(req.query.token));
+    if (!feed || feed.zoneId !== null || feed.owner.id !== userId)
+      return res.status(401).json({ error: "Invalid feed token" });
+    const user = feed.owner;
+    // брони только в офисах, которые владелец видит сейчас
+    const offices = await feedOfficeIds(user);
+    const bookings = await prisma.booking.findMany({
+      where: {
+        OR: [
+          { organizerId: userId },
+          { attendees: { some: { email: user.email } } },
+        ],
+        ...(offices ? { zone: { floor: { officeId: { in: offices } } } } : {}),
+      },
+      select: calendarBookingSelect,
+      orderBy: { startsAt: "asc" },
+    });
+    sendCalendar(
+      res,
+      `user-${userId}.ics`,
+      buildCalendar(user.email, bookings)
+    );
+  } catch (e) {
+    next(e);
+  }
+});
+
+// POST /calendar/feed -> 201 { url } — личная лента текущего пользователя
+// (ссылка показывается один раз, прежняя отзывается); DELETE — отозвать
+app.post("/calendar/feed", authRequired, async (req, res, next) => {
+  try {
+    const user = await currentUser(req);
+    if (!user) return res.status(401).json({ error: "Unknown user" });
+    res.status(201).json({ url: await issueFeed(req, user.id, null) });
+  } catch (e) {
+    next(e);
+  }
+});
+
+app.delete("/calendar/feed", authRequired, async (req, res, next) => {
+  try {
+    const user = await currentUser(req);
+    if (!user) return res.status(401).json({ error: "Unknown user" });
+    await revokeFeed(req, user.id, null);
+    res.status(204).end();
+  } catch (e) {
+    next(e);
+  }
+});
+
+// ===================== SEAT ASSIGNMENTS =====================
+// Постоянные и временные закрепления мест за сотрудниками. Интервал [startsAt, endsAt),
+// endsAt = null — бессрочно. Снятие не удаляет запись, а закрывает интервал.
+// На одном месте — не больше одного закрепления в любой момент; у сотрудника —
+// не больше одного постоянного и одного временного (временное «перекрывает» постоянное).
+const SEAT_KINDS = ["permanent", "temporary"];
+const SEAT_ZONE_TYPES = ["desk"];
+
+const seatAssignmentSelect = {
+  id: true,
+  zoneId: true,
+  kind: true,
+  startsAt: true,
+  endsAt: true,
+  note: true,
+  assignedBy: true,
+  createdAt: true,
+  user: { select: { id: true, email: true } },
+};
+
+// Пересечение с [from, to); to = null — до бесконечности
+function seatOverlapWhere(from, to) {
+  return {
+    ...(to ? { startsAt: { lt: to } } : {}),
+    OR: [{ endsAt: null }, { endsAt: { gt: from } }],
+  };
+}
+
+function activeSeatWhere(at) {
+  return {
+    startsAt: { lte: at },
+    OR: [{ endsAt: null }, { endsAt: { gt: at } }],
+  };
+}
+
+// zoneId -> { email, kind, endsAt } на момент at
+async function seatedByZone(zoneIds, at) {
+  if (!zoneIds.length) return new Map();
+  const rows = await prisma.seatAssignment.findMany({
+    where: { zoneId: { in: zoneIds }, ...activeSeatWhere(at) },
+    select: seatAssignmentSelect,
+  });
+  return new Map(
+    rows.map((r) => [
+      r.zoneId,
+      { email: r.user.email, kind: r.kind, endsAt: r.endsAt },
+    ])
+  );
+}
+
+// Офисы, этажи которых пользователь видит (null — все)
+async function visibleOfficeIds(req) {
+  if (req.user.perms?.includes("office:access-all")) return null;
+  const rows = await prisma.officeMembership.findMany({
+    where: { user: { email: String(req.user.sub) } },
+    select: { officeId: true },
+  });
+  return rows.map((r) => r.officeId);
+}
+
+// Место с координатами для подсветки на карте
+function seatLocation(a) {
+  const z = a.zone;
+  const pts = validatePolygon(z.coordinates) ? null : toPoints(z.coordinates);
+  return {
+    assignmentId: a.id,
+    kind: a.kind,
+    startsAt: a.startsAt,
+    endsAt: a.endsAt,
+    office: { id: z.floor.office.id, name: z.floor.office.name },
+    floor: { id: z.floor.id, number: z.floor.number },
+    layer: { id: z.layer.id, name: z.layer.name },
+    zone: { id: z.id, name: z.name },
+    centroid: pts ? centroid(pts).map(round2) : null,
+  };
+}
+
+const seatLocationSelect = {
+  id: true,
+  kind: true,
+  startsAt: true,
+  endsAt: true,
+  zone: {
+    select: {
+      id: true,
+      name: true,
+      coordinates: true,
+      layer: { select: { id: true, name: true } },
+      floor: {
+        select: {
+          id: true,
+          number: true,
+          office: { select: { id: true, name: true } },
+        },
+      },
+    },
+  },
+};
+
+// GET .../zones/:zoneId/assignments[?history=1] -> { assignments }
+// По умолчанию — текущие и будущие; history=1 — все, новые первыми
+app.get(
+  "/offices/:officeId/floors/:floorId/zones/:zoneId/assignments",
+  authRequired,
+  requireOfficeRole("viewer"),
+  async (req, res, next) => {
+    try {
+      const zoneId = Number(req.params.zoneId);
+      const now = new Date();
+      const assignments = await prisma.seatAssignment.findMany({
+        where: {
+          zoneId,
+          ...(req.query.history === "1" ? {} : seatOverlapWhere(now, null)),
+        },
+        select: seatAssignmentSelect,
+        orderBy: [{ startsAt: "desc" }, { id: "desc" }],
+      });
+      res.json({ assignments });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// POST .../zones/:zoneId/assignments { email, kind, startsAt?, endsAt?, note? } -> 201 assignment
+// temporary требует endsAt. 409 при пересечении по месту или по сотруднику.
+app.post(
+  "/offices/:officeId/floors/:floorId/zones/:zoneId/assignments",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("seat:assign"),
+  async (req, res, next) => {
+    try {
+      const floorId = Number(req.params.floorId);
+      const zoneId = Number(req.params.zoneId);
+      const { email, kind, note = "" } = req.body || {};
+      if (typeof email !== "string" || !email.trim())
+        return res.status(400).json({ error: "email required" });
+      if (!SEAT_KINDS.includes(kind))
+        return res
+          .status(400)
+          .json({ error: `kind must be one of: ${SEAT_KINDS.join(", ")}` });
+      if (typeof note !== "string")
+        return res.status(400).json({ error: "note must be string" });
+      const startsAt =
+        req.body.startsAt != null ? parseDate(req.body.startsAt) : new Date();
+      const endsAt =
+        req.body.endsAt != null ? parseDate(req.body.endsAt) : null;
+      if (!startsAt || (req.body.endsAt != null && !endsAt))
+        return res
+          .status(400)
+          .json({ error: "startsAt and endsAt must be ISO dates" });
+      if (kind === "temporary" && !endsAt)
+        return res
+          .status(400)
+          .json({ error: "endsAt is required for temporary assignment" });
+      if (endsAt && endsAt <= startsAt)
+        return res.status(400).json({ error: "endsAt must be after startsAt" });
+
+      const created = await prisma.$transaction(async (tx) => {
+        const [zone, user] = await Promise.all([
+          tx.zone.findUnique({
+            where: { id: zoneId },
+            select: { id: true, typeId: true },
+          }),
+          tx.user.findUnique({
+            where: { email: email.trim().toLowerCase() },
+            select: { id: true, active: true },
+          }),
+        ]);
+        if (!SEAT_ZONE_TYPES.includes(zone.typeId))
+          throw Object.assign(
+            new Error(
+              `Seats can be assigned only in zones of type: ${SEAT_ZONE_TYPES.join(
+                ", "
+              )}`
+            ),
+            { status: 400 }
+          );
+        if (!user)
+          throw Object.assign(new Error("User not found"), { status: 404 });
+        if (!user.active)
+          throw Object.assign(new Error("User is deactivated"), {
+            status: 409,
+          });
+
+        // место и сотрудник — под блокировкой, чтобы параллельные назначения не проскочили
+        await tx.$queryRaw`SELECT id FROM "Zone" WHERE id = ${zoneId} FOR UPDATE`;
+        await tx.$queryRaw`SELECT id FROM "User" WHERE id = ${user.id} FOR UPDATE`;
+
+        const overlap = seatOverlapWhere(startsAt, endsAt);
+        const [taken, own] = await Promise.all([
+          tx.seatAssignment.findFirst({
+            where: { zoneId, ...overlap },
+            select: seatAssignmentSelect,
+          }),
+          tx.seatAssignment.findFirst({
+            where: { userId: user.id, kind, ...overlap },
+            select: seatAssignmentSelect,
+          }),
+        ]);
+        if (taken)
+          throw Object.assign(
+            new Error("Seat is already assigned for this period"),
+            { status: 409, conflict: taken }
+          );
+        if (own)
+          throw Object.assign(
+            new Error(`User already has a ${kind} seat for this period`),
+            { status: 409, conflict: own }
+          );
+
+        const assignment = await tx.seatAssignment.create({
+          data: {
+            userId: user.id,
+            zoneId,
+            kind,
+            startsAt,
+            endsAt,
+            note,
+            assignedBy: req.user.sub,
+          },
+          select: seatAssignmentSelect,
+        });
+        await audit(tx, req, {
+          action: "create",
+          entity: "SeatAssignment",
+          entityId: assignment.id,
+          after: assignment,
+        });
+        return assignment;
+      });
+
+      publishFloorEvent(req, floorId, "seat.assigned", created);
+      res.status(201).json(created);
+    } catch (e) {
+      if (e.status)
+        return res
+          .status(e.status)
+          .json({ error: e.message, conflict: e.conflict });
+      next(e);
+    }
+  }
+);
+
+// DELETE .../zones/:zoneId/assignments/:assignmentId -> 204
+// Текущее закрепление закрывается сейчас (остаётся в истории), будущее удаляется
+app.delete(
+  "/offices/:officeId/floors/:floorId/zones/:zoneId/assignments/:assignmentId",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("seat:assign"),
+  async (req, res, next) => {
+    try {
+      const zoneId = Number(req.params.zoneId);
+      const id = Number(req.params.assignmentId);
+      if (!Number.isInteger(id))
+        return res.status(400).json({ error: "Invalid assignmentId" });
+      const before = await prisma.seatAssignment.findFirst({
+        where: { id, zoneId },
+        select: seatAssignmentSelect,
+      });
+      if (!before)
+        return res.status(404).json({ error: "Assignment not found" });
+
+      const now = new Date();
+      if (before.endsAt && before.endsAt <= now)
+        return res.status(409).json({ error: "Assignment already ended" });
+      if (before.startsAt > now) {
+        await prisma.seatAssignment.delete({ where: { id } });
+        await audit(prisma, req, {
+          action: "delete",
+          entity: "SeatAssignment",
+          entityId: id,
+          before,
+        });
+      } else {
+        const ended = await prisma.seatAssignment.update({
+          where: { id },
+          data: { endsAt: now },
+          select: seatAssignmentSelect,
+        });
+        await audit(prisma, req, {
+          action: "release",
+          entity: "SeatAssignment",
+          entityId: id,
+          before,
+          after: ended,
+        });
+      }
+      publishFloorEvent(req, req.params.floorId, "seat.released", {
+        id,
+        zoneId,
+      });
+      res.status(204).end();
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// GET /seats/lookup?email= -> { user:{id, email}, seat: {office, floor, layer, zone, centroid, kind, ...} | null }
+// «Найти коллегу»: временное место приоритетнее постоянного. Только в офисах, видимых спрашивающему.
+app.get("/seats/lookup", authRequired, async (req, res, next) => {
+  try {
+    const email = String(req.query.email ?? "")
+      .trim()
+      .toLowerCase();
+    if (!email) return res.status(400).json({ error: "email required" });
+    const user = await prisma.user.findUnique({
+      where: { email },
+      select: { id: true, email: true },
+    });
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const officeIds = await visibleOfficeIds(req);
+    const active = await prisma.seatAssignment.findMany({
+      where: {
+        userId: user.id,
+        ...activeSeatWhere(new Date()),
+        ...(officeIds
+          ? { zone: { floor: { officeId: { in: officeIds } } } }
+          : {}),
+      },
+      select: seatLocationSelect,
+    });
+    const current =
+      active.find((a) => a.kind === "temporary") ??
+      active.find((a) => a.kind === "permanent");
+    res.json({ user, seat: current ? seatLocation(current) : null });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// GET /seats/history?email= -> { user, seats:[...] } — все закрепления сотрудника, новые первыми
+app.get("/seats/history", authRequired, async (req, res, next) => {
+  try {
+    const email = String(req.query.email ?? "")
+      .trim()
+      .toLowerCase();
+    if (!email) return res.status(400).json({ error: "email required" });
+    const user = await prisma.user.findUnique({
+      where: { email },
+      select: { id: true, email: true },
+    });
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const officeIds = await visibleOfficeIds(req);
+    const rows = await prisma.seatAssignment.findMany({
+      where: {
+        userId: user.id,
+        ...(officeIds
+          ? { zone: { floor: { officeId: { in: officeIds } } } }
+          : {}),
+      },
+      select: { ...seatLocationSelect, note: true, assignedBy: true },
+      orderBy: [{ startsAt: "desc" }, { id: "desc" }],
+    });
+    res.json({
+      user,
+      seats: rows.map((a) => ({
+        ...seatLocation(a),
+        note: a.note,
+        assignedBy: a.assignedBy,
+      })),
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// ===================== INVENTORY CATALOG =====================
+// Справочник типов инвентаря. Иконки: iconKey — встроенная иконка клиента,
+// iconUrl — загруженная (SVG очищается так же, как планы этажей).
+const CATALOG_ID_RE = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const ICON_ROOT = path.join(UPLOAD_ROOT, "catalog");
+
+const iconUpload = multer({
+  storage: multer.diskStorage({
+    destination: (_req, _file, cb) => {
+      fs.mkdirSync(ICON_ROOT, { recursive: true });
+      cb(null, ICON_ROOT);
+    },
+    // имя не зависит от параметров запроса: id из URL уже раскодирован и может содержать "../"
+    filename: (_req, file, cb) => {
+      const ext = file.mimetype === "image/svg+xml" ? ".svg" : ".png";
+      cb(null, `${crypto.randomUUID()}${ext}`);
+    },
+  }),
+  limits: { fileSize: 1024 * 1024 },
+  fileFilter: (_req, file, cb) => {
+    if (!["image/png", "image/svg+xml"].includes(file.mimetype))
+      return cb(new Error("Icon must be SVG or PNG"));
+    cb(null, true);
+  },
+});
+
+function validateCatalogFields(body, { partial }) {
+  const data = {};
+  const { displayName, iconKey, category } = body || {};
+  if (displayName !== undefined || !partial) {
+    if (typeof displayName !== "string" || !displayName.trim())
+      return { error: "displayName is required" };
+    data.displayName = displayName.trim();
+  }
+  if (iconKey !== undefined) {
+    if (typeof iconKey !== "string" || !iconKey.trim())
+      return { error: "iconKey must be non-empty string" };
+    data.iconKey = iconKey.trim();
+  }
+  if (category !== undefined) {
+    if (category !== null && typeof category !== "string")
+      return { error: "category must be string or null" };
+    data.category = category?.trim() || null;
+  }
+  return { data };
+}
+
+app.get("/inventory/catalog", authRequired, async (_req, res, next) => {
+  try {
+    const items = await prisma.inventoryCatalog.findMany({
+      orderBy: [{ category: "asc" }, { displayName: "asc" }],
+    });
+    res.json(items);
+  } catch (e) {
+    next(e);
+  }
+});
+
+app.get("/inventory/catalog/:id", authRequired, async (req, res, next) => {
+  try {
+    const item = await prisma.inventoryCatalog.findUnique({
+      where: { id: req.params.id },
+    });
+    if (!item) return res.status(404).json({ error: "Catalog item not found" });
+    res.json(item);
+  } catch (e) {
+    next(e);
+  }
+});
+
+// POST /inventory/catalog { id, displayName, iconKey?, category? } -> 201 item
+app.post(
+  "/inventory/catalog",
+  authRequired,
+  requirePermission("catalog:manage"),
+  async (req, res, next) => {
+    try {
+      const { id } = req.body || {};
+      if (typeof id !== "string" || !CATALOG_ID_RE.test(id))
+        return res
+          .status(400)
+          .json({ error: "id must match [a-z0-9_-], up to 64 chars" });
+      const { data, error } = validateCatalogFields(req.body, {
+        partial: false,
+      });
+      if (error) return res.status(400).json({ error });
+
+      const item = await prisma.inventoryCatalog.create({
+        data: { id, iconKey: id, ...data },
+      });
+      await audit(prisma, req, {
+        action: "create",
+        entity: "InventoryCatalog",
+        entityId: id,
+        after: item,
+      });
+      res.status(201).json(item);
+    } catch (e) {
+      if (e.code === "P2002")
+        return res.status(409).json({ error: "Catalog id already exists" });
+      next(e);
+    }
+  }
+);
+
+// PATCH /inventory/catalog/:id { displayName?, iconKey?, category? }
+app.patch(
+  "/inventory/catalog/:id",
+  authRequired,
+  requirePermission("catalog:manage"),
+  async (req, res, next) => {
+    try {
+      const { data, error } = validateCatalogFields(req.body, {
+        partial: true,
+      });
+      if (error) return res.status(400).json({ error });
+      if (Object.keys(data).length === 0)
+        return res.status(400).json({ error: "No fields to update" });
+
+      const before = await prisma.inventoryCatalog.findUnique({
+        where: { id: req.params.id },
+      });
+      if (!before)
+        return res.status(404).json({ error: "Catalog item not found" });
+      const item = await prisma.inventoryCatalog.update({
+        where: { id: req.params.id },
+        data,
+      });
+      await audit(prisma, req, {
+        action: "update",
+        entity: "InventoryCatalog",
+        entityId: item.id,
+        before,
+        after: item,
+      });
+      res.json(item);
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// POST /inventory/catalog/:id/icon (multipart "icon": SVG или PNG, до 1 МБ) -> item
+app.post(
+  "/inventory/catalog/:id/icon",
+  authRequired,
+  requirePermission("catalog:manage"),
+  (req, res, next) =>
+    CATALOG_ID_RE.test(req.params.id)
+      ? next()
+      : res.status(400).json({ error: "Invalid catalog id" }),
+  iconUpload.single("icon"),
+  async (req, res, next) => {
+    try {
+      if (!req.file) return res.status(400).json({ error: "icon is required" });
+      const before = await prisma.inventoryCatalog.findUnique({
+        where: { id: req.params.id },
+      });
+      if (!before) {
+        fs.rmSync(req.file.path, { force: true });
+        return res.status(404).json({ error: "Catalog item not found" });
+      }
+
+      try {
+        if (req.file.mimetype === "image/svg+xml") {
+          const clean = sanitizeSvg(fs.readFileSync(req.file.path, "utf8"));
+          fs.writeFileSync(req.file.path, clean);
+        } else {
+          const meta = await sharp(req.file.path).metadata();
+          if (meta.format !== "png") throw new Error("not png");
+        }
+      } catch (e) {
+        fs.rmSync(req.file.path, { force: true });
+        return res
+          .status(400)
+          .json({ error: e.status ? e.message : "Unreadable icon" });
+      }
+
+      const item = await prisma.inventoryCatalog.update({
+        where: { id: before.id },
+        data: { iconUrl: toPublicUrl(req.file.path) },
+      });
+      const old = publicUrlToPath(before.iconUrl);
+      if (old) fs.rmSync(old, { force: true });
+      await audit(prisma, req, {
+        action: "update",
+        entity: "InventoryCatalog",
+        entityId: item.id,
+        before: { iconUrl: before.iconUrl },
+        after: { iconUrl: item.iconUrl },
+      });
+      res.json(item);
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+app.delete(
+  "/inventory/catalog/:id/icon",
+  authRequired,
+  requirePermission("catalog:manage"),
+  async (req, res, next) => {
+    try {
+      const before = await prisma.inventoryCatalog.findUnique({
+        where: { id: req.params.id },
+      });
+      if (!before)
+        return res.status(404).json({ error: "Catalog item not found" });
+      if (before.iconUrl) {
+        await prisma.inventoryCatalog.update({
+          where: { id: before.id },
+          data: { iconUrl: null },
+        });
+        const old = publicUrlToPath(before.iconUrl);
+        if (old) fs.rmSync(old, { force: true });
+        await audit(prisma, req, {
+          action: "update",
+          entity: "InventoryCatalog",
+          entityId: before.id,
+          before: { iconUrl: before.iconUrl },
+          after: { iconUrl: null },
+        });
+      }
+      res.status(204).end();
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+/**
+ * Переносит все остатки, распределения и объекты позиции from в позицию to.
+ * На этажах, где уже есть строка to, количества складываются. Вызывать в транзакции.
+ * -> число затронутых этажей
+ */
+async function mergeCatalogItems(tx, fromId, toId, actor) {
+  const sources = await tx.floorInventory.findMany({
+    where: { catalogId: fromId },
+    select: { id: true, floorId: true, count: true },
+  });
+  for (const src of sources) {
+    // остаток переезжает в журнале парой корректировок
+    if (src.count)
+      for (const [catalogId, delta] of [
+        [fromId, -src.count],
+        [toId, src.count],
+      ])
+        await recordMovement(tx, {
+          actor,
+          floorId: src.floorId,
+          catalogId,
+          type: "correction",
+          delta,
+          reason: `catalog item ${fromId} merged into ${toId}`,
+        });
+    const dst = await tx.floorInventory.findUnique({
+      where: { floorId_catalogId: { floorId: src.floorId, catalogId: toId } },
+      select: { id: true },
+    });
+    if (!dst) {
+      await tx.floorInventory.update({
+        where: { id: src.id },
+        data: { catalogId: toId },
+      });
+      await syncInventoryCount(tx, src.id);
+      continue;
+    }
+    await tx.asset.updateMany({
+      where: { floorInventoryId: src.id },
+      data: { floorInventoryId: dst.id },
+    });
+    const allocations = await tx.zoneInventory.findMany({
+      where: { floorInventoryId: src.id },
+      select: { id: true, zoneId: true, quantity: true },
+    });
+    for (const zi of allocations) {
+      const existing = await tx.zoneInventory.findUnique({
+        where: {
+          zoneId_floorInventoryId: {
+            zoneId: zi.zoneId,
+            floorInventoryId: dst.id,
+          },
+        },
+        select: { id: true },
+      });
+      if (!existing) {
+        await tx.zoneInventory.update({
+          where: { id: zi.id },
+          data: { floorInventoryId: dst.id },
+        });
+        continue;
+      }
+      await tx.zoneInventory.update({
+        where: { id: existing.id },
+        data: { quantity: { increment: zi.quantity } },
+      });
+      await tx.zoneObject.updateMany({
+        where: { zoneInventoryId: zi.id },
+        data: { zoneInventoryId: existing.id },
+      });
+      await tx.zoneInventory.delete({ where: { id: zi.id } });
+    }
+    await tx.floorInventory.delete({ where: { id: src.id } });
+    await syncInventoryCount(tx, dst.id);
+  }
+  return sources.length;
+}
+
+// DELETE /inventory/catalog/:id[?mergeInto=otherId] -> 204
+// Если позиция используется на этажах, без mergeInto удалить нельзя (409).
+app.delete(
+  "/inventory/catalog/:id",
+  authRequired,
+  requirePermission("catalog:manage"),
+  async (req, res, next) => {
+    try {
+      const id = req.params.id;
+      const mergeInto = req.query.mergeInto
+        ? String(req.query.mergeInto)
+        : null;
+      if (mergeInto === id)
+        return res.status(400).json({ error: "Cannot merge item into itself" });
+
+      const item = await prisma.inventoryCatalog.findUnique({ where: { id } });
+      if (!item)
+        return res.status(404).json({ error: "Catalog item not found" });
+
+      await prisma.$transaction(async (tx) => {
+        const floors = await tx.floorInventory.count({
+          where: { catalogId: id },
+        });
+        if (floors && !mergeInto)
+          throw Object.assign(
+            new Error(
+              `Catalog item is used on ${floors} floor(s), pass ?mergeInto=<id>`
+            ),
+            { status: 409 }
+          );
+        if (mergeInto) {
+          const target = await tx.inventoryCatalog.findUnique({
+            where: { id: mergeInto },
+            select: { id: true },
+          });
+          if (!target)
+            throw Object.assign(new Error("mergeInto item not found"), {
+              status: 404,
+            });
+          await mergeCatalogItems(tx, id, mergeInto, req.user.sub);
+        }
+        await tx.inventoryCatalog.delete({ where: { id } });
+        await audit(tx, req, {
+          action: mergeInto ? "merge" : "delete",
+          entity: "InventoryCatalog",
+          entityId: id,
+          before: item,
+          after: mergeInto ? { mergedInto: mergeInto, floors } : null,
+        });
+      });
+
+      const icon = publicUrlToPath(item.iconUrl);
+      if (icon) fs.rmSync(icon, { force: true });
+      res.status(204).end();
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      next(e);
+    }
+  }
+);
+
+// ===================== FLOOR INVENTORY =====================
+// Источник правды — журнал InventoryMovement: остаток этажа = сумма delta по
+// (floorId, catalogId). Активы (Asset) — поштучная раскладка того же остатка,
+// FloorInventory.count — кэш суммы журнала: его читают экспорт, дублирование и проверки.
+const ASSET_CONDITIONS = ["ok", "broken", "in_repair", "written_off"];
+const MOVEMENT_TYPES = ["receipt", "write_off", "transfer", "correction"];
+
+// Пишет строку журнала. Вызывать в той же транзакции, что и изменение активов
+function recordMovement(
+  db,
+  {
+    actor,
+    floorId,
+    catalogId,
+    type,
+    delta,
+    reason,
+    transferId,
+    counterpartFloorId,
+    assetIds,
+  }
+) {
+  return db.inventoryMovement.create({
+    data: {
+      actor: actor ?? null,
+      floorId,
+      catalogId,
+      type,
+      delta,
+      reason: reason ?? "",
+      transferId: transferId ?? null,
+      counterpartFloorId: counterpartFloorId ?? null,
+      assetIds: assetIds ?? [],
+    },
+  });
+}
+
+async function syncInventoryCount(db, floorInventoryId) {
+  const { floorId, catalogId } = await db.floorInventory.findUnique({
+    where: { id: floorInventoryId },
+    select: { floorId: true, catalogId: true },
+  });
+  const agg = await db.inventoryMovement.aggregate({
+    where: { floorId, catalogId },
+    _sum: { delta: true },
+  });
+  return db.floorInventory.update({
+    where: { id: floorInventoryId },
+    data: { count: agg._sum.delta ?? 0 },
+    include: { catalog: true },
+  });
+}
+
+// Приход quantity безымянных исправных активов + строка журнала
+async function receiveAssets(tx, item, quantity, { actor, reason, type }) {
+  const created = await tx.asset.createManyAndReturn({
+    data: Array.from({ length: quantity }, () => ({
+      floorInventoryId: item.id,
+    })),
+    select: { id: true },
+  });
+  await recordMovement(tx, {
+    actor,
+    floorId: item.floorId,
+    catalogId: item.catalogId,
+    type: type ?? "receipt",
+    delta: quantity,
+    reason,
+    assetIds: created.map((a) => a.id),
+  });
+  return created.map((a) => a.id);
+}
+
+/**
+ * Выбирает активы для расхода: либо явно assetIds, либо quantity штук —
+ * сначала исправные и безымянные. Размещённые на карте не трогаем.
+ * blankOnly — только без серийного и инвентарного номера. Бросает 409/404.
+ * -> [assetId]
+ */
+async function pickAssets(tx, item, { quantity, assetIds, blankOnly = false }) {
+  const where = {
+    floorInventoryId: item.id,
+    condition: { not: "written_off" },
+    zoneObjectId: null,
+    ...(blankOnly ? { serialNumber: null, inventoryNumber: null } : {}),
+  };
+  if (assetIds) {
+    const found = await tx.asset.findMany({
+      where: { ...where, id: { in: assetIds } },
+      select: { id: true },
+    });
+    if (found.length !== new Set(assetIds).size)
+      throw Object.assign(
+        new Error(
+          "Some assets are not on this floor, already written off or placed"
+        ),
+        { status: 409 }
+      );
+    return found.map((a) => a.id);
+  }
+  const picked = await tx.asset.findMany({
+    where,
+    select: { id: true },
+    orderBy: [
+      { condition: "asc" },
+      { serialNumber: { sort: "asc", nulls: "first" } },
+      { id: "desc" },
+    ],
+    take: quantity,
+  });
+  if (picked.length < quantity)
+    throw Object.assign(
+      new Error(
+        blankOnly
+          ? "Cannot reduce count: remaining assets are numbered or placed, write them off individually"
+          : `Not enough unplaced assets. left=${picked.length}`
+      ),
+      { status: 409 }
+    );
+  return picked.map((a) => a.id);
+}
+
+async function writeOffAssets(tx, item, ids, { actor, reason }) {
+  await tx.asset.updateMany({
+    where: { id: { in: ids } },
+    data: { condition: "written_off" },
+  });
+  await recordMovement(tx, {
+    actor,
+    floorId: item.floorId,
+    catalogId: item.catalogId,
+    type: "write_off",
+    delta: -ids.length,
+    reason,
+    assetIds: ids,
+  });
+}
+
+// Доводит остаток до target приходом или списанием безымянных активов (PATCH count)
+async function adjustBlankAssets(
+  tx,
+  floorInventoryId,
+  target,
+  { actor, reason }
+) {
+  const item = await tx.floorInventory.findUnique({
+    where: { id: floorInventoryId },
+    select: { id: true, floorId: true, catalogId: true },
+  });
+  const active = await tx.asset.count({
+    where: { floorInventoryId, condition: { not: "written_off" } },
+  });
+  if (target > active)
+    await receiveAssets(tx, item, target - active, { actor, reason });
+  else if (target < active) {
+    const ids = await pickAssets(tx, item, {
+      quantity: active - target,
+      blankOnly: true,
+    });
+    await writeOffAssets(tx, item, ids, { actor, reason });
+    await assertAllocationFits(tx, floorInventoryId);
+  }
+  return syncInventoryCount(tx, floorInventoryId);
+}
+
+// Распределять по зонам можно только исправные активы
+function workingAssetCount(db, floorInventoryId) {
+  return db.asset.count({ where: { floorInventoryId, condition: "ok" } });
+}
+
+// ===== Инварианты инвентаря =====
+// 1) сумма распределений по зонам <= исправных активов позиции;
+// 2) объектов на карте <= quantity их распределения;
+// 3) count = сумма журнала = число несписанных активов.
+// Каждая мутация проверяет их в своей транзакции под блокировкой строки FloorInventory.
+function lockInventory(tx, floorInventoryId) {
+  return tx.$queryRaw`SELECT id FROM "FloorInventory" WHERE id = ${floorInventoryId} FOR UPDATE`;
+}
+
+async function allocatedQuantity(db, floorInventoryId, exceptZoneInventoryId) {
+  const agg = await db.zoneInventory.aggregate({
+    where: {
+      floorInventoryId,
+      ...(exceptZoneInventoryId ? { NOT: { id: exceptZoneInventoryId } } : {}),
+    },
+    _sum: { quantity: true },
+  });
+  return agg._sum.quantity ?? 0;
+}
+
+// Бросает 409, если распределено больше, чем исправных активов (после изменения в tx)
+async function assertAllocationFits(tx, floorInventoryId) {
+  await lockInventory(tx, floorInventoryId);
+  const [allocated, working] = await Promise.all([
+    allocatedQuantity(tx, floorInventoryId),
+    workingAssetCount(tx, floorInventoryId),
+  ]);
+  if (allocated > working)
+    throw Object.assign(
+      new Error(
+        `${allocated} allocated to zones but only ${working} working assets left, free zone allocations first`
+      ),
+      { status: 409 }
+    );
+}
+
+// floorInventoryId -> { count, ok, broken, in_repair, written_off, placed }
+async function assetStats(db, floorInventoryIds) {
+  const [byCondition, placed] = await Promise.all([
+    db.asset.groupBy({
+      by: ["floorInventoryId", "condition"],
+      where: { floorInventoryId: { in: floorInventoryIds } },
+      _count: { _all: true },
+    }),
+    db.asset.groupBy({
+      by: ["floorInventoryId"],
+      where: {
+        floorInventoryId: { in: floorInventoryIds },
+        zoneObjectId: { not: null },
+      },
+      _count: { _all: true },
+    }),
+  ]);
+  const stats = new Map(
+    floorInventoryIds.map((id) => [
+      id,
+      { count: 0, ok: 0, broken: 0, in_repair: 0, written_off: 0, placed: 0 },
+    ])
+  );
+  for (const row of byCondition) {
+    const s = stats.get(row.floorInventoryId);
+    s[row.condition] = row._count._all;
+    if (row.condition !== "written_off") s.count += row._count._all;
+  }
+  for (const row of placed)
+    stats.get(row.floorInventoryId).placed = row._count._all;
+  return stats;
+}
+
+app.get(
+  "/offices/:officeId/floors/:floorId/inventory",
+  authRequired,
+  requireOfficeRole("viewer"),
+  async (req, res, next) => {
+    try {
+      const floorId = Number(req.params.floorId);
+      if (!Number.isFinite(floorId))
+        return res.status(400).json({ error: "Invalid floorId" });
+
+      const items = await prisma.floorInventory.findMany({
+        where: { floorId },
+        include: { catalog: true },
+        orderBy: [{ catalog: { displayName: "asc" } }],
+      });
+      res.json(items);
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+app.get(
+  "/offices/:officeId/floors/:floorId/inventory/with-usage",
+  authRequired,
+  requireOfficeRole("viewer"),
+  async (req, res, next) => {
+    try {
+      const floorId = Number(req.params.floorId);
+      if (!Number.isFinite(floorId))
+        return res.status(400).json({ error: "Invalid floorId" });
+
+      const items = await prisma.floorInventory.findMany({
+        where: { floorId },
+        include: { catalog: true },
+        orderBy: [{ catalog: { displayName: "asc" } }],
+      });
+      const ids = items.map((it) => it.id);
+      const [stats, usage] = await Promise.all([
+        assetStats(prisma, ids),
+        prisma.zoneInventory.groupBy({
+          by: ["floorInventoryId"],
+          where: { floorInventoryId: { in: ids } },
+          _sum: { quantity: true },
+        }),
+      ]);
+      const usedById = new Map(
+        usage.map((u) => [u.floorInventoryId, u._sum.quantity ?? 0])
+      );
+
+      // count — несписанные активы; распределять по зонам можно только исправные
+      const result = items.map((it) => {
+        const s = stats.get(it.id);
+        const used = usedById.get(it.id) ?? 0;
+        return {
+          id: it.id,
+          floorId: it.floorId,
+          catalogId: it.catalogId,
+          count: s.count,
+          working: s.ok,
+          broken: s.broken,
+          inRepair: s.in_repair,
+          writtenOff: s.written_off,
+          placed: s.placed,
+          used,
+          available: Math.max(s.ok - used, 0),
+          catalog: it.catalog,
+        };
+      });
+
+      res.json(result);
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+app.post(
+  "/offices/:officeId/floors/:floorId/inventory",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("inventory:manage"),
+  async (req, res, next) => {
+    try {
+      const floorId = Number(req.params.floorId);
+      // count — сколько безымянных исправных активов оприходовать сразу
+      const { catalogId, count = 0, reason = "" } = req.body || {};
+      if (!Number.isFinite(floorId))
+        return res.status(400).json({ error: "Invalid floorId" });
+      if (typeof catalogId !== "string" || !catalogId.trim())
+        return res.status(400).json({ error: "catalogId required" });
+      if (!Number.isInteger(count) || count < 0)
+        return res.status(400).json({ error: "count must be integer >= 0" });
+
+      const exists = await prisma.inventoryCatalog.findUnique({
+        where: { id: catalogId },
+      });
+      if (!exists) return res.status(400).json({ error: "Unknown catalogId" });
+
+      try {
+        const created = await prisma.$transaction(async (tx) => {
+          const row = await tx.floorInventory.create({
+            data: { floorId, catalogId },
+            select: { id: true },
+          });
+          const item = await adjustBlankAssets(tx, row.id, count, {
+            actor: req.user.sub,
+            reason: String(reason),
+          });
+          await audit(tx, req, {
+            action: "create",
+            entity: "FloorInventory",
+            entityId: item.id,
+            after: item,
+          });
+          return item;
+        });
+        publishFloorEvent(req, floorId, "inventory.created", created);
+        return res.status(201).json(created);
+      } catch (e) {
+        if (e.code === "P2002")
+          return res
+            .status(409)
+            .json({ error: "Item already exists for this floor" });
+        throw e;
+      }
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+app.patch(
+  "/offices/:officeId/floors/:floorId/inventory/:id",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("inventory:manage"),
+  async (req, res, next) => {
+    try {
+      const id = Number(req.params.id);
+      const { count, reason = "" } = req.body || {};
+      if (!Number.isInteger(id))
+        return res.status(400).json({ error: "Invalid id" });
+      if (count != null && (!Number.isInteger(count) || count < 0))
+        return res.status(400).json({ error: "count must be integer >= 0" });
+
+      const before = await prisma.floorInventory.findFirst({
+        where: { id, floorId: Number(req.params.floorId) },
+      });
+      if (!before)
+        return res.status(404).json({ error: "Inventory item not found" });
+
+      // Число больше не вводится руками: разница уходит в журнал
+      // приходом или списанием безымянных активов
+      const updated = await prisma.$transaction(async (tx) => {
+        const item =
+          count != null
+            ? await adjustBlankAssets(tx, id, count, {
+                actor: req.user.sub,
+                reason: String(reason),
+              })
+            : await syncInventoryCount(tx, id);
+        await audit(tx, req, {
+          action: "update",
+          entity: "FloorInventory",
+          entityId: id,
+          floorId: item.floorId,
+          before,
+          after: item,
+        });
+        return item;
+      });
+      publishFloorEvent(req, updated.floorId, "inventory.updated", updated);
+      res.json(updated);
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      if (e.code === "P2025")
+        return res.status(404).json({ error: "Inventory item not found" });
+      next(e);
+    }
+  }
+);
+
+app.delete(
+  "/offices/:officeId/floors/:floorId/inventory/:id",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("inventory:manage"),
+  async (req, res, next) => {
+    try {
+      const id = Number(req.params.id);
+      if (!Number.isInteger(id))
+        return res.status(400).json({ error: "Invalid id" });
+      const item = await prisma.floorInventory.findFirst({
+        where: { id, floorId: Number(req.params.floorId) },
+        select: { id: true },
+      });
+      if (!item)
+        return res.status(404).json({ error: "Inventory item not found" });
+      // остаток списывается в журнал, история по этажу сохраняется
+      const removed = await prisma.$transaction(async (tx) => {
+        await tx.zoneInventory.deleteMany({
+          where: { floorInventoryId: id },
+        });
+        const row = await tx.floorInventory.delete({ where: { id } });
+        if (row.count)
+          await recordMovement(tx, {
+            actor: req.user.sub,
+            floorId: row.floorId,
+            catalogId: row.catalogId,
+            type: "write_off",
+            delta: -row.count,
+            reason: "inventory item deleted",
+          });
+        await audit(tx, req, {
+          action: "delete",
+          entity: "FloorInventory",
+          entityId: id,
+          floorId: row.floorId,
+          before: row,
+        });
+        return row;
+      });
+      publishFloorEvent(req, removed.floorId, "inventory.deleted", { id });
+      res.status(204).end();
+    } catch (e) {
+      if (e.code === "P2025")
+        return res.status(404).json({ error: "Inventory item not found" });
+      next(e);
+    }
+  }
+);
+
+// ===================== ASSETS =====================
+const assetSelect = {
+  id: true,
+  floorInventoryId: true,
+  serialNumber: true,
+  inventoryNumber: true,
+  condition: true,
+  purchaseDate: true,
+  notes: true,
+  zoneObjectId: true,
+  createdAt: true,
+  updatedAt: true,
+  floorInventory: { select: { catalogId: true } },
+};
+
+function parseAssetFields(body) {
+  const data = {};
+  const b = body || {};
+  for (const key of ["serialNumber", "inventoryNumber"]) {
+    if (b[key] === undefined) continue;
+    if (b[key] !== null && typeof b[key] !== "string")
+      return { error: `${key} must be string or null` };
+    data[key] = b[key]?.trim() || null;
+  }
+  if (b.condition !== undefined) {
+    if (!ASSET_CONDITIONS.includes(b.condition))
+      return {
+        error: `condition must be one of ${ASSET_CONDITIONS.join(", ")}`,
+      };
+    data.condition = b.condition;
+  }
+  if (b.purchaseDate !== undefined) {
+    const d = parseDate(b.purchaseDate);
+    if (b.purchaseDate !== null && !d)
+      return { error: "purchaseDate must be a date" };
+    data.purchaseDate = d;
+  }
+  if (b.notes !== undefined) {
+    if (typeof b.notes !== "string") return { error: "notes must be string" };
+    data.notes = b.notes;
+  }
+  return { data };
+}
+
+// GET /offices/:officeId/floors/:floorId/assets[?catalogId=&condition=&placed=true|false]
+app.get(
+  "/offices/:officeId/floors/:floorId/assets",
+  authRequired,
+  requireOfficeRole("viewer"),
+  async (req, res, next) => {
+    try {
+      const floorId = Number(req.params.floorId);
+      const { catalogId, condition, placed } = req.query;
+      if (condition && !ASSET_CONDITIONS.includes(condition))
+        return res.status(400).json({ error: "Invalid condition" });
+
+      const assets = await prisma.asset.findMany({
+        where: {
+          floorInventory: {
+            floorId,
+            ...(catalogId ? { catalogId: String(catalogId) } : {}),
+          },
+          ...(condition ? { condition } : {}),
+          ...(placed === "true" ? { zoneObjectId: { not: null } } : {}),
+          ...(placed === "false" ? { zoneObjectId: null } : {}),
+        },
+        select: assetSelect,
+        orderBy: { id: "asc" },
+      });
+      res.json(assets);
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// POST /offices/:officeId/floors/:floorId/assets
+// { catalogId, serialNumber?, inventoryNumber?, condition?, purchaseDate?, notes? } -> 201 asset
+// Строка FloorInventory для catalogId создаётся, если её ещё нет.
+app.post(
+  "/offices/:officeId/floors/:floorId/assets",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("inventory:manage"),
+  async (req, res, next) => {
+    try {
+      const floorId = Number(req.params.floorId);
+      const { catalogId } = req.body || {};
+      if (typeof catalogId !== "string" || !catalogId.trim())
+        return res.status(400).json({ error: "catalogId required" });
+      const { data, error } = parseAssetFields(req.body);
+      if (error) return res.status(400).json({ error });
+
+      const exists = await prisma.inventoryCatalog.findUnique({
+        where: { id: catalogId },
+        select: { id: true },
+      });
+      if (!exists) return res.status(400).json({ error: "Unknown catalogId" });
+
+      const asset = await prisma.$transaction(async (tx) => {
+        const item = await tx.floorInventory.upsert({
+          where: { floorId_catalogId: { floorId, catalogId } },
+          create: { floorId, catalogId },
+          update: {},
+          select: { id: true },
+        });
+        const created = await tx.asset.create({
+          data: { ...data, floorInventoryId: item.id },
+          select: assetSelect,
+        });
+        if (created.condition !== "written_off")
+          await recordMovement(tx, {
+            actor: req.user.sub,
+            floorId,
+            catalogId,
+            type: "receipt",
+            delta: 1,
+            reason: typeof req.body?.reason === "string" ? req.body.reason : "",
+            assetIds: [created.id],
+          });
+        await syncInventoryCount(tx, item.id);
+        await audit(tx, req, {
+          action: "create",
+          entity: "Asset",
+          entityId: created.id,
+          after: created,
+        });
+        return created;
+      });
+
+      publishFloorEvent(req, floorId, "asset.created", asset);
+      res.status(201).json(asset);
+    } catch (e) {
+      if (e.code === "P2002")
+        return res
+          .status(409)
+          .json({ error: "Serial or inventory number already exists" });
+      next(e);
+    }
+  }
+);
+
+// PATCH .../assets/:assetId { serialNumber?, inventoryNumber?, condition?, purchaseDate?, notes? }
+// Списанный актив снимается с карты (связь с ZoneObject обнуляется).
+app.patch(
+  "/offices/:officeId/floors/:floorId/assets/:assetId",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("inventory:manage"),
+  async (req, res, next) => {
+    try {
+      const floorId = Number(req.params.floorId);
+      const assetId = intParam(req.params.assetId);
+      if (assetId == null)
+        return res.status(400).json({ error: "Invalid assetId" });
+      const { data, error } = parseAssetFields(req.body);
+      if (error) return res.status(400).json({ error });
+      if (Object.keys(data).length === 0)
+        return res.status(400).json({ error: "No fields to update" });
+      if (data.condition === "written_off") data.zoneObjectId = null;
+
+      const before = await prisma.asset.findFirst({
+        where: { id: assetId, floorInventory: { floorId } },
+        select: assetSelect,
+      });
+      if (!before) return res.status(404).json({ error: "Asset not found" });
+
+      const asset = await prisma.$transaction(async (tx) => {
+        const updated = await tx.asset.update({
+          where: { id: assetId },
+          data,
+          select: assetSelect,
+        });
+        if (before.condition === "ok" && updated.condition !== "ok")
+          await assertAllocationFits(tx, updated.floorInventoryId);
+        // списание и возврат из списания проходят через журнал
+        const wasOff = before.condition === "written_off";
+        const isOff = updated.condition === "written_off";
+        if (wasOff !== isOff)
+          await recordMovement(tx, {
+            actor: req.user.sub,
+            floorId,
+            catalogId: updated.floorInventory.catalogId,
+            type: isOff ? "write_off" : "receipt",
+            delta: isOff ? -1 : 1,
+            reason: typeof req.body?.reason === "string" ? req.body.reason : "",
+            assetIds: [assetId],
+          });
+        await syncInventoryCount(tx, updated.floorInventoryId);
+        await audit(tx, req, {
+          action: "update",
+          entity: "Asset",
+          entityId: assetId,
+          before,
+          after: updated,
+        });
+        return updated;
+      });
+
+      publishFloorEvent(req, floorId, "asset.updated", asset);
+      res.json(asset);
+    } catch (e) {
+      if (e.code === "P2002")
+        return res
+          .status(409)
+          .json({ error: "Serial or inventory number already exists" });
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      next(e);
+    }
+  }
+);
+
+// DELETE .../assets/:assetId -> 204. Для выбытия используйте condition=written_off;
+// удаление — для ошибочно заведённых записей.
+app.delete(
+  "/offices/:officeId/floors/:floorId/assets/:assetId",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("inventory:manage"),
+  async (req, res, next) => {
+    try {
+      const floorId = Number(req.params.floorId);
+      const assetId = intParam(req.params.assetId);
+      if (assetId == null)
+        return res.status(400).json({ error: "Invalid assetId" });
+      const asset = await prisma.asset.findFirst({
+        where: { id: assetId, floorInventory: { floorId } },
+        select: assetSelect,
+      });
+      if (!asset) return res.status(404).json({ error: "Asset not found" });
+
+      await prisma.$transaction(async (tx) => {
+        await tx.asset.delete({ where: { id: assetId } });
+        if (asset.condition === "ok")
+          await assertAllocationFits(tx, asset.floorInventoryId);
+        if (asset.condition !== "written_off")
+          await recordMovement(tx, {
+            actor: req.user.sub,
+            floorId,
+            catalogId: asset.floorInventory.catalogId,
+            type: "correction",
+            delta: -1,
+            reason: "asset record deleted",
+            assetIds: [assetId],
+          });
+        await syncInventoryCount(tx, asset.floorInventoryId);
+        await audit(tx, req, {
+          action: "delete",
+          entity: "Asset",
+          entityId: assetId,
+          before: asset,
+        });
+      });
+
+      publishFloorEvent(req, floorId, "asset.deleted", { id: assetId });
+      res.status(204).end();
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      next(e);
+    }
+  }
+);
+
+// ===================== INVENTORY LEDGER =====================
+const movementSelect = {
+  id: true,
+  floorId: true,
+  catalogId: true,
+  type: true,
+  delta: true,
+  reason: true,
+  actor: true,
+  transferId: true,
+  counterpartFloorId: true,
+  assetIds: true,
+  createdAt: true,
+};
+
+// Разбор тела прихода/списания/перемещения: quantity или assetIds
+function parseMovementBody(body, { allowAssets }) {
+  const { catalogId, quantity, assetIds, reason = "" } = body || {};
+  if (typeof catalogId !== "string" || !catalogId.trim())
+    return { error: "catalogId required" };
+  if (typeof reason !== "string") return { error: "reason must be string" };
+  if (allowAssets && assetIds != null) {
+    if (
+      !Array.isArray(assetIds) ||
+      !assetIds.length ||
+      !assetIds.every(Number.isInteger)
+    )
+      return { error: "assetIds must be non-empty array of integers" };
+    return { catalogId, assetIds, reason };
+  }
+  if (!Number.isInteger(quantity) || quantity <= 0)
+    return {
+      error: allowAssets
+        ? "quantity (int > 0) or assetIds required"
+        : "quantity must be integer > 0",
+    };
+  return { catalogId, quantity, reason };
+}
+
+function movementFilters(q) {
+  const where = {};
+  if (q.catalogId) where.catalogId = String(q.catalogId);
+  if (MOVEMENT_TYPES.includes(q.type)) where.type = q.type;
+  const from = parseDate(q.from);
+  const to = parseDate(q.to);
+  if (from || to)
+    where.createdAt = {
+      ...(from ? { gte: from } : {}),
+      ...(to ? { lt: to } : {}),
+    };
+  return where;
+}
+
+async function listMovements(where, q) {
+  const limit = Math.min(Math.max(intParam(q.limit) ?? 100, 1), 500);
+  const offset = Math.max(intParam(q.offset) ?? 0, 0);
+  const [items, total] = await Promise.all([
+    prisma.inventoryMovement.findMany({
+      where,
+      select: movementSelect,
+      orderBy: { id: "desc" },
+      take: limit,
+      skip: offset,
+    }),
+    prisma.inventoryMovement.count({ where }),
+  ]);
+  return { items, total };
+}
+
+// POST /offices/:officeId/floors/:floorId/inventory/receipts { catalogId, quantity, reason? }
+// -> 201 { item, assetIds }. Поштучно с серийниками — через POST .../assets
+app.post(
+  "/offices/:officeId/floors/:floorId/inventory/receipts",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("inventory:manage"),
+  async (req, res, next) => {
+    try {
+      const floorId = Number(req.params.floorId);
+      const body = parseMovementBody(req.body, { allowAssets: false });
+      if (body.error) return res.status(400).json({ error: body.error });
+      const exists = await prisma.inventoryCatalog.findUnique({
+        where: { id: body.catalogId },
+        select: { id: true },
+      });
+      if (!exists) return res.status(400).json({ error: "Unknown catalogId" });
+
+      const result = await prisma.$transaction(async (tx) => {
+        const row = await tx.floorInventory.upsert({
+          where: {
+            floorId_catalogId: { floorId, catalogId: body.catalogId },
+          },
+          create: { floorId, catalogId: body.catalogId },
+          update: {},
+          select: { id: true, floorId: true, catalogId: true, count: true },
+        });
+        const assetIds = await receiveAssets(tx, row, body.quantity, {
+          actor: req.user.sub,
+          reason: body.reason,
+        });
+        const item = await syncInventoryCount(tx, row.id);
+        await audit(tx, req, {
+          action: "receipt",
+          entity: "FloorInventory",
+          entityId: row.id,
+          before: row,
+          after: { ...item, assetIds, reason: body.reason },
+        });
+        return { item, assetIds };
+      });
+
+      publishFloorEvent(req, floorId, "inventory.updated", result.item);
+      res.status(201).json(result);
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// POST .../inventory/write-offs { catalogId, quantity | assetIds, reason? } -> { item, assetIds }
+app.post(
+  "/offices/:officeId/floors/:floorId/inventory/write-offs",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("inventory:manage"),
+  async (req, res, next) => {
+    try {
+      const floorId = Number(req.params.floorId);
+      const body = parseMovementBody(req.body, { allowAssets: true });
+      if (body.error) return res.status(400).json({ error: body.error });
+
+      const result = await prisma.$transaction(async (tx) => {
+        const row = await tx.floorInventory.findUnique({
+          where: {
+            floorId_catalogId: { floorId, catalogId: body.catalogId },
+          },
+          select: { id: true, floorId: true, catalogId: true, count: true },
+        });
+        if (!row)
+          throw Object.assign(new Error("Inventory item not found"), {
+            status: 404,
+          });
+        const assetIds = await pickAssets(tx, row, body);
+        await writeOffAssets(tx, row, assetIds, {
+          actor: req.user.sub,
+          reason: body.reason,
+        });
+        await assertAllocationFits(tx, row.id);
+        const item = await syncInventoryCount(tx, row.id);
+        await audit(tx, req, {
+          action: "write_off",
+          entity: "FloorInventory",
+          entityId: row.id,
+          before: row,
+          after: { ...item, assetIds, reason: body.reason },
+        });
+        return { item, assetIds };
+      });
+
+      publishFloorEvent(req, floorId, "inventory.updated", result.item);
+      res.json(result);
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      next(e);
+    }
+  }
+);
+
+// POST .../inventory/transfers { catalogId, toFloorId, quantity | assetIds, reason? }
+// -> 201 { transferId, assetIds, from: item, to: item }
+// Целевой этаж может быть в другом офисе — там нужна роль editor.
+app.post(
+  "/offices/:officeId/floors/:floorId/inventory/transfers",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("inventory:manage"),
+  async (req, res, next) => {
+    try {
+      const floorId = Number(req.params.floorId);
+      const body = parseMovementBody(req.body, { allowAssets: true });
+      if (body.error) return res.status(400).json({ error: body.error });
+      const toFloorId = req.body.toFloorId;
+      if (!Number.isInteger(toFloorId))
+        return res.status(400).json({ error: "toFloorId must be integer" });
+      if (toFloorId === floorId)
+        return res
+          .status(400)
+          .json({ error: "toFloorId must differ from source floor" });
+
+      const target = await prisma.floor.findUnique({
+        where: { id: toFloorId },
+        select: { id: true, officeId: true },
+      });
+      if (!target)
+        return res.status(404).json({ error: "Target floor not found" });
+      if (!hasOfficeRole(await officeRoleOf(req, target.officeId), "editor"))
+        return res.status(403).json({ error: "Forbidden" });
+
+      const transferId = crypto.randomUUID();
+      const result = await prisma.$transaction(async (tx) => {
+        const src = await tx.floorInventory.findUnique({
+          where: {
+            floorId_catalogId: { floorId, catalogId: body.catalogId },
+          },
+          select: { id: true, floorId: true, catalogId: true, count: true },
+        });
+        if (!src)
+          throw Object.assign(new Error("Inventory item not found"), {
+            status: 404,
+          });
+        const assetIds = await pickAssets(tx, src, body);
+        const dst = await tx.floorInventory.upsert({
+          where: {
+            floorId_catalogId: {
+              floorId: toFloorId,
+              catalogId: body.catalogId,
+            },
+          },
+          create: { floorId: toFloorId, catalogId: body.catalogId },
+          update: {},
+          select: { id: true, floorId: true, catalogId: true, count: true },
+        });
+        await tx.asset.updateMany({
+          where: { id: { in: assetIds } },
+          data: { floorInventoryId: dst.id },
+        });
+        await assertAllocationFits(tx, src.id);
+        for (const [at, other, delta] of [
+          [floorId, toFloorId, -assetIds.length],
+          [toFloorId, floorId, assetIds.length],
+        ])
+          await recordMovement(tx, {
+            actor: req.user.sub,
+            floorId: at,
+            catalogId: body.catalogId,
+            type: "transfer",
+            delta,
+            reason: body.reason,
+            transferId,
+            counterpartFloorId: other,
+            assetIds,
+          });
+        const from = await syncInventoryCount(tx, src.id);
+        const to = await syncInventoryCount(tx, dst.id);
+        // по записи на каждый этаж, чтобы перемещение было видно в /audit обоих
+        for (const [before, after, officeId, counterpartFloorId] of [
+          [src, from, Number(req.params.officeId), toFloorId],
+          [dst, to, target.officeId, floorId],
+        ])
+          await audit(tx, req, {
+            action: "transfer",
+            entity: "FloorInventory",
+            entityId: before.id,
+            officeId,
+            floorId: before.floorId,
+            before,
+            after: {
+              ...after,
+              transferId,
+              counterpartFloorId,
+              assetIds,
+              reason: body.reason,
+            },
+          });
+        return { transferId, assetIds, from, to };
+      });
+
+      publishFloorEvent(req, floorId, "inventory.updated", result.from);
+      publishFloorEvent(req, toFloorId, "inventory.updated", result.to);
+      res.status(201).json(result);
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      next(e);
+    }
+  }
+);
+
+// GET /offices/:officeId/floors/:floorId/inventory/history
+//   ?catalogId=&type=&from=&to=&limit=&offset= -> { items, total }, новые первыми
+app.get(
+  "/offices/:officeId/floors/:floorId/inventory/history",
+  authRequired,
+  requireOfficeRole("viewer"),
+  async (req, res, next) => {
+    try {
+      const floorId = Number(req.params.floorId);
+      res.json(
+        await listMovements(
+          { ...movementFilters(req.query), floorId },
+          req.query
+        )
+      );
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// GET /inventory/catalog/:id/history?floorId=&type=&from=&to=&limit=&offset=
+// По всем этажам, доступным пользователю. -> { items, total }
+app.get(
+  "/inventory/catalog/:id/history",
+  authRequired,
+  async (req, res, next) => {
+    try {
+      const where = { ...movementFilters(req.query), catalogId: req.params.id };
+      const floorId =
+        req.query.floorId != null ? intParam(req.query.floorId) : null;
+      if (req.query.floorId != null && floorId == null)
+        return res.status(400).json({ error: "Invalid floorId" });
+
+      if (!req.user.perms?.includes("office:access-all")) {
+        const floors = await prisma.floor.findMany({
+          where: {
+            office: {
+              memberships: { some: { user: { email: String(req.user.sub) } } },
+            },
+          },
+          select: { id: true },
+        });
+        const allowed = floors.map((f) => f.id);
+        where.floorId = {
+          in:
+            floorId != null ? allowed.filter((id) => id === floorId) : allowed,
+        };
+      } else if (floorId != null) where.floorId = floorId;
+
+      res.json(await listMovements(where, req.query));
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// ===================== INVENTORY RECONCILIATION =====================
+/**
+ * Ищет нарушения инвариантов инвентаря на этаже. -> [issue]
+ *   count_mismatch        — кэш count, журнал и активы расходятся
+ *   over_allocated        — по зонам распределено больше исправных активов
+ *   objects_exceed_quantity — объектов на карте больше quantity распределения
+ *   invalid_asset_link    — актив списан или другого типа, но стоит на объекте
+ */
+async function inspectFloorInventory(db, floorId) {
+  const items = await db.floorInventory.findMany({
+    where: { floorId },
+    select: { id: true, catalogId: true, count: true },
+  });
+  const ids = items.map((i) => i.id);
+  const [ledger, stats, allocations, links] = await Promise.all([
+    db.inventoryMovement.groupBy({
+      by: ["catalogId"],
+      where: { floorId },
+      _sum: { delta: true },
+    }),
+    assetStats(db, ids),
+    db.zoneInventory.findMany({
+      where: { floorInventoryId: { in: ids } },
+      select: {
+        id: true,
+        zoneId: true,
+        floorInventoryId: true,
+        quantity: true,
+        _count: { select: { objects: true } },
+      },
+    }),
+    db.asset.findMany({
+      where: { floorInventoryId: { in: ids }, zoneObjectId: { not: null } },
+      select: {
+        id: true,
+        floorInventoryId: true,
+        condition: true,
+        zoneObjectId: true,
+        zoneObject: {
+          select: { zoneInventory: { select: { floorInventoryId: true } } },
+        },
+      },
+    }),
+  ]);
+
+  const issues = [];
+  const ledgerBy = new Map(ledger.map((l) => [l.catalogId, l._sum.delta ?? 0]));
+  for (const it of items) {
+    const balance = ledgerBy.get(it.catalogId) ?? 0;
+    const assets = stats.get(it.id).count;
+    if (it.count !== balance || balance !== assets)
+      issues.push({
+        type: "count_mismatch",
+        floorInventoryId: it.id,
+        catalogId: it.catalogId,
+        count: it.count,
+        ledger: balance,
+        assets,
+      });
+    ledgerBy.delete(it.catalogId);
+  }
+  // остаток в журнале по позиции, строки которой на этаже уже нет
+  for (const [catalogId, balance] of ledgerBy)
+    if (balance !== 0)
+      issues.push({
+        type: "count_mismatch",
+        floorInventoryId: null,
+        catalogId,
+        count: 0,
+        ledger: balance,
+        assets: 0,
+      });
+
+  const allocatedBy = new Map();
+  for (const zi of allocations) {
+    allocatedBy.set(
+      zi.floorInventoryId,
+      (allocatedBy.get(zi.floorInventoryId) ?? 0) + zi.quantity
+    );
+    if (zi._count.objects > zi.quantity)
+      issues.push({
+        type: "objects_exceed_quantity",
+        zoneInventoryId: zi.id,
+        zoneId: zi.zoneId,
+        quantity: zi.quantity,
+        objects: zi._count.objects,
+      });
+  }
+  for (const it of items) {
+    const allocated = allocatedBy.get(it.id) ?? 0;
+    const working = stats.get(it.id).ok;
+    if (allocated > working)
+      issues.push({
+        type: "over_allocated",
+        floorInventoryId: it.id,
+        catalogId: it.catalogId,
+        allocated,
+        working,
+      });
+  }
+
+  for (const a of links) {
+    const reason =
+      a.condition === "written_off"
+        ? "asset is written off"
+        : a.zoneObject.zoneInventory.floorInventoryId !== a.floorInventoryId
+        ? "object is of another inventory item"
+        : null;
+    if (reason)
+      issues.push({
+        type: "invalid_asset_link",
+        assetId: a.id,
+        zoneObjectId: a.zoneObjectId,
+        reason,
+      });
+  }
+  return issues;
+}
+
+/**
+ * Чинит то, что можно починить без догадок. Вызывать в транзакции.
+ *  - журнал подгоняется под фактические активы корректировкой, count — под журнал;
+ *  - quantity поднимается до числа объектов;
+ *  - лишние распределения срезаются там, где есть запас (quantity > объектов);
+ *  - некорректные привязки активов снимаются.
+ * Что осталось — вернёт повторная проверка.
+ */
+async function repairFloorInventory(tx, floorId, issues, actor) {
+  for (const issue of issues.filter((i) => i.type === "invalid_asset_link"))
+    await tx.asset.update({
+      where: { id: issue.assetId },
+      data: { zoneObjectId: null },
+    });
+
+  for (const issue of issues.filter((i) => i.type === "count_mismatch")) {
+    if (issue.ledger !== issue.assets)
+      await recordMovement(tx, {
+        actor,
+        floorId,
+        catalogId: issue.catalogId,
+        type: "correction",
+        delta: issue.assets - issue.ledger,
+        reason: "reconciliation",
+      });
+    if (issue.floorInventoryId)
+      await syncInventoryCount(tx, issue.floorInventoryId);
+  }
+
+  for (const issue of issues.filter(
+    (i) => i.type === "objects_exceed_quantity"
+  ))
+    await tx.zoneInventory.update({
+      where: { id: issue.zoneInventoryId },
+      data: { quantity: issue.objects },
+    });
+
+  // после подъёма quantity перераспределение могло стать избыточным — считаем заново
+  const items = await tx.floorInventory.findMany({
+    where: { floorId },
+    select: { id: true },
+  });
+  for (const { id } of items) {
+    let excess =
+      (await allocatedQuantity(tx, id)) - (await workingAssetCount(tx, id));
+    if (excess <= 0) continue;
+    const rows = await tx.zoneInventory.findMany({
+      where: { floorInventoryId: id },
+      select: {
+        id: true,
+        quantity: true,
+        _count: { select: { objects: true } },
+      },
+      orderBy: { id: "desc" },
+    });
+    for (const zi of rows) {
+      if (excess <= 0) break;
+      const cut = Math.min(excess, zi.quantity - zi._count.objects);
+      if (cut <= 0) continue;
+      await tx.zoneInventory.update({
+        where: { id: zi.id },
+        data: { quantity: zi.quantity - cut },
+      });
+      excess -= cut;
+    }
+  }
+}
+
+async function reconcileFloors(req, floors, repair) {
+  const result = [];
+  for (const floor of floors) {
+    const issues = await inspectFloorInventory(prisma, floor.id);
+    if (!repair || !issues.length) {
+      result.push({ floorId: floor.id, number: floor.number, issues });
+      continue;
+    }
+    const remaining = await prisma.$transaction(async (tx) => {
+      await repairFloorInventory(tx, floor.id, issues, req.user.sub);
+      const left = await inspectFloorInventory(tx, floor.id);
+      await audit(tx, req, {
+        action: "reconcile",
+        entity: "Floor",
+        entityId: floor.id,
+        floorId: floor.id,
+        before: { issues },
+        after: { unresolved: left },
+      });
+      return left;
+    });
+    publishFloorEvent(req, floor.id, "inventory.reconciled", {
+      repaired: issues.length - remaining.length,
+    });
+    result.push({
+      floorId: floor.id,
+      number: floor.number,
+      issues,
+      unresolved: remaining,
+    });
+  }
+  return result;
+}
+
+// GET  /offices/:officeId/floors/:floorId/inventory/reconcile -> { floors:[{floorId, number, issues}] }
+// POST /offices/:officeId/floors/:floorId/inventory/reconcile -> то же + unresolved после починки
+app.get(
+  "/offices/:officeId/floors/:floorId/inventory/reconcile",
+  authRequired,
+  requireOfficeRole("viewer"),
+  async (req, res, next) => {
+    try {
+      const floor = await prisma.floor.findUnique({
+        where: { id: Number(req.params.floorId) },
+        select: { id: true, number: true },
+      });
+      res.json({ floors: await reconcileFloors(req, [floor], false) });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+app.post(
+  "/offices/:officeId/floors/:floorId/inventory/reconcile",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("inventory:manage"),
+  async (req, res, next) => {
+    try {
+      const floor = await prisma.floor.findUnique({
+        where: { id: Number(req.params.floorId) },
+        select: { id: true, number: true },
+      });
+      res.json({ floors: await reconcileFloors(req, [floor], true) });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// GET/POST /offices/:officeId/inventory/reconcile — по всем этажам офиса
+app.get(
+  "/offices/:officeId/inventory/reconcile",
+  authRequired,
+  requireOfficeRole("viewer"),
+  async (req, res, next) => {
+    try {
+      const floors = await prisma.floor.findMany({
+        where: { officeId: Number(req.params.officeId) },
+        select: { id: true, number: true },
+        orderBy: { number: "asc" },
+      });
+      res.json({ floors: await reconcileFloors(req, floors, false) });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+app.post(
+  "/offices/:officeId/inventory/reconcile",
   authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("inventory:manage"),
   async (req, res, next) => {
     try {
-      const floorId = Number(req.params.floorId);
-      const { name } = req.body;
-      if (!name?.trim())
-        return res.status(400).json({ error: "name required" });
-      const layer = await prisma.layer.create({
-        data: { floorId, name: name.trim(), type: "custom" },
-        select: { id: true, name: true },
+      const floors = await prisma.floor.findMany({
+        where: { officeId: Number(req.params.officeId) },
+        select: { id: true, number: true },
+        orderBy: { number: "asc" },
       });
-      res.status(201).json({ layerId: layer.id, name: layer.name });
+      res.json({ floors: await reconcileFloors(req, floors, true) });
     } catch (e) {
       next(e);
     }
   }
 );
 
+// ===================== INVENTORY ROLLUPS =====================
+// Сводка по офису и по всем офисам: фиксированное число сгруппированных запросов,
+// независимо от количества этажей и позиций.
+
+/**
+ * -> { items: [строка на офис×позицию], catalog: Map }
+ * available считается по каждому этажу отдельно (свободное на одном этаже
+ * не покрывает перераспределение на другом) и только потом суммируется.
+ */
+async function inventoryRollup(officeIds) {
+  const items = await prisma.floorInventory.findMany({
+    where: { floor: { officeId: { in: officeIds } } },
+    select: {
+      id: true,
+      catalogId: true,
+      floor: { select: { officeId: true } },
+    },
+  });
+  const ids = items.map((it) => it.id);
+  const [stats, usage, catalog] = await Promise.all([
+    assetStats(prisma, ids),
+    prisma.zoneInventory.groupBy({
+      by: ["floorInventoryId"],
+      where: { floorInventoryId: { in: ids } },
+      _sum: { quantity: true },
+    }),
+    prisma.inventoryCatalog.findMany({
+      where: { id: { in: [...new Set(items.map((it) => it.catalogId))] } },
+    }),
+  ]);
+  const usedById = new Map(
+    usage.map((u) => [u.floorInventoryId, u._sum.quantity ?? 0])
+  );
+  const catalogById = new Map(catalog.map((c) => [c.id, c]));
+
+  const rows = new Map(); // `${officeId}:${catalogId}` -> строка
+  for (const it of items) {
+    const key = `${it.floor.officeId}:${it.catalogId}`;
+    let row = rows.get(key);
+    if (!row) {
+      const c = catalogById.get(it.catalogId);
+      row = {
+        officeId: it.floor.officeId,
+        catalogId: it.catalogId,
+        displayName: c?.displayName ?? it.catalogId,
+        category: c?.category ?? null,
+        ...emptyTotals(),
+      };
+      rows.set(key, row);
+    }
+    addTotals(row, stats.get(it.id), usedById.get(it.id) ?? 0);
+  }
+  return [...rows.values()];
+}
+
+function emptyTotals() {
+  return {
+    total: 0,
+    working: 0,
+    broken: 0,
+    inRepair: 0,
+    allocated: 0,
+    available: 0,
+  };
+}
+
+function addTotals(acc, s, allocated) {
+  acc.total += s.count;
+  acc.working += s.ok;
+  acc.broken += s.broken;
+  acc.inRepair += s.in_repair;
+  acc.allocated += allocated;
+  acc.available += Math.max(s.ok - allocated, 0);
+  return acc;
+}
+
+// Схлопывает строки по ключу (позиция каталога или категория), суммируя показатели
+function sumBy(rows, keyOf, head) {
+  const out = new Map();
+  for (const r of rows) {
+    const key = keyOf(r);
+    if (!out.has(key)) out.set(key, { ...head(r), ...emptyTotals() });
+    const acc = out.get(key);
+    for (const f of Object.keys(emptyTotals())) acc[f] += r[f];
+  }
+  return [...out.values()];
+}
+
+function rollupView(rows) {
+  const items = sumBy(
+    rows,
+    (r) => r.catalogId,
+    (r) => ({
+      catalogId: r.catalogId,
+      displayName: r.displayName,
+      category: r.category,
+    })
+  ).sort((a, b) => a.displayName.localeCompare(b.displayName));
+  const categories = sumBy(
+    rows,
+    (r) => r.category,
+    (r) => ({ category: r.category })
+  ).sort((a, b) => (a.category ?? "").localeCompare(b.category ?? ""));
+  return { items, categories };
+}
+
+const ROLLUP_COLUMNS = [
+  { header: "Office", key: "office", width: 28 },
+  { header: "City", key: "city", width: 16 },
+  { header: "Category", key: "category", width: 14 },
+  { header: "Catalog ID", key: "catalogId", width: 18 },
+  { header: "Item", key: "displayName", width: 28 },
+  { header: "Total", key: "total", width: 10 },
+  { header: "Working", key: "working", width: 10 },
+  { header: "Broken", key: "broken", width: 10 },
+  { header: "In repair", key: "inRepair", width: 10 },
+  { header: "Allocated", key: "allocated", width: 10 },
+  { header: "Available", key: "available", width: 10 },
+];
+
+// Строки, похожие на формулу (=, +, -, @, таб, CR), экранируем апострофом — иначе
+// Excel выполнит их при открытии CSV. В XLSX строки пишутся как текст, там не нужно.
+function csvCell(v) {
+  let s = v == null ? "" : String(v);
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Отдаёт сводку в формате ?format=csv|xlsx (строка на офис×позицию).
+ * -> false, если формат не запрошен и ответ должен быть JSON.
+ */
+async function sendRollupExport(req, res, rows, offices, filename) {
+  const format = req.query.format;
+  if (format == null || format === "json") return false;
+  if (format !== "csv" && format !== "xlsx") {
+    res.status(400).json({ error: "format must be json, csv or xlsx" });
+    return true;
+  }
+  const officeById = new Map(offices.map((o) => [o.id, o]));
+  const lines = rows
+    .map((r) => ({
+      ...r,
+      office: officeById.get(r.officeId)?.name ?? r.officeId,
+      city: officeById.get(r.officeId)?.city ?? "",
+      category: r.category ?? "",
+    }))
+    .sort(
+      (a, b) =>
+        String(a.office).localeCompare(String(b.office)) ||
+        a.category.localeCompare(b.category) ||
+        a.displayName.localeCompare(b.displayName)
+    );
+
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${filename}.${format}"`
+  );
+  if (format === "csv") {
+    const csv = [
+      ROLLUP_COLUMNS.map((c) => csvCell(c.header)).join(","),
+      ...lines.map((l) =>
+        ROLLUP_COLUMNS.map((c) => csvCell(l[c.key])).join(",")
+      ),
+    ].join("\r\n");
+    res.type("text/csv; charset=utf-8").send(csv + "\r\n");
+    return true;
+  }
+
+  const wb = new ExcelJS.Workbook();
+  const itemsSheet = wb.addWorksheet("Inventory");
+  itemsSheet.columns = ROLLUP_COLUMNS;
+  itemsSheet.addRows(lines);
+  itemsSheet.getRow(1).font = { bold: true };
+  itemsSheet.views = [{ state: "frozen", ySplit: 1 }];
+
+  const categorySheet = wb.addWorksheet("Categories");
+  categorySheet.columns = [ROLLUP_COLUMNS[2], ...ROLLUP_COLUMNS.slice(5)];
+  categorySheet.addRows(
+    rollupView(rows).categories.map((c) => ({
+      ...c,
+      category: c.category ?? "",
+    }))
+  );
+  categorySheet.getRow(1).font = { bold: true };
+
+  res.type("application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  await wb.xlsx.write(res);
+  res.end();
+  return true;
+}
+
+// GET /offices/:officeId/inventory/summary[?format=csv|xlsx]
+// -> { officeId, items:[{catalogId, displayName, category, total, working, broken, inRepair, allocated, available}], categories:[...] }
 app.get(
-  "/offices/:officeId/floors/:floorId/layers/:layerId",
+  "/offices/:officeId/inventory/summary",
   authRequired,
+  requireOfficeRole("viewer"),
   async (req, res, next) => {
     try {
-      const floorId = Number(req.params.floorId);
-      const layerId = Number(req.params.layerId);
+      const officeId = Number(req.params.officeId);
+      const office = await prisma.office.findUnique({
+        where: { id: officeId },
+        select: { id: true, name: true, city: true },
+      });
+      if (!office) return res.status(404).json({ error: "Office not found" });
 
-      const layer = await prisma.layer.findFirst({
-        where: { id: layerId, floorId },
-        select: {
-          id: true,
-          name: true,
-          type: true,
-          floor: { select: { firesafeImageUrl: true } },
-        },
+      const rows = await inventoryRollup([officeId]);
+      if (
+        await sendRollupExport(
+          req,
+          res,
+          rows,
+          [office],
+          `inventory-office-${officeId}`
+        )
+      )
+        return;
+      res.json({ officeId, ...rollupView(rows) });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// GET /inventory/summary[?format=csv|xlsx] — по всем офисам, доступным пользователю
+// -> { items, categories, offices:[{officeId, name, city, items, categories}] }
+app.get("/inventory/summary", authRequired, async (req, res, next) => {
+  try {
+    const where = req.user.perms?.includes("office:access-all")
+      ? undefined
+      : { memberships: { some: { user: { email: String(req.user.sub) } } } };
+    const offices = await prisma.office.findMany({
+      where,
+      orderBy: [{ country: "asc" }, { city: "asc" }, { name: "asc" }],
+      select: { id: true, name: true, city: true },
+    });
+
+    const rows = await inventoryRollup(offices.map((o) => o.id));
+    if (await sendRollupExport(req, res, rows, offices, "inventory-summary"))
+      return;
+    res.json({
+      ...rollupView(rows),
+      offices: offices.map((o) => ({
+        officeId: o.id,
+        name: o.name,
+        city: o.city,
+        ...rollupView(rows.filter((r) => r.officeId === o.id)),
+      })),
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// ===================== ZONE INVENTORY =====================
+app.get(
+  "/offices/:officeId/floors/:floorId/zones/:zoneId/inventory",
+  authRequired,
+  requireOfficeRole("viewer"),
+  async (req, res, next) => {
+    try {
+      const zoneId = Number(req.params.zoneId);
+      if (!Number.isFinite(zoneId))
+        return res.status(400).json({ error: "Invalid zoneId" });
+
+      const rows = await prisma.zoneInventory.findMany({
+        where: { zoneId },
+        include: { floorInventory: { include: { catalog: true } } },
+        orderBy: { id: "asc" },
       });
-      if (!layer) return res.status(404).json({ error: "Layer not found" });
+      res.json(rows);
+    } catch (e) {
+      next(e);
+    }
+  }
+);
 
-      if (layer.type === "firesafe") {
-        return res.json({
-          id: layer.id,
-          name: layer.name,
-          type: layer.type,
-          imageUrl: layer.floor.firesafeImageUrl ?? null,
+app.post(
+  "/offices/:officeId/floors/:floorId/zones/:zoneId/inventory",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("inventory:manage"),
+  async (req, res, next) => {
+    try {
+      const zoneId = Number(req.params.zoneId);
+      const { floorInventoryId, quantity } = req.body || {};
+      if (!Number.isInteger(zoneId))
+        return res.status(400).json({ error: "Invalid zoneId" });
+      if (!Number.isInteger(floorInventoryId))
+        return res
+          .status(400)
+          .json({ error: "floorInventoryId required (int)" });
+      if (!Number.isInteger(quantity) || quantity < 0)
+        return res.status(400).json({ error: "quantity must be int >= 0" });
+
+      const created = await prisma.$transaction(async (tx) => {
+        const fi = await tx.floorInventory.findFirst({
+          where: { id: floorInventoryId, floorId: Number(req.params.floorId) },
+          include: { catalog: true },
         });
-      }
+        if (!fi)
+          throw Object.assign(new Error("Inventory item not found"), {
+            status: 404,
+          });
 
-      const zones = await prisma.zone.findMany({
-        where: { layerId },
-        select: {
-          id: true,
-          name: true,
-          description: true,
-          status: true,
-          coordinates: true,
-        },
-        orderBy: { id: "asc" },
+        await lockInventory(tx, floorInventoryId);
+        const used = await allocatedQuantity(tx, floorInventoryId);
+        const available =
+          (await workingAssetCount(tx, floorInventoryId)) - used;
+        if (quantity > available) {
+          const err = new Error(`Not enough available. left=${available}`);
+          err.status = 409;
+          throw err;
+        }
+
+        const exists = await tx.zoneInventory
+          .findUnique({
+            where: { zoneId_floorInventoryId: { zoneId, floorInventoryId } },
+          })
+          .catch(() => null);
+        if (exists) {
+          const err = new Error("Already attached, use PATCH");
+          err.status = 409;
+          throw err;
+        }
+
+        const row = await tx.zoneInventory.create({
+          data: { zoneId, floorInventoryId, quantity },
+        });
+        await audit(tx, req, {
+          action: "create",
+          entity: "ZoneInventory",
+          entityId: row.id,
+          after: row,
+        });
+        return row;
+      });
+
+      publishFloorEvent(
+        req,
+        await floorOfZone(prisma, created.zoneId),
+        "zoneInventory.created",
+        created
+      );
+      res.status(201).json(created);
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      if (e.code === "P2002")
+        return res
+          .status(409)
+          .json({ error: "Duplicate (zoneId,floorInventoryId)" });
+      next(e);
+    }
+  }
+);
+
+app.patch(
+  "/offices/:officeId/floors/:floorId/zones/:zoneId/inventory/:id",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("inventory:manage"),
+  async (req, res, next) => {
+    try {
+      const id = Number(req.params.id);
+      const { quantity } = req.body || {};
+      if (!Number.isInteger(id))
+        return res.status(400).json({ error: "Invalid id" });
+      if (!Number.isInteger(quantity) || quantity < 0)
+        return res.status(400).json({ error: "quantity must be int >= 0" });
+
+      const updated = await prisma.$transaction(async (tx) => {
+        const row = await tx.zoneInventory.findFirst({
+          where: { id, zoneId: Number(req.params.zoneId) },
+          include: { floorInventory: true },
+        });
+        if (!row) throw Object.assign(new Error("Not found"), { status: 404 });
+
+        await lockInventory(tx, row.floorInventoryId);
+        const placed = await tx.zoneObject.count({
+          where: { zoneInventoryId: id },
+        });
+        if (quantity < placed)
+          throw Object.assign(
+            new Error(
+              `quantity cannot be below placed objects (${placed}), remove objects first`
+            ),
+            { status: 409 }
+          );
+        const usedOthers = await allocatedQuantity(
+          tx,
+          row.floorInventoryId,
+          id
+        );
+        const availableForThis =
+          (await workingAssetCount(tx, row.floorInventoryId)) - usedOthers;
+        if (quantity > availableForThis) {
+          const err = new Error(
+            `Not enough available. left=${availableForThis}`
+          );
+          err.status = 409;
+          throw err;
+        }
+
+        const { floorInventory: _fi, ...before } = row;
+        const saved = await tx.zoneInventory.update({
+          where: { id },
+          data: { quantity },
+        });
+        await audit(tx, req, {
+          action: "update",
+          entity: "ZoneInventory",
+          entityId: id,
+          before,
+          after: saved,
+        });
+        return saved;
       });
-      res.json({ id: layer.id, name: layer.name, type: layer.type, zones });
+
+      publishFloorEvent(
+        req,
+        await floorOfZone(prisma, updated.zoneId),
+        "zoneInventory.updated",
+        updated
+      );
+      res.json(updated);
     } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
       next(e);
     }
   }
 );
 
 app.delete(
-  "/offices/:officeId/floors/:floorId/layers/:layerId",
+  "/offices/:officeId/floors/:floorId/zones/:zoneId/inventory/:id",
   authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("inventory:manage"),
   async (req, res, next) => {
     try {
-      const floorId = Number(req.params.floorId);
-      const layerId = Number(req.params.layerId);
-      const layer = await prisma.layer.findFirst({
-        where: { id: layerId, floorId },
-        select: { type: true },
+      const id = Number(req.params.id);
+      if (!Number.isInteger(id))
+        return res.status(400).json({ error: "Invalid id" });
+      const row = await prisma.zoneInventory.findFirst({
+        where: { id, zoneId: Number(req.params.zoneId) },
+        select: { id: true },
       });
-      if (!layer) return res.status(404).json({ error: "Layer not found" });
-      if (layer.type === "firesafe")
-        return res.status(400).json({ error: "Cannot delete firesafe layer" });
-      await prisma.layer.delete({ where: { id: layerId } });
+      if (!row) return res.status(404).json({ error: "Not found" });
+      const removed = await prisma.zoneInventory.delete({ where: { id } });
+      await audit(prisma, req, {
+        action: "delete",
+        entity: "ZoneInventory",
+        entityId: id,
+        before: removed,
+      });
+      publishFloorEvent(
+        req,
+        await floorOfZone(prisma, removed.zoneId),
+        "zoneInventory.deleted",
+        { id, zoneId: removed.zoneId }
+      );
       res.status(204).end();
+    } catch (e) {
+      if (e.code === "P2025")
+        return res.status(404).json({ error: "Not found" });
+      next(e);
+    }
+  }
+);
+
+// ===================== ZONE OBJECTS =====================
+// Привязывает актив к объекту на карте: актив того же типа и этажа, не списан,
+// не стоит на другом объекте. Вызывать в транзакции.
+async function linkAssetToObject(tx, assetId, zoneInventoryId, objectId) {
+  const [asset, zi] = await Promise.all([
+    tx.asset.findUnique({
+      where: { id: assetId },
+      select: { floorInventoryId: true, condition: true, zoneObjectId: true },
+    }),
+    tx.zoneInventory.findUnique({
+      where: { id: zoneInventoryId },
+      select: { floorInventoryId: true },
+    }),
+  ]);
+  if (!asset)
+    throw Object.assign(new Error("Asset not found"), { status: 404 });
+  if (asset.floorInventoryId !== zi.floorInventoryId)
+    throw Object.assign(new Error("Asset belongs to another inventory item"), {
+      status: 400,
+    });
+  if (asset.condition === "written_off")
+    throw Object.assign(new Error("Asset is written off"), { status: 409 });
+  if (asset.zoneObjectId != null && asset.zoneObjectId !== objectId)
+    throw Object.assign(new Error("Asset is already placed"), { status: 409 });
+  await tx.asset.updateMany({
+    where: { zoneObjectId: objectId, id: { not: assetId } },
+    data: { zoneObjectId: null },
+  });
+  await tx.asset.update({
+    where: { id: assetId },
+    data: { zoneObjectId: objectId },
+  });
+}
+
+app.get(
+  "/offices/:officeId/floors/:floorId/zones/:zoneId/objects",
+  authRequired,
+  requireOfficeRole("viewer"),
+  async (req, res, next) => {
+    try {
+      const zoneId = Number(req.params.zoneId);
+      if (!Number.isFinite(zoneId))
+        return res.status(400).json({ error: "Invalid zoneId" });
+
+      const list = await prisma.zoneObject.findMany({
+        where: { zoneId },
+        orderBy: { id: "asc" },
+        include: {
+          zoneInventory: {
+            include: { floorInventory: { include: { catalog: true } } },
+          },
+          asset: {
+            select: {
+              id: true,
+              serialNumber: true,
+              inventoryNumber: true,
+              condition: true,
+            },
+          },
+        },
+      });
+
+      const result = list.map((o) => ({
+        id: o.id,
+        zoneId: o.zoneId,
+        zoneInventoryId: o.zoneInventoryId,
+        x: o.x,
+        y: o.y,
+        rotation: o.rotation,
+        asset: o.asset,
+        catalog: {
+          id: o.zoneInventory.floorInventory.catalog.id,
+          displayName: o.zoneInventory.floorInventory.catalog.displayName,
+          iconKey: o.zoneInventory.floorInventory.catalog.iconKey,
+          category: o.zoneInventory.floorInventory.catalog.category || null,
+        },
+      }));
+
+      res.json(result);
     } catch (e) {
       next(e);
     }
   }
 );
 
-// ===================== ZONES (custom layers) =====================
 app.post(
-  "/offices/:officeId/floors/:floorId/layers/:layerId/zones",
+  "/offices/:officeId/floors/:floorId/zones/:zoneId/objects",
   authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("inventory:manage"),
   async (req, res, next) => {
     try {
-      const layerId = Number(req.params.layerId);
-      const {
-        name = "",
-        description = "",
-        status = "free",
-        coordinates,
-      } = req.body;
-
-      if (!Array.isArray(coordinates) || coordinates.length < 6)
-        return res
-          .status(400)
-          .json({ error: "coordinates must be [x1,y1,] with >= 3 points" });
-      if (!["free", "occupied"].includes(status))
+      const zoneId = Number(req.params.zoneId);
+      const { zoneInventoryId, x, y, rotation, assetId } = req.body || {};
+      if (!Number.isFinite(zoneId))
+        return res.status(400).json({ error: "Invalid zoneId" });
+      if (assetId != null && !Number.isInteger(assetId))
+        return res.status(400).json({ error: "assetId must be integer" });
+      if (!Number.isInteger(zoneInventoryId))
         return res
           .status(400)
-          .json({ error: "status must be 'free' or 'occupied'" });
+          .json({ error: "zoneInventoryId required (int)" });
+      if (typeof x !== "number" || typeof y !== "number")
+        return res.status(400).json({ error: "x and y must be numbers" });
 
-      const layer = await prisma.layer.findUnique({
-        where: { id: layerId },
-        select: { type: true, floorId: true },
+      const created = await prisma.$transaction(async (tx) => {
+        const zi = await tx.zoneInventory.findUnique({
+          where: { id: zoneInventoryId },
+          select: { id: true, zoneId: true, floorInventoryId: true },
+        });
+        if (!zi)
+          throw Object.assign(new Error("Zone inventory not found"), {
+            status: 404,
+          });
+        if (zi.zoneId !== zoneId) {
+          const err = new Error("zoneInventoryId does not belong to this zone");
+          err.status = 400;
+          throw err;
+        }
+
+        const warnings = await checkObjectPlacement(tx, req, zoneId, x, y);
+
+        // каждый объект забирает ещё одну исправную единицу с этажа
+        await lockInventory(tx, zi.floorInventoryId);
+        const [used, working] = await Promise.all([
+          allocatedQuantity(tx, zi.floorInventoryId),
+          workingAssetCount(tx, zi.floorInventoryId),
+        ]);
+        if (used >= working)
+          throw Object.assign(
+            new Error(
+              `Not enough available. left=${Math.max(working - used, 0)}`
+            ),
+            { status: 409 }
+          );
+
+        await tx.zoneInventory.update({
+          where: { id: zoneInventoryId },
+          data: { quantity: { increment: 1 } },
+        });
+
+        const obj = await tx.zoneObject.create({
+          data: {
+            zoneId,
+            zoneInventoryId,
+            x,
+            y,
+            rotation: typeof rotation === "number" ? rotation : 0,
+          },
+        });
+        if (assetId != null)
+          await linkAssetToObject(tx, assetId, zoneInventoryId, obj.id);
+        await audit(tx, req, {
+          action: "create",
+          entity: "ZoneObject",
+          entityId: obj.id,
+          after: { ...obj, assetId: assetId ?? null },
+        });
+
+        return { obj, warnings };
       });
-      if (!layer) return res.status(404).json({ error: "Layer not found" });
-      if (layer.type !== "custom")
-        return res
-          .status(400)
-          .json({ error: "Zones allowed only for custom layers" });
 
-      const z = await prisma.zone.create({
-        data: {
-          layerId,
-          floorId: layer.floorId,
-          name,
-          description,
-          status,
-          coordinates,
-        },
-        select: { id: true },
+      publishFloorEvent(
+        req,
+        await floorOfZone(prisma, created.obj.zoneId),
+        "zoneObject.created",
+        created.obj
+      );
+      res.status(201).json({
+        ...created.obj,
+        ...(created.warnings.length ? { warnings: created.warnings } : {}),
       });
-      res.status(201).json({ zoneId: z.id, coordinates });
     } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
       next(e);
     }
   }
 );
 
 app.patch(
-  "/offices/:officeId/floors/:floorId/layers/:layerId/zones/:zoneId",
+  "/offices/:officeId/floors/:floorId/zones/:zoneId/objects/:id",
   authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("inventory:manage"),
   async (req, res, next) => {
     try {
-      const layerId = Number(req.params.layerId);
       const zoneId = Number(req.params.zoneId);
-      const { name, description, status, coordinates } = req.body;
-
-      const zone = await prisma.zone.findFirst({
-        where: { id: zoneId, layerId },
-        select: { id: true },
-      });
-      if (!zone) return res.status(404).json({ error: "Zone not found" });
+      const id = Number(req.params.id);
+      if (!Number.isFinite(zoneId) || !Number.isFinite(id))
+        return res.status(400).json({ error: "Invalid ids" });
 
+      // assetId: число — привязать актив, null — отвязать
+      const { x, y, rotation, assetId } = req.body || {};
+      if (assetId != null && !Number.isInteger(assetId))
+        return res.status(400).json({ error: "assetId must be integer" });
       const data = {};
-      if (typeof name === "string") data.name = name;
-      if (typeof description === "string") data.description = description;
-      if (typeof status === "string") {
-        if (!["free", "occupied"].includes(status))
-          return res
-            .status(400)
-            .json({ error: "status must be 'free' or 'occupied'" });
-        data.status = status;
+      if (x != null) {
+        if (typeof x !== "number")
+          return res.status(400).json({ error: "x must be number" });
+        data.x = x;
       }
-      if (Array.isArray(coordinates)) {
-        if (coordinates.length < 6)
-          return res
-            .status(400)
-            .json({ error: "coordinates must have >= 3 points" });
-        data.coordinates = coordinates;
+      if (y != null) {
+        if (typeof y !== "number")
+          return res.status(400).json({ error: "y must be number" });
+        data.y = y;
       }
-      if (Object.keys(data).length === 0)
+      if (rotation != null) {
+        if (typeof rotation !== "number")
+          return res.status(400).json({ error: "rotation must be number" });
+        data.rotation = rotation;
+      }
+      if (Object.keys(data).length === 0 && assetId === undefined)
         return res.status(400).json({ error: "No fields to update" });
 
-      await prisma.zone.update({ where: { id: zoneId }, data });
-      res.json({ id: zoneId, updated: true });
+      const obj = await prisma.zoneObject.findUnique({ where: { id } });
+      if (!obj) return res.status(404).json({ error: "Object not found" });
+      if (obj.zoneId !== zoneId)
+        return res
+          .status(400)
+          .json({ error: "Object does not belong to this zone" });
+
+      let warnings = [];
+      const updated = await prisma.$transaction(async (tx) => {
+        if (data.x != null || data.y != null)
+          warnings = await checkObjectPlacement(
+            tx,
+            req,
+            zoneId,
+            data.x ?? obj.x,
+            data.y ?? obj.y
+          );
+        const saved = await tx.zoneObject.update({ where: { id }, data });
+        if (assetId === null)
+          await tx.asset.updateMany({
+            where: { zoneObjectId: id },
+            data: { zoneObjectId: null },
+          });
+        else if (assetId !== undefined)
+          await linkAssetToObject(tx, assetId, obj.zoneInventoryId, id);
+        await audit(tx, req, {
+          action: "update",
+          entity: "ZoneObject",
+          entityId: id,
+          before: obj,
+          after: { ...saved, ...(assetId !== undefined ? { assetId } : {}) },
+        });
+        return saved;
+      });
+      publishFloorEvent(
+        req,
+        await floorOfZone(prisma, updated.zoneId),
+        "zoneObject.updated",
+        updated
+      );
+      res.json({ ...updated, ...(warnings.length ? { warnings } : {}) });
     } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
       next(e);
     }
   }
 );
 
 app.delete(
-  "/offices/:officeId/floors/:floorId/layers/:layerId/zones/:zoneId",
+  "/offices/:officeId/floors/:floorId/zones/:zoneId/objects/:id",
   authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("inventory:manage"),
   async (req, res, next) => {
     try {
-      const layerId = Number(req.params.layerId);
       const zoneId = Number(req.params.zoneId);
-      const del = await prisma.zone.deleteMany({
-        where: { id: zoneId, layerId },
+      const id = Number(req.params.id);
+      if (!Number.isFinite(zoneId) || !Number.isFinite(id))
+        return res.status(400).json({ error: "Invalid ids" });
+
+      await prisma.$transaction(async (tx) => {
+        const obj = await tx.zoneObject.findUnique({ where: { id } });
+        if (!obj)
+          throw Object.assign(new Error("Object not found"), { status: 404 });
+        if (obj.zoneId !== zoneId) {
+          const err = new Error("Object does not belong to this zone");
+          err.status = 400;
+          throw err;
+        }
+
+        await tx.zoneObject.delete({ where: { id } });
+        await audit(tx, req, {
+          action: "delete",
+          entity: "ZoneObject",
+          entityId: id,
+          before: obj,
+        });
+
+        await tx.zoneInventory
+          .update({
+            where: { id: obj.zoneInventoryId },
+            data: { quantity: { decrement: 1 } },
+          })
+          .catch(async (e) => {
+            const zi = await tx.zoneInventory.findUnique({
+              where: { id: obj.zoneInventoryId },
+              select: { quantity: true },
+            });
+            if (zi && zi.quantity > 0) throw e;
+          });
       });
-      if (del.count === 0)
-        return res.status(404).json({ error: "Zone not found" });
+
+      publishFloorEvent(
+        req,
+        await floorOfZone(prisma, zoneId),
+        "zoneObject.deleted",
+        { id, zoneId }
+      );
       res.status(204).end();
     } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      if (e.code === "P2025")
+        return res.status(404).json({ error: "Object not found" });
       next(e);
     }
   }
 );
 
-// ===================== INVENTORY CATALOG =====================
-app.get("/inventory/catalog", authRequired, async (_req, res, next) => {
-  try {
-    const items = await prisma.inventoryCatalog.findMany({
-      orderBy: [{ category: "asc" }, { displayName: "asc" }],
-    });
-    res.json(items);
-  } catch (e) {
-    next(e);
-  }
-});
-
-// ===================== FLOOR INVENTORY =====================
+// ===================== SPATIAL QUERIES =====================
+// GET /offices/:officeId/floors/:floorId/zones/at?x=&y=[&layerId=]
+// -> [{id, layerId, name, description, coordinates}] — зоны, содержащие точку
 app.get(
-  "/offices/:officeId/floors/:floorId/inventory",
+  "/offices/:officeId/floors/:floorId/zones/at",
   authRequired,
+  requireOfficeRole("viewer"),
   async (req, res, next) => {
     try {
       const floorId = Number(req.params.floorId);
-      if (!Number.isFinite(floorId))
-        return res.status(400).json({ error: "Invalid floorId" });
+      const x = Number(req.query.x);
+      const y = Number(req.query.y);
+      if (!Number.isFinite(x) || !Number.isFinite(y))
+        return res.status(400).json({ error: "x and y must be numbers" });
+      const layerId =
+        req.query.layerId != null ? intParam(req.query.layerId) : null;
+      if (req.query.layerId != null && layerId == null)
+        return res.status(400).json({ error: "Invalid layerId" });
 
-      const items = await prisma.floorInventory.findMany({
-        where: { floorId },
-        include: { catalog: true },
-        orderBy: [{ catalog: { displayName: "asc" } }],
+      const zones = await prisma.zone.findMany({
+        where: { floorId, ...(layerId != null ? { layerId } : {}) },
+        select: {
+          id: true,
+          layerId: true,
+          name: true,
+          description: true,
+          coordinates: true,
+        },
+        orderBy: { id: "asc" },
       });
-      res.json(items);
+      res.json(
+        zones.filter(
+          (z) =>
+            !validatePolygon(z.coordinates) &&
+            polygonContains(z.coordinates, x, y)
+        )
+      );
     } catch (e) {
       next(e);
     }
   }
 );
 
+// GET /offices/:officeId/floors/:floorId/objects/within?x1=&y1=&x2=&y2=[&layerId=]
+// -> [{id, zoneId, layerId, zoneInventoryId, x, y, rotation, catalogId}]
 app.get(
-  "/offices/:officeId/floors/:floorId/inventory/with-usage",
+  "/offices/:officeId/floors/:floorId/objects/within",
   authRequired,
+  requireOfficeRole("viewer"),
   async (req, res, next) => {
     try {
       const floorId = Number(req.params.floorId);
-      if (!Number.isFinite(floorId))
-        return res.status(400).json({ error: "Invalid floorId" });
+      const [x1, y1, x2, y2] = ["x1", "y1", "x2", "y2"].map((k) =>
+        Number(req.query[k])
+      );
+      if (![x1, y1, x2, y2].every(Number.isFinite))
+        return res
+          .status(400)
+          .json({ error: "x1, y1, x2, y2 must be numbers" });
+      const layerId =
+        req.query.layerId != null ? intParam(req.query.layerId) : null;
+      if (req.query.layerId != null && layerId == null)
+        return res.status(400).json({ error: "Invalid layerId" });
 
-      const items = await prisma.floorInventory.findMany({
-        where: { floorId },
-        include: { catalog: true, zoneItems: true },
-        orderBy: [{ catalog: { displayName: "asc" } }],
+      const list = await prisma.zoneObject.findMany({
+        where: {
+          x: { gte: Math.min(x1, x2), lte: Math.max(x1, x2) },
+          y: { gte: Math.min(y1, y2), lte: Math.max(y1, y2) },
+          zone: { floorId, ...(layerId != null ? { layerId } : {}) },
+        },
+        select: {
+          id: true,
+          zoneId: true,
+          zoneInventoryId: true,
+          x: true,
+          y: true,
+          rotation: true,
+          zone: { select: { layerId: true } },
+          zoneInventory: {
+            select: { floorInventory: { select: { catalogId: true } } },
+          },
+        },
+        orderBy: { id: "asc" },
       });
-
-      const result = await Promise.all(
-        items.map(async (it) => {
-          const agg = await prisma.zoneInventory.aggregate({
-            where: { floorInventoryId: it.id },
-            _sum: { quantity: true },
-          });
-          const used = agg._sum.quantity ?? 0;
-          return {
-            id: it.id,
-            floorId: it.floorId,
-            catalogId: it.catalogId,
-            count: it.count,
-            used,
-            available: Math.max(it.count - used, 0),
-            catalog: it.catalog,
-          };
-        })
+      res.json(
+        list.map(({ zone, zoneInventory, ...o }) => ({
+          ...o,
+          layerId: zone.layerId,
+          catalogId: zoneInventory.floorInventory.catalogId,
+        }))
       );
+    } catch (e) {
+      next(e);
+    }
+  }
+);
 
-      res.json(result);
+// ===================== FLOOR SCALE / MEASUREMENTS =====================
+// PUT /offices/:officeId/floors/:floorId/scale { x1, y1, x2, y2, distance }
+// distance — реальное расстояние между точками в метрах
+// -> { metersPerPixel, scaleCalibration }
+app.put(
+  "/offices/:officeId/floors/:floorId/scale",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("floor:edit"),
+  async (req, res, next) => {
+    try {
+      const floorId = Number(req.params.floorId);
+      const { x1, y1, x2, y2, distance } = req.body || {};
+      if (![x1, y1, x2, y2].every((v) => Number.isFinite(v)))
+        return res
+          .status(400)
+          .json({ error: "x1, y1, x2, y2 must be numbers" });
+      if (!Number.isFinite(distance) || distance <= 0)
+        return res
+          .status(400)
+          .json({ error: "distance must be positive number (meters)" });
+      const pixels = Math.hypot(x2 - x1, y2 - y1);
+      if (pixels < 1)
+        return res
+          .status(400)
+          .json({ error: "Calibration points must be at least 1px apart" });
+
+      const before = await prisma.floor.findUnique({
+        where: { id: floorId },
+        select: { metersPerPixel: true, scaleCalibration: true },
+      });
+      const updated = await prisma.floor.update({
+        where: { id: floorId },
+        data: {
+          metersPerPixel: distance / pixels,
+          scaleCalibration: { x1, y1, x2, y2, distance },
+        },
+        select: { metersPerPixel: true, scaleCalibration: true },
+      });
+      await audit(prisma, req, {
+        action: "calibrate",
+        entity: "Floor",
+        entityId: floorId,
+        before,
+        after: updated,
+      });
+      publishFloorEvent(req, floorId, "floor.scale", updated);
+      res.json(updated);
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+app.delete(
+  "/offices/:officeId/floors/:floorId/scale",
+  authRequired,
+  requireOfficeRole("editor"),
+  requirePermission("floor:edit"),
+  async (req, res, next) => {
+    try {
+      const floorId = Number(req.params.floorId);
+      const before = await prisma.floor.findUnique({
+        where: { id: floorId },
+        select: { metersPerPixel: true, scaleCalibration: true },
+      });
+      await prisma.floor.update({
+        where: { id: floorId },
+        data: { metersPerPixel: null, scaleCalibration: Prisma.DbNull },
+      });
+      await audit(prisma, req, {
+        action: "calibrate",
+        entity: "Floor",
+        entityId: floorId,
+        before,
+        after: { metersPerPixel: null, scaleCalibration: null },
+      });
+      publishFloorEvent(req, floorId, "floor.scale", {
+        metersPerPixel: null,
+        scaleCalibration: null,
+      });
+      res.status(204).end();
     } catch (e) {
       next(e);
     }
   }
 );
 
-app.post(
-  "/offices/:officeId/floors/:floorId/inventory",
+// GET /offices/:officeId/floors/:floorId/measurements[?layerId=]
+// -> { metersPerPixel, zones:[{id, layerId, name, areaPx, perimeterPx, areaM2, perimeterM}] }
+// Без калибровки метрические поля равны null.
+app.get(
+  "/offices/:officeId/floors/:floorId/measurements",
   authRequired,
+  requireOfficeRole("viewer"),
   async (req, res, next) => {
     try {
       const floorId = Number(req.params.floorId);
-      const { catalogId, count } = req.body || {};
-      if (!Number.isFinite(floorId))
-        return res.status(400).json({ error: "Invalid floorId" });
-      if (typeof catalogId !== "string" || !catalogId.trim())
-        return res.status(400).json({ error: "catalogId required" });
-      if (!Number.isInteger(count) || count < 0)
-        return res.status(400).json({ error: "count must be integer >= 0" });
+      const layerId =
+        req.query.layerId != null ? intParam(req.query.layerId) : null;
+      if (req.query.layerId != null && layerId == null)
+        return res.status(400).json({ error: "Invalid layerId" });
 
-      const exists = await prisma.inventoryCatalog.findUnique({
-        where: { id: catalogId },
+      const floor = await prisma.floor.findUnique({
+        where: { id: floorId },
+        select: { metersPerPixel: true },
+      });
+      const zones = await prisma.zone.findMany({
+        where: { floorId, ...(layerId != null ? { layerId } : {}) },
+        select: { id: true, layerId: true, name: true, coordinates: true },
+        orderBy: { id: "asc" },
+      });
+      res.json({
+        metersPerPixel: floor.metersPerPixel,
+        zones: zones
+          .filter((z) => !validatePolygon(z.coordinates))
+          .map((z) => ({
+            id: z.id,
+            layerId: z.layerId,
+            name: z.name,
+            ...zoneMeasurements(z.coordinates, floor.metersPerPixel),
+          })),
       });
-      if (!exists) return res.status(400).json({ error: "Unknown catalogId" });
-
-      try {
-        const created = await prisma.floorInventory.create({
-          data: { floorId, catalogId, count },
-          include: { catalog: true },
-        });
-        return res.status(201).json(created);
-      } catch (e) {
-        if (e.code === "P2002")
-          return res
-            .status(409)
-            .json({ error: "Item already exists for this floor" });
-        throw e;
-      }
     } catch (e) {
       next(e);
     }
   }
 );
 
-app.patch(
-  "/offices/:officeId/floors/:floorId/inventory/:id",
+const areaSummarySelect = {
+  id: true,
+  number: true,
+  metersPerPixel: true,
+  layers: {
+    where: { type: "custom" },
+    select: {
+      id: true,
+      name: true,
+      zones: { select: { coordinates: true, typeId: true } },
+    },
+    orderBy: { id: "asc" },
+  },
+};
+
+// Сводка площадей этажа по слоям и по типам зон (typeId null — зоны без типа)
+function floorAreaSummary(floor) {
+  const k = floor.metersPerPixel;
+  const toM2 = (px) => (k ? round2(px * k * k) : null);
+  let total = 0;
+  const typeArea = new Map(); // typeId -> { zones, area }
+  const byLayer = floor.layers.map((l) => {
+    let area = 0;
+    let zones = 0;
+    for (const z of l.zones) {
+      if (validatePolygon(z.coordinates)) continue;
+      const a = Math.abs(signedArea(toPoints(z.coordinates)));
+      area += a;
+      zones++;
+      const t = typeArea.get(z.typeId) ?? { zones: 0, area: 0 };
+      t.zones++;
+      t.area += a;
+      typeArea.set(z.typeId, t);
+    }
+    total += area;
+    return { layerId: l.id, name: l.name, zones, areaM2: toM2(area) };
+  });
+  return {
+    floorId: floor.id,
+    number: floor.number,
+    calibrated: k != null,
+    areaM2: toM2(total),
+    byLayer,
+    byType: [...typeArea].map(([typeId, t]) => ({
+      typeId,
+      zones: t.zones,
+      areaM2: toM2(t.area),
+    })),
+  };
+}
+
+// GET /offices/:officeId/floors/:floorId/area-summary
+app.get(
+  "/offices/:officeId/floors/:floorId/area-summary",
   authRequired,
+  requireOfficeRole("viewer"),
   async (req, res, next) => {
     try {
-      const id = Number(req.params.id);
-      const { count } = req.body || {};
-      if (!Number.isInteger(id))
-        return res.status(400).json({ error: "Invalid id" });
-      if (count != null && (!Number.isInteger(count) || count < 0))
-        return res.status(400).json({ error: "count must be integer >= 0" });
-
-      const updated = await prisma.floorInventory.update({
-        where: { id },
-        data: { ...(count != null ? { count } : {}) },
-        include: { catalog: true },
+      const floor = await prisma.floor.findUnique({
+        where: { id: Number(req.params.floorId) },
+        select: areaSummarySelect,
       });
-      res.json(updated);
+      res.json(floorAreaSummary(floor));
     } catch (e) {
-      if (e.code === "P2025")
-        return res.status(404).json({ error: "Inventory item not found" });
       next(e);
     }
   }
 );
 
-app.delete(
-  "/offices/:officeId/floors/:floorId/inventory/:id",
+// GET /offices/:officeId/area-summary
+// -> { officeId, areaM2, uncalibratedFloors:[floorId], byLayer:[{name, zones, areaM2}], byType:[{typeId, zones, areaM2}], floors:[...] }
+// Итоги офиса считаются только по откалиброванным этажам.
+app.get(
+  "/offices/:officeId/area-summary",
   authRequired,
+  requireOfficeRole("viewer"),
   async (req, res, next) => {
     try {
-      const id = Number(req.params.id);
-      if (!Number.isInteger(id))
-        return res.status(400).json({ error: "Invalid id" });
-      await prisma.zoneInventory.deleteMany({
-        where: { floorInventoryId: id },
+      const officeId = Number(req.params.officeId);
+      const floors = await prisma.floor.findMany({
+        where: { officeId },
+        select: areaSummarySelect,
+        orderBy: { number: "asc" },
+      });
+      const summaries = floors.map(floorAreaSummary);
+      const byName = new Map();
+      const byType = new Map();
+      let total = 0;
+      for (const f of summaries) {
+        if (!f.calibrated) continue;
+        total += f.areaM2;
+        for (const t of f.byType) {
+          const acc = byType.get(t.typeId) ?? {
+            typeId: t.typeId,
+            zones: 0,
+            areaM2: 0,
+          };
+          acc.zones += t.zones;
+          acc.areaM2 = round2(acc.areaM2 + t.areaM2);
+          byType.set(t.typeId, acc);
+        }
+        for (const l of f.byLayer) {
+          const acc = byName.get(l.name) ?? {
+            name: l.name,
+            zones: 0,
+            areaM2: 0,
+          };
+          acc.zones += l.zones;
+          acc.areaM2 = round2(acc.areaM2 + l.areaM2);
+          byName.set(l.name, acc);
+        }
+      }
+      res.json({
+        officeId,
+        areaM2: round2(total),
+        uncalibratedFloors: summaries
+          .filter((f) => !f.calibrated)
+          .map((f) => f.floorId),
+        byLayer: [...byName.values()],
+        byType: [...byType.values()],
+        floors: summaries,
       });
-      await prisma.floorInventory.delete({ where: { id } });
-      res.status(204).end();
     } catch (e) {
-      if (e.code === "P2025")
-        return res.status(404).json({ error: "Inventory item not found" });
       next(e);
     }
   }
 );
 
-// ===================== ZONE INVENTORY =====================
+// ===================== FLOOR SNAPSHOT =====================
+// Всё, что нужно для отрисовки этажа, одним ответом. ETag — хэш тела:
+// клиент шлёт If-None-Match и получает 304, пока на этаже ничего не поменялось
+// (включая статусы занятости зон).
+async function buildFloorSnapshot(officeId, floorId) {
+  const floor = await prisma.floor.findFirst({
+    where: { id: floorId, officeId },
+    select: {
+      id: true,
+      officeId: true,
+      number: true,
+      planImageUrl: true,
+      firesafeImageUrl: true,
+      metersPerPixel: true,
+      scaleCalibration: true,
+      layers: {
+        select: {
+          id: true,
+          name: true,
+          type: true,
+          zones: {
+            select: {
+              id: true,
+              name: true,
+              description: true,
+              coordinates: true,
+              ...zoneTypeFields,
+              zoneInventory: {
+                select: { id: true, floorInventoryId: true, quantity: true },
+                orderBy: { id: "asc" },
+              },
+              objects: {
+                select: {
+                  id: true,
+                  zoneInventoryId: true,
+                  x: true,
+                  y: true,
+                  rotation: true,
+                  asset: { select: { id: true } },
+                },
+                orderBy: { id: "asc" },
+              },
+            },
+            orderBy: { id: "asc" },
+          },
+          features: {
+            select: firesafeFeatureSelect,
+            orderBy: { id: "asc" },
+          },
+        },
+        orderBy: [{ type: "asc" }, { id: "asc" }],
+      },
+      inventory: {
+        select: { id: true, catalogId: true, count: true, catalog: true },
+        orderBy: { id: "asc" },
+      },
+    },
+  });
+  if (!floor) return null;
+
+  const currentUrls = [floor.planImageUrl, floor.firesafeImageUrl].filter(
+    Boolean
+  );
+  const typeIds = [
+    ...new Set(floor.layers.flatMap((l) => l.zones.map((z) => z.typeId))),
+  ].filter(Boolean);
+  const zoneIds = floor.layers.flatMap((l) => l.zones.map((z) => z.id));
+  const now = new Date();
+  const [images, occupied, seated, zoneTypes] = await Promise.all([
+    prisma.floorImage.findMany({
+      where: { floorId, url: { in: currentUrls } },
+      select: floorImageSelect,
+      orderBy: { id: "desc" },
+    }),
+    occupiedZoneIds(zoneIds, now),
+    seatedByZone(zoneIds, now),
+    prisma.zoneType.findMany({ where: { id: { in: typeIds } } }),
+  ]);
+  const imageOf = (url) => images.find((i) => i.url === url) ?? null;
+  const catalogIdOf = new Map(floor.inventory.map((i) => [i.id, i.catalogId]));
+
+  return {
+    floor: {
+      id: floor.id,
+      officeId: floor.officeId,
+      number: floor.number,
+      imageUrl: floor.planImageUrl,
+      firesafeImageUrl: floor.firesafeImageUrl,
+      metersPerPixel: floor.metersPerPixel,
+      scaleCalibration: floor.scaleCalibration,
+    },
+    images: {
+      plan: floor.planImageUrl ? imageOf(floor.planImageUrl) : null,
+      firesafe: floor.firesafeImageUrl ? imageOf(floor.firesafeImageUrl) : null,
+    },
+    // каталог один раз; inventory и объекты ссылаются на него по catalogId
+    catalog: Object.fromEntries(
+      floor.inventory.map((i) => [i.catalogId, i.catalog])
+    ),
+    zoneTypes: Object.fromEntries(zoneTypes.map((t) => [t.id, t])),
+    inventory: floor.inventory.map((i) => ({
+      id: i.id,
+      catalogId: i.catalogId,
+      count: i.count,
+    })),
+    layers: floor.layers.map((l) => ({
+      id: l.id,
+      name: l.name,
+      type: l.type,
+      zones: l.zones.map((z) => ({
+        id: z.id,
+        name: z.name,
+        description: z.description,
+        coordinates: z.coordinates,
+        typeId: z.typeId,
+        capacity: z.capacity,
+        attributes: z.attributes,
+        status: occupied.has(z.id) ? "occupied" : "free",
+        seatedUser: seated.get(z.id) ?? null,
+        ...(validatePolygon(z.coordinates)
+          ? {}
+          : zoneMeasurements(z.coordinates, floor.metersPerPixel)),
+        inventory: z.zoneInventory.map((zi) => ({
+          ...zi,
+          catalogId: catalogIdOf.get(zi.floorInventoryId),
+        })),
+        objects: z.objects.map(({ asset, ...o }) => ({
+          ...o,
+          catalogId: catalogIdOf.get(
+            z.zoneInventory.find((zi) => zi.id === o.zoneInventoryId)
+              ?.floorInventoryId
+          ),
+          assetId: asset?.id ?? null,
+        })),
+      })),
+      ...(l.type === "firesafe"
+        ? { features: l.features.map(featureView) }
+        : {}),
+    })),
+  };
+}
+
+// If-None-Match: "a", "b" | * | W/"a"
+function etagMatches(header, etag) {
+  if (!header) return false;
+  return header
+    .split(",")
+    .map((t) => t.trim().replace(/^W\//, ""))
+    .some((t) => t === "*" || t === etag);
+}
+
+// GET /offices/:officeId/floors/:floorId/snapshot
+// -> { floor, images:{plan, firesafe}, catalog:{[id]: entry}, zoneTypes:{[id]: type}, inventory, layers:[{..., zones:[{..., inventory, objects}]}] }
+// Заголовок ETag; с совпадающим If-None-Match -> 304 без тела
 app.get(
-  "/offices/:officeId/floors/:floorId/zones/:zoneId/inventory",
+  "/offices/:officeId/floors/:floorId/snapshot",
   authRequired,
+  requireOfficeRole("viewer"),
   async (req, res, next) => {
     try {
-      const zoneId = Number(req.params.zoneId);
-      if (!Number.isFinite(zoneId))
-        return res.status(400).json({ error: "Invalid zoneId" });
+      const snapshotBody = await buildFloorSnapshot(
+        Number(req.params.officeId),
+        Number(req.params.floorId)
+      );
+      if (!snapshotBody)
+        return res.status(404).json({ error: "Floor not found" });
 
-      const rows = await prisma.zoneInventory.findMany({
-        where: { zoneId },
-        include: { floorInventory: { include: { catalog: true } } },
-        orderBy: { id: "asc" },
-      });
-      res.json(rows);
+      const body = JSON.stringify(snapshotBody);
+      const etag = `"${crypto
+        .createHash("sha1")
+        .update(body)
+        .digest("base64url")}"`;
+      res.setHeader("ETag", etag);
+      res.setHeader("Cache-Control", "private, no-cache");
+      if (etagMatches(req.headers["if-none-match"], etag))
+        return res.status(304).end();
+      res.type("application/json").send(body);
     } catch (e) {
       next(e);
     }
   }
 );
 
-app.post(
-  "/offices/:officeId/floors/:floorId/zones/:zoneId/inventory",
+// ============ AUTH (переписано под новый токен) ============
+// Refresh-токен — случайная строка, в БД храним только её sha256.
+// При каждом /auth/refresh токен ротируется, предыдущий хэш помним,
+// чтобы распознать повторное использование украденного токена.
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+async function userPermissions(db, user) {
+  const overrides = await db.userPermission.findMany({
+    where: { userId: user.id },
+    select: { permission: true, granted: true },
+  });
+  return effectivePermissions(user.role, overrides);
+}
+
+// Создаёт сессию и выдаёт пару { accessToken, refreshToken }
+async function startSession(db, user, req) {
+  const refreshToken = crypto.randomBytes(48).toString("base64url");
+  const session = await db.session.create({
+    data: {
+      userId: user.id,
+      tokenHash: hashToken(refreshToken),
+      expiresAt: new Date(Date.now() + REFRESH_TTL_MS),
+      userAgent: req.headers["user-agent"]?.slice(0, 255) ?? null,
+    },
+    select: { id: true },
+  });
+  const perms = await userPermissions(db, user);
+  const accessToken = signAccessToken(user.email, user.role, perms, session.id);
+  return { accessToken, refreshToken };
+}
+
+function revokeUserSessions(db, userId) {
+  return db.session.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+}
+
+app.get(
+  "/auth/users",
   authRequired,
+  requirePermission("user:manage"),
   async (req, res, next) => {
     try {
-      const zoneId = Number(req.params.zoneId);
-      const { floorInventoryId, quantity } = req.body || {};
-      if (!Number.isInteger(zoneId))
-        return res.status(400).json({ error: "Invalid zoneId" });
-      if (!Number.isInteger(floorInventoryId))
-        return res
-          .status(400)
-          .json({ error: "floorInventoryId required (int)" });
-      if (!Number.isInteger(quantity) || quantity < 0)
-        return res.status(400).json({ error: "quantity must be int >= 0" });
+      const { q, limit = "50", offset = "0" } = req.query;
 
-      const created = await prisma.$transaction(async (tx) => {
-        const fi = await tx.floorInventory.findUnique({
-          where: { id: floorInventoryId },
-          include: { catalog: true },
-        });
-        if (!fi)
-          throw Object.assign(new Error("Inventory item not found"), {
-            status: 404,
-          });
+      const take = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+      const skip = Math.max(parseInt(offset, 10) || 0, 0);
 
-        const agg = await tx.zoneInventory.aggregate({
-          where: { floorInventoryId },
-          _sum: { quantity: true },
+      const where = q
+        ? {
+            OR: ["email", "name"].map((field) => ({
+              [field]: { contains: String(q), mode: "insensitive" },
+            })),
+          }
+        : undefined;
+
+      const [users, total] = await Promise.all([
+        prisma.user.findMany({
+          where,
+          select: {
+            id: true,
+            email: true,
+            role: true,
+            name: true,
+            department: true,
+            defaultOfficeId: true,
+            active: true,
+          },
+          orderBy: { id: "desc" }, // стабильный порядок без предположений о createdAt
+          skip,
+          take,
+        }),
+        prisma.user.count({ where }),
+      ]);
+
+      res.json({
+        users,
+      });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+app.post("/auth/register", async (req, res, next) => {
+  try {
+    const { email, password, role } = req.body || {};
+    if (typeof email !== "string" || !email.includes("@"))
+      return res.status(400).json({ error: "valid email required" });
+    if (typeof password !== "string" || password.length < 6)
+      return res.status(400).json({ error: "password must be >= 6 chars" });
+
+    const usersCount = await prisma.user.count();
+    // Первый зарегистрированный юзер — даём PROJECT_ADMIN (или USER, если хочешь строже)
+    const allowed = ["USER", "WORKSPACE_ADMIN", "PROJECT_ADMIN"];
+    const finalRole =
+      usersCount === 0
+        ? "PROJECT_ADMIN"
+        : allowed.includes(role)
+        ? role
+        : "USER";
+
+    const hash = await bcrypt.hash(password, 10);
+    const created = await prisma.user.create({
+      data: {
+        email: email.trim().toLowerCase(),
+        passwordHash: hash,
+        role: finalRole,
+      },
+      select: { id: true, email: true, role: true },
+    });
+    await audit(prisma, req, {
+      actor: created.email,
+      action: "create",
+      entity: "User",
+      entityId: created.id,
+      after: created,
+    });
+
+    const tokens = await startSession(prisma, created, req);
+    // Возвращаем только токены (без user-объекта)
+    res.status(201).json(tokens);
+  } catch (e) {
+    if (e.code === "P2002")
+      return res.status(409).json({ error: "email is taken" });
+    next(e);
+  }
+});
+
+app.post("/auth/login", async (req, res, next) => {
+  try {
+    const { email, password } = req.body || {};
+    if (!email || !password)
+      return res.status(400).json({ error: "email & password required" });
+
+    const user = await prisma.user.findUnique({
+      where: { email: String(email).toLowerCase() },
+    });
+    // у учёток из HR-импорта пароля нет — по паролю не входят
+    if (!user?.passwordHash)
+      return res.status(401).json({ error: "Invalid credentials" });
+
+    const ok = await bcrypt.compare(password, user.passwordHash);
+    if (!ok) return res.status(401).json({ error: "Invalid credentials" });
+    if (!user.active)
+      return res.status(403).json({ error: "Account is deactivated" });
+
+    await audit(prisma, req, {
+      actor: user.email,
+      action: "login",
+      entity: "User",
+      entityId: user.id,
+    });
+
+    const tokens = await startSession(prisma, user, req);
+    // Только токены, как требует фронт
+    res.json(tokens);
+  } catch (e) {
+    next(e);
+  }
+});
+
+// POST /auth/refresh { refreshToken } -> { accessToken, refreshToken }
+app.post("/auth/refresh", async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (typeof refreshToken !== "string" || !refreshToken)
+      return res.status(400).json({ error: "refreshToken required" });
+
+    const hash = hashToken(refreshToken);
+    const session = await prisma.session.findUnique({
+      where: { tokenHash: hash },
+      include: {
+        user: { select: { id: true, email: true, role: true, active: true } },
+      },
+    });
+
+    if (!session) {
+      // Уже ротированный токен пришёл повторно — считаем его украденным
+      const reused = await prisma.session.findFirst({
+        where: { prevTokenHash: hash, revokedAt: null },
+        select: { id: true },
+      });
+      if (reused)
+        await prisma.session.update({
+          where: { id: reused.id },
+          data: { revokedAt: new Date() },
         });
-        const used = agg._sum.quantity ?? 0;
-        const available = fi.count - used;
-        if (quantity > available) {
-          const err = new Error(`Not enough available. left=${available}`);
-          err.status = 409;
-          throw err;
-        }
+      return res.status(401).json({ error: "Invalid refresh token" });
+    }
+    if (
+      session.revokedAt ||
+      session.expiresAt <= new Date() ||
+      !session.user.active
+    )
+      return res.status(401).json({ error: "Invalid refresh token" });
 
-        const exists = await tx.zoneInventory
-          .findUnique({
-            where: { zoneId_floorInventoryId: { zoneId, floorInventoryId } },
-          })
-          .catch(() => null);
-        if (exists) {
-          const err = new Error("Already attached, use PATCH");
-          err.status = 409;
-          throw err;
-        }
+    const nextToken = crypto.randomBytes(48).toString("base64url");
+    // Условие по tokenHash защищает от двух параллельных ротаций одного токена
+    const rotated = await prisma.session.updateMany({
+      where: { id: session.id, tokenHash: hash, revokedAt: null },
+      data: {
+        tokenHash: hashToken(nextToken),
+        prevTokenHash: hash,
+        lastUsedAt: new Date(),
+      },
+    });
+    if (rotated.count === 0)
+      return res.status(401).json({ error: "Invalid refresh token" });
+
+    const { user } = session;
+    const perms = await userPermissions(prisma, user);
+    res.json({
+      accessToken: signAccessToken(user.email, user.role, perms, session.id),
+      refreshToken: nextToken,
+    });
+  } catch (e) {
+    next(e);
+  }
+});
 
-        return tx.zoneInventory.create({
-          data: { zoneId, floorInventoryId, quantity },
-        });
-      });
+app.get("/me", authRequired, (req, res) => {
+  // отдаём то, что внутри токена (payload)
+  res.json({ user: req.user });
+});
 
-      res.status(201).json(created);
-    } catch (e) {
-      if (e.status) return res.status(e.status).json({ error: e.message });
-      if (e.code === "P2002")
-        return res
-          .status(409)
-          .json({ error: "Duplicate (zoneId,floorInventoryId)" });
-      next(e);
-    }
+// Отзывает текущую сессию: и refresh, и все access-токены с этим sid
+app.post("/auth/logout", authRequired, async (req, res, next) => {
+  try {
+    await prisma.session.updateMany({
+      where: { id: req.user.sid, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+    await audit(prisma, req, {
+      action: "logout",
+      entity: "Session",
+      entityId: req.user.sid,
+    });
+    res.json({ message: "Logged out" });
+  } catch (e) {
+    next(e);
   }
-);
+});
+
+// POST /auth/logout-all -> { revoked } — выход со всех устройств
+app.post("/auth/logout-all", authRequired, async (req, res, next) => {
+  try {
+    const user = await currentUser(req);
+    if (!user) return res.status(401).json({ error: "Unknown user" });
+    const { count } = await revokeUserSessions(prisma, user.id);
+    await audit(prisma, req, {
+      action: "logout-all",
+      entity: "User",
+      entityId: user.id,
+      after: { revoked: count },
+    });
+    res.json({ revoked: count });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// GET /auth/sessions -> { sessions:[{id, createdAt, lastUsedAt, expiresAt, userAgent, current}] }
+app.get("/auth/sessions", authRequired, async (req, res, next) => {
+  try {
+    const user = await currentUser(req);
+    if (!user) return res.status(401).json({ error: "Unknown user" });
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: user.id,
+        revokedAt: null,
+        expiresAt: { gt: new Date() },
+      },
+      select: {
+        id: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true,
+        userAgent: true,
+      },
+      orderBy: { id: "desc" },
+    });
+    res.json({
+      sessions: sessions.map((s) => ({ ...s, current: s.id === req.user.sid })),
+    });
+  } catch (e) {
+    next(e);
+  }
+});
 
+// PATCH /auth/users/:id/role { role } -> { id, email, role }
+// Все сессии пользователя отзываются: роль зашита в выданные токены
 app.patch(
-  "/offices/:officeId/floors/:floorId/zones/:zoneId/inventory/:id",
+  "/auth/users/:id/role",
   authRequired,
+  requirePermission("user:manage"),
   async (req, res, next) => {
     try {
       const id = Number(req.params.id);
-      const { quantity } = req.body || {};
+      const { role } = req.body || {};
       if (!Number.isInteger(id))
         return res.status(400).json({ error: "Invalid id" });
-      if (!Number.isInteger(quantity) || quantity < 0)
-        return res.status(400).json({ error: "quantity must be int >= 0" });
+      if (!["USER", "WORKSPACE_ADMIN", "PROJECT_ADMIN"].includes(role))
+        return res.status(400).json({
+          error: "role must be USER, WORKSPACE_ADMIN or PROJECT_ADMIN",
+        });
+
+      const before = await prisma.user.findUnique({
+        where: { id },
+        select: { id: true, email: true, role: true },
+      });
+      if (!before) return res.status(404).json({ error: "User not found" });
 
       const updated = await prisma.$transaction(async (tx) => {
-        const row = await tx.zoneInventory.findUnique({
+        const user = await tx.user.update({
           where: { id },
-          include: { floorInventory: true },
+          data: { role },
+          select: { id: true, email: true, role: true },
         });
-        if (!row) throw Object.assign(new Error("Not found"), { status: 404 });
-
-        const agg = await tx.zoneInventory.aggregate({
-          where: { floorInventoryId: row.floorInventoryId, NOT: { id } },
-          _sum: { quantity: true },
+        await revokeUserSessions(tx, id);
+        await audit(tx, req, {
+          action: "update",
+          entity: "User",
+          entityId: id,
+          before,
+          after: user,
         });
-        const usedOthers = agg._sum.quantity ?? 0;
-        const availableForThis = row.floorInventory.count - usedOthers;
-        if (quantity > availableForThis) {
-          const err = new Error(
-            `Not enough available. left=${availableForThis}`
-          );
-          err.status = 409;
-          throw err;
-        }
-
-        return tx.zoneInventory.update({ where: { id }, data: { quantity } });
+        return user;
       });
-
       res.json(updated);
     } catch (e) {
-      if (e.status) return res.status(e.status).json({ error: e.message });
       next(e);
     }
   }
 );
 
-app.delete(
-  "/offices/:officeId/floors/:floorId/zones/:zoneId/inventory/:id",
+// ============ PERMISSIONS ============
+// GET /auth/permissions -> { permissions:[...], roles:{ USER:[...], ... } }
+app.get("/auth/permissions", authRequired, (_req, res) => {
+  res.json({ permissions: PERMISSIONS, roles: ROLE_PERMISSIONS });
+});
+
+// GET /auth/users/:id/permissions -> { userId, role, overrides:[{permission, granted}], effective:[...] }
+app.get(
+  "/auth/users/:id/permissions",
   authRequired,
+  requirePermission("user:manage"),
   async (req, res, next) => {
     try {
       const id = Number(req.params.id);
       if (!Number.isInteger(id))
         return res.status(400).json({ error: "Invalid id" });
-      await prisma.zoneInventory.delete({ where: { id } });
-      res.status(204).end();
-    } catch (e) {
-      if (e.code === "P2025")
-        return res.status(404).json({ error: "Not found" });
-      next(e);
-    }
-  }
-);
-
-// ===================== ZONE OBJECTS =====================
-app.get(
-  "/offices/:officeId/floors/:floorId/zones/:zoneId/objects",
-  authRequired,
-  async (req, res, next) => {
-    try {
-      const zoneId = Number(req.params.zoneId);
-      if (!Number.isFinite(zoneId))
-        return res.status(400).json({ error: "Invalid zoneId" });
-
-      const list = await prisma.zoneObject.findMany({
-        where: { zoneId },
-        orderBy: { id: "asc" },
-        include: {
-          zoneInventory: {
-            include: { floorInventory: { include: { catalog: true } } },
+      const user = await prisma.user.findUnique({
+        where: { id },
+        select: {
+          id: true,
+          role: true,
+          permissions: {
+            select: { permission: true, granted: true },
+            orderBy: { permission: "asc" },
           },
         },
       });
-
-      const result = list.map((o) => ({
-        id: o.id,
-        zoneId: o.zoneId,
-        zoneInventoryId: o.zoneInventoryId,
-        x: o.x,
-        y: o.y,
-        rotation: o.rotation,
-        catalog: {
-          id: o.zoneInventory.floorInventory.catalog.id,
-          displayName: o.zoneInventory.floorInventory.catalog.displayName,
-          iconKey: o.zoneInventory.floorInventory.catalog.iconKey,
-          category: o.zoneInventory.floorInventory.catalog.category || null,
-        },
-      }));
-
-      res.json(result);
-    } catch (e) {
-      next(e);
-    }
-  }
-);
-
-app.post(
-  "/offices/:officeId/floors/:floorId/zones/:zoneId/objects",
-  authRequired,
-  async (req, res, next) => {
-    try {
-      const zoneId = Number(req.params.zoneId);
-      const { zoneInventoryId, x, y, rotation } = req.body || {};
-      if (!Number.isFinite(zoneId))
-        return res.status(400).json({ error: "Invalid zoneId" });
-      if (!Number.isInteger(zoneInventoryId))
-        return res
-          .status(400)
-          .json({ error: "zoneInventoryId required (int)" });
-      if (typeof x !== "number" || typeof y !== "number")
-        return res.status(400).json({ error: "x and y must be numbers" });
-
-      const created = await prisma.$transaction(async (tx) => {
-        const zi = await tx.zoneInventory.findUnique({
-          where: { id: zoneInventoryId },
-          select: { id: true, zoneId: true },
-        });
-        if (!zi)
-          throw Object.assign(new Error("Zone inventory not found"), {
-            status: 404,
-          });
-        if (zi.zoneId !== zoneId) {
-          const err = new Error("zoneInventoryId does not belong to this zone");
-          err.status = 400;
-          throw err;
-        }
-
-        await tx.zoneInventory.update({
-          where: { id: zoneInventoryId },
-          data: { quantity: { increment: 1 } },
-        });
-
-        const obj = await tx.zoneObject.create({
-          data: {
-            zoneId,
-            zoneInventoryId,
-            x,
-            y,
-            rotation: typeof rotation === "number" ? rotation : 0,
-          },
-        });
-
-        return obj;
+      if (!user) return res.status(404).json({ error: "User not found" });
+      res.json({
+        userId: user.id,
+        role: user.role,
+        overrides: user.permissions,
+        effective: effectivePermissions(user.role, user.permissions),
       });
-
-      res.status(201).json(created);
     } catch (e) {
-      if (e.status) return res.status(e.status).json({ error: e.message });
       next(e);
     }
   }
 );
 
-app.patch(
-  "/offices/:officeId/floors/:floorId/zones/:zoneId/objects/:id",
+// PUT /auth/users/:id/permissions { grant:[...], deny:[...] } -> как GET
+// Полностью заменяет переопределения; сессии пользователя отзываются,
+// чтобы новые права попали в токен
+app.put(
+  "/auth/users/:id/permissions",
   authRequired,
+  requirePermission("user:manage"),
   async (req, res, next) => {
     try {
-      const zoneId = Number(req.params.zoneId);
       const id = Number(req.params.id);
-      if (!Number.isFinite(zoneId) || !Number.isFinite(id))
-        return res.status(400).json({ error: "Invalid ids" });
-
-      const { x, y, rotation } = req.body || {};
-      const data = {};
-      if (x != null) {
-        if (typeof x !== "number")
-          return res.status(400).json({ error: "x must be number" });
-        data.x = x;
-      }
-      if (y != null) {
-        if (typeof y !== "number")
-          return res.status(400).json({ error: "y must be number" });
-        data.y = y;
-      }
-      if (rotation != null) {
-        if (typeof rotation !== "number")
-          return res.status(400).json({ error: "rotation must be number" });
-        data.rotation = rotation;
-      }
-      if (Object.keys(data).length === 0)
-        return res.status(400).json({ error: "No fields to update" });
-
-      const obj = await prisma.zoneObject.findUnique({
-        where: { id },
-        select: { zoneId: true },
-      });
-      if (!obj) return res.status(404).json({ error: "Object not found" });
-      if (obj.zoneId !== zoneId)
+      const { grant = [], deny = [] } = req.body || {};
+      if (!Number.isInteger(id))
+        return res.status(400).json({ error: "Invalid id" });
+      if (!Array.isArray(grant) || !Array.isArray(deny))
+        return res.status(400).json({ error: "grant and deny must be arrays" });
+      const unknown = [...grant, ...deny].filter(
+        (p) => !PERMISSIONS.includes(p)
+      );
+      if (unknown.length)
         return res
           .status(400)
-          .json({ error: "Object does not belong to this zone" });
+          .json({ error: `Unknown permissions: ${unknown.join(", ")}` });
+      if (grant.some((p) => deny.includes(p)))
+        return res
+          .status(400)
+          .json({ error: "Permission cannot be granted and denied at once" });
 
-      const updated = await prisma.zoneObject.update({ where: { id }, data });
-      res.json(updated);
-    } catch (e) {
-      next(e);
-    }
-  }
-);
+      const user = await prisma.user.findUnique({
+        where: { id },
+        select: {
+          id: true,
+          role: true,
+          permissions: { select: { permission: true, granted: true } },
+        },
+      });
+      if (!user) return res.status(404).json({ error: "User not found" });
 
-app.delete(
-  "/offices/:officeId/floors/:floorId/zones/:zoneId/objects/:id",
-  authRequired,
-  async (req, res, next) => {
-    try {
-      const zoneId = Number(req.params.zoneId);
-      const id = Number(req.params.id);
-      if (!Number.isFinite(zoneId) || !Number.isFinite(id))
-        return res.status(400).json({ error: "Invalid ids" });
+      const overrides = [...new Set(grant)].map((permission) => ({
+        permission,
+        granted: true,
+      }));
+      for (const permission of new Set(deny))
+        overrides.push({ permission, granted: false });
 
       await prisma.$transaction(async (tx) => {
-        const obj = await tx.zoneObject.findUnique({
-          where: { id },
-          select: { zoneId: true, zoneInventoryId: true },
-        });
-        if (!obj)
-          throw Object.assign(new Error("Object not found"), { status: 404 });
-        if (obj.zoneId !== zoneId) {
-          const err = new Error("Object does not belong to this zone");
-          err.status = 400;
-          throw err;
-        }
-
-        await tx.zoneObject.delete({ where: { id } });
-
-        await tx.zoneInventory
-          .update({
-            where: { id: obj.zoneInventoryId },
-            data: { quantity: { decrement: 1 } },
-          })
-          .catch(async (e) => {
-            const zi = await tx.zoneInventory.findUnique({
-              where: { id: obj.zoneInventoryId },
-              select: { quantity: true },
-            });
-            if (zi && zi.quantity > 0) throw e;
+        await tx.userPermission.deleteMany({ where: { userId: id } });
+        if (overrides.length)
+          await tx.userPermission.createMany({
+            data: overrides.map((o) => ({ ...o, userId: id })),
           });
+        await revokeUserSessions(tx, id);
+        await audit(tx, req, {
+          action: "update",
+          entity: "UserPermission",
+          entityId: id,
+          before: user.permissions,
+          after: overrides,
+        });
       });
 
-      res.status(204).end();
+      res.json({
+        userId: id,
+        role: user.role,
+        overrides,
+        effective: effectivePermissions(user.role, overrides),
+      });
     } catch (e) {
-      if (e.status) return res.status(e.status).json({ error: e.message });
-      if (e.code === "P2025")
-        return res.status(404).json({ error: "Object not found" });
       next(e);
     }
   }
 );
 
-// ============ AUTH (переписано под новый токен) ============
-app.get(
-  "/auth/users",
-  authRequired,
-  requireRole("WORKSPACE_ADMIN", "PROJECT_ADMIN"),
-  async (req, res, next) => {
-    try {
-      const { q, limit = "50", offset = "0" } = req.query;
+// ============ EMPLOYEE DIRECTORY (HR-импорт) ============
+// CSV или LDIF выгрузка из HR: имя, email, отдел, офис по умолчанию, место (имя зоны).
+// Импорт сравнивает файл с базой и выдаёт diff create/update/deactivate; с dryRun
+// ничего не пишет. Повторный прогон того же файла изменений не даёт.
+// Деактивируются только учётки, созданные импортом (directorySource), и только
+// при deactivateMissing. Созданные учётки — без пароля: вход по паролю им закрыт.
+const DIRECTORY_SOURCE = "hr-import";
 
-      const take = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
-      const skip = Math.max(parseInt(offset, 10) || 0, 0);
+const directoryUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+});
 
-      const where = q
-        ? {
-            email: {
-              contains: String(q),
-              mode: "insensitive",
-            },
-          }
-        : undefined;
+// Заголовки CSV и атрибуты LDIF -> поля записи
+const DIRECTORY_FIELDS = {
+  email: ["email", "mail", "e-mail"],
+  name: ["name", "cn", "displayname", "fullname", "full name"],
+  department: ["department", "departmentnumber", "ou", "dept"],
+  office: ["office", "defaultoffice", "physicaldeliveryofficename", "l"],
+  seat: ["seat", "desk", "zone", "roomnumber"],
+};
 
-      const [users, total] = await Promise.all([
-        prisma.user.findMany({
-          where,
-          select: { id: true, email: true, role: true },
-          orderBy: { id: "desc" }, // стабильный порядок без предположений о createdAt
-          skip,
-          take,
-        }),
-        prisma.user.count({ where }),
-      ]);
+function directoryField(key) {
+  const k = key.trim().toLowerCase();
+  return Object.keys(DIRECTORY_FIELDS).find((f) =>
+    DIRECTORY_FIELDS[f].includes(k)
+  );
+}
 
-      res.json({
-        users,
-      });
-    } catch (e) {
-      next(e);
+// RFC 4180: кавычки, "" внутри кавычек, переводы строк в поле. Разделитель , или ;
+function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const sep =
+    (firstLine.match(/;/g) ?? []).length > (firstLine.match(/,/g) ?? []).length
+      ? ";"
+      : ",";
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === sep) {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += c;
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((v) => v.trim()));
+}
+
+// -> [{ line, email, name, department, office, seat }]
+function directoryFromCsv(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ""));
+  if (!header) return [];
+  const fields = header.map(directoryField);
+  if (!fields.includes("email"))
+    throw Object.assign(new Error("CSV header must contain an email column"), {
+      status: 400,
+    });
+  return rows.map((r, i) => {
+    const rec = { line: i + 2 };
+    fields.forEach((f, j) => {
+      if (f && r[j] != null && rec[f] == null) rec[f] = r[j].trim();
+    });
+    return rec;
+  });
+}
+
+// LDIF (RFC 2849): записи через пустую строку, перенос — строка с пробела,
+// "attr:: base64". Записи без mail (OU, группы) пропускаются.
+function directoryFromLdif(text) {
+  const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+  const entries = [];
+  let current = null;
+  let lineNo = 0;
+  const unfolded = [];
+  for (const l of lines) {
+    lineNo++;
+    if (l.startsWith(" ") && unfolded.length)
+      unfolded[unfolded.length - 1].text += l.slice(1);
+    else unfolded.push({ text: l, line: lineNo });
+  }
+  for (const { text: l, line } of unfolded) {
+    if (!l.trim()) {
+      if (current) entries.push(current);
+      current = null;
+      continue;
     }
+    if (l.startsWith("#")) continue;
+    const m = l.match(/^([A-Za-z0-9;-]+)(::?)\s?(.*)$/);
+    if (!m) continue;
+    const attr = m[1].split(";")[0];
+    const value =
+      m[2] === "::" ? Buffer.from(m[3], "base64").toString("utf8") : m[3];
+    if (attr.toLowerCase() === "dn") {
+      if (current) entries.push(current);
+      current = { line };
+      continue;
+    }
+    current ??= { line };
+    const f = directoryField(attr);
+    if (f && current[f] == null) current[f] = value.trim();
   }
-);
+  if (current) entries.push(current);
+  return entries.filter((e) => e.email);
+}
 
-app.post("/auth/register", async (req, res, next) => {
-  try {
-    const { email, password, role } = req.body || {};
-    if (typeof email !== "string" || !email.includes("@"))
-      return res.status(400).json({ error: "valid email required" });
-    if (typeof password !== "string" || password.length < 6)
-      return res.status(400).json({ error: "password must be >= 6 chars" });
+function parseDirectoryFile(file) {
+  const text = file.buffer.toString("utf8");
+  const isLdif =
+    /\.ldif$/i.test(file.originalname) ||
+    /ldif/i.test(file.mimetype) ||
+    /^\s*(#.*\n\s*)*(version:\s*1\s*\n\s*)?dn:/i.test(text);
+  return isLdif ? directoryFromLdif(text) : directoryFromCsv(text);
+}
 
-    const usersCount = await prisma.user.count();
-    // Первый зарегистрированный юзер — даём PROJECT_ADMIN (или USER, если хочешь строже)
-    const allowed = ["USER", "WORKSPACE_ADMIN", "PROJECT_ADMIN"];
-    const finalRole =
-      usersCount === 0
-        ? "PROJECT_ADMIN"
-        : allowed.includes(role)
-        ? role
-        : "USER";
+/**
+ * Сравнивает записи файла с базой. Ничего не пишет.
+ * -> { create, update, deactivate, seats, unchanged, errors }
+ */
+async function planDirectoryImport(db, records, { deactivateMissing }) {
+  const errors = [];
+  const seen = new Set();
+  const valid = [];
+  for (const r of records) {
+    const email = r.email?.toLowerCase();
+    if (!email || !/^[^\s@]+@[^\s@]+$/.test(email)) {
+      errors.push({
+        line: r.line,
+        email: r.email ?? null,
+        error: "invalid email",
+      });
+      continue;
+    }
+    if (seen.has(email)) {
+      errors.push({ line: r.line, email, error: "duplicate email in file" });
+      continue;
+    }
+    seen.add(email);
+    valid.push({ ...r, email });
+  }
 
-    const hash = await bcrypt.hash(password, 10);
-    const created = await prisma.user.create({
-      data: {
-        email: email.trim().toLowerCase(),
-        passwordHash: hash,
-        role: finalRole,
+  const [users, offices] = await Promise.all([
+    db.user.findMany({
+      where: {
+        OR: [
+          { email: { in: valid.map((r) => r.email) } },
+          { directorySource: DIRECTORY_SOURCE, active: true },
+        ],
       },
-      select: { email: true, role: true },
-    });
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        department: true,
+        defaultOfficeId: true,
+        active: true,
+        directorySource: true,
+      },
+    }),
+    db.office.findMany({ select: { id: true, name: true } }),
+  ]);
+  const userByEmail = new Map(users.map((u) => [u.email, u]));
+  const officeByKey = new Map();
+  for (const o of offices) {
+    officeByKey.set(String(o.id), o);
+    officeByKey.set(o.name.trim().toLowerCase(), o);
+  }
 
-    const accessToken = signAccessToken(created.email, created.role, []);
-    // Возвращаем только токен (без user-объекта)
-    res.status(201).json({ accessToken });
-  } catch (e) {
-    if (e.code === "P2002")
-      return res.status(409).json({ error: "email is taken" });
-    next(e);
+  // места: зоны типа desk в офисах из файла, по имени без учёта регистра
+  const seatOfficeIds = new Set();
+  const rows = [];
+  for (const r of valid) {
+    let officeId = null;
+    if (r.office) {
+      const office = officeByKey.get(r.office.trim().toLowerCase());
+      if (!office) {
+        errors.push({
+          line: r.line,
+          email: r.email,
+          error: `unknown office: ${r.office}`,
+        });
+        continue;
+      }
+      officeId = office.id;
+    }
+    if (r.seat && officeId == null) {
+      errors.push({
+        line: r.line,
+        email: r.email,
+        error: "seat requires office",
+      });
+      continue;
+    }
+    if (r.seat) seatOfficeIds.add(officeId);
+    rows.push({ ...r, officeId });
   }
-});
+  const desks = seatOfficeIds.size
+    ? await db.zone.findMany({
+        where: {
+          typeId: { in: SEAT_ZONE_TYPES },
+          floor: { officeId: { in: [...seatOfficeIds] } },
+        },
+        select: {
+          id: true,
+          name: true,
+          floorId: true,
+          floor: { select: { officeId: true } },
+          seats: {
+            where: { kind: "permanent", ...activeSeatWhere(new Date()) },
+            select: { id: true, user: { select: { email: true } } },
+          },
+        },
+      })
+    : [];
+  const desksByName = new Map();
+  for (const d of desks) {
+    const key = `${d.floor.officeId}:${d.name.trim().toLowerCase()}`;
+    desksByName.set(key, [...(desksByName.get(key) ?? []), d]);
+  }
+  const currentSeats = users.length
+    ? await db.seatAssignment.findMany({
+        where: {
+          userId: { in: users.map((u) => u.id) },
+          kind: "permanent",
+          ...activeSeatWhere(new Date()),
+        },
+        select: { id: true, userId: true, zoneId: true },
+      })
+    : [];
+  const seatByUser = new Map(currentSeats.map((s) => [s.userId, s]));
 
-app.post("/auth/login", async (req, res, next) => {
-  try {
-    const { email, password } = req.body || {};
-    if (!email || !password)
-      return res.status(400).json({ error: "email & password required" });
+  const plan = {
+    create: [],
+    update: [],
+    deactivate: [],
+    seats: [],
+    unchanged: 0,
+    errors,
+  };
+  for (const r of rows) {
+    const user = userByEmail.get(r.email);
+    const fields = {
+      name: r.name || null,
+      department: r.department || null,
+      defaultOfficeId: r.officeId,
+    };
+    let changed = !user;
+    if (!user) plan.create.push({ line: r.line, email: r.email, ...fields });
+    else {
+      const changes = {};
+      for (const [k, v] of Object.entries(fields))
+        if (user[k] !== v) changes[k] = { from: user[k], to: v };
+      if (!user.active) changes.active = { from: false, to: true };
+      if (Object.keys(changes).length) {
+        plan.update.push({
+          line: r.line,
+          email: r.email,
+          userId: user.id,
+          changes,
+        });
+        changed = true;
+      }
+    }
+    if (!r.seat) {
+      if (!changed) plan.unchanged++;
+      continue;
+    }
 
-    const user = await prisma.user.findUnique({
-      where: { email: String(email).toLowerCase() },
+    const matches =
+      desksByName.get(`${r.officeId}:${r.seat.trim().toLowerCase()}`) ?? [];
+    if (matches.length !== 1) {
+      errors.push({
+        line: r.line,
+        email: r.email,
+        error: matches.length
+          ? `seat "${r.seat}" is ambiguous in office`
+          : `seat "${r.seat}" not found among desks of office`,
+      });
+      continue;
+    }
+    const desk = matches[0];
+    const current = user ? seatByUser.get(user.id) : null;
+    if (current?.zoneId === desk.id) {
+      if (!changed) plan.unchanged++;
+      continue;
+    }
+    const holder = desk.seats[0]?.user.email;
+    if (holder && holder !== r.email) {
+      errors.push({
+        line: r.line,
+        email: r.email,
+        error: `seat "${r.seat}" is assigned to ${holder}`,
+      });
+      continue;
+    }
+    plan.seats.push({
+      email: r.email,
+      zoneId: desk.id,
+      floorId: desk.floorId,
+      seat: desk.name,
+      releaseAssignmentId: current?.id ?? null,
     });
-    if (!user) return res.status(401).json({ error: "Invalid credentials" });
+  }
 
-    const ok = await bcrypt.compare(password, user.passwordHash);
-    if (!ok) return res.status(401).json({ error: "Invalid credentials" });
+  if (deactivateMissing)
+    for (const u of users)
+      if (
+        u.directorySource === DIRECTORY_SOURCE &&
+        u.active &&
+        !seen.has(u.email)
+      )
+        plan.deactivate.push({ email: u.email, userId: u.id });
+  return plan;
+}
 
-    const accessToken = signAccessToken(user.email, user.role, []);
-    // Только токен, как требует фронт
-    res.json({ accessToken });
-  } catch (e) {
-    next(e);
+// Применяет план в транзакции
+async function applyDirectoryImport(tx, req, plan) {
+  const now = new Date();
+  const ensureMembership = (userId, officeId) =>
+    officeId == null
+      ? null
+      : tx.officeMembership.upsert({
+          where: { userId_officeId: { userId, officeId } },
+          update: {},
+          create: { officeId, userId, role: "viewer" },
+        });
+
+  for (const c of plan.create) {
+    const user = await tx.user.create({
+      data: {
+        email: c.email,
+        name: c.name,
+        department: c.department,
+        defaultOfficeId: c.defaultOfficeId,
+        directorySource: DIRECTORY_SOURCE,
+      },
+      select: { id: true },
+    });
+    await ensureMembership(user.id, c.defaultOfficeId);
   }
-});
+  for (const u of plan.update) {
+    const data = Object.fromEntries(
+      Object.entries(u.changes).map(([k, v]) => [k, v.to])
+    );
+    if (data.active) data.deactivatedAt = null;
+    await tx.user.update({ where: { id: u.userId }, data });
+    if (u.changes.defaultOfficeId)
+      await ensureMembership(u.userId, u.changes.defaultOfficeId.to);
+  }
+  for (const d of plan.deactivate) {
+    await tx.user.update({
+      where: { id: d.userId },
+      data: { active: false, deactivatedAt: now },
+    });
+    await revokeUserSessions(tx, d.userId);
+    await tx.seatAssignment.updateMany({
+      where: { userId: d.userId, ...activeSeatWhere(now) },
+      data: { endsAt: now },
+    });
+  }
+  for (const s of plan.seats) {
+    if (s.releaseAssignmentId)
+      await tx.seatAssignment.update({
+        where: { id: s.releaseAssignmentId },
+        data: { endsAt: now },
+      });
+    const user = await tx.user.findUnique({
+      where: { email: s.email },
+      select: { id: true },
+    });
+    await tx.$queryRaw`SELECT id FROM "Zone" WHERE id = ${s.zoneId} FOR UPDATE`;
+    const taken = await tx.seatAssignment.findFirst({
+      where: { zoneId: s.zoneId, ...seatOverlapWhere(now, null) },
+      select: { id: true },
+    });
+    if (taken)
+      throw Object.assign(
+        new Error(`seat "${s.seat}" was assigned concurrently, re-run import`),
+        { status: 409 }
+      );
+    await tx.seatAssignment.create({
+      data: {
+        userId: user.id,
+        zoneId: s.zoneId,
+        kind: "permanent",
+        startsAt: now,
+        note: "directory import",
+        assignedBy: req.user.sub,
+      },
+    });
+  }
+}
 
-app.get("/me", authRequired, (req, res) => {
-  // отдаём то, что внутри токена (payload)
-  res.json({ user: req.user });
-});
+// POST /directory/import?dryRun=1&deactivateMissing=1 (multipart file: CSV или LDIF)
+// -> { dryRun, summary:{create, update, deactivate, seats, unchanged, errors}, create, update, deactivate, seats, errors }
+// Строки с ошибками пропускаются, остальное применяется (без dryRun).
+app.post(
+  "/directory/import",
+  authRequired,
+  requirePermission("user:manage"),
+  directoryUpload.single("file"),
+  async (req, res, next) => {
+    try {
+      if (!req.file) return res.status(400).json({ error: "file is required" });
+      const flag = (v) => v === "1" || v === "true";
+      const dryRun = flag(req.query.dryRun ?? req.body?.dryRun);
+      const deactivateMissing = flag(
+        req.query.deactivateMissing ?? req.body?.deactivateMissing
+      );
 
-app.post("/auth/logout", authRequired, async (_req, res) => {
-  // Без refresh/tokenVersion отозвать access невозможно — клиент сам забывает токен
-  res.json({ message: "Logged out" });
-});
+      const records = parseDirectoryFile(req.file);
+      if (!records.length)
+        return res.status(400).json({ error: "No employees found in file" });
+
+      const result = await prisma.$transaction(
+        async (tx) => {
+          const plan = await planDirectoryImport(tx, records, {
+            deactivateMissing,
+          });
+          if (dryRun) return plan;
+          await applyDirectoryImport(tx, req, plan);
+          await audit(tx, req, {
+            action: "import",
+            entity: "UserDirectory",
+            after: {
+              file: req.file.originalname,
+              create: plan.create.map((c) => c.email),
+              update: plan.update.map((u) => u.email),
+              deactivate: plan.deactivate.map((d) => d.email),
+              seats: plan.seats.map((s) => s.email),
+              errors: plan.errors.length,
+            },
+          });
+          return plan;
+        },
+        { timeout: 120_000 }
+      );
+
+      for (const s of dryRun ? [] : result.seats)
+        publishFloorEvent(req, s.floorId, "seat.assigned", {
+          zoneId: s.zoneId,
+          email: s.email,
+        });
+      res.json({
+        dryRun,
+        summary: {
+          create: result.create.length,
+          update: result.update.length,
+          deactivate: result.deactivate.length,
+          seats: result.seats.length,
+          unchanged: result.unchanged,
+          errors: result.errors.length,
+        },
+        create: result.create,
+        update: result.update,
+        deactivate: result.deactivate,
+        seats: result.seats.map(({ releaseAssignmentId, ...s }) => s),
+        errors: result.errors,
+      });
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      next(e);
+    }
+  }
+);
 
 // ============ OFFICES CRUD ============
-app.get("/offices", authRequired, async (_req, res, next) => {
+// Обычный пользователь видит только офисы, где у него есть членство
+app.get("/offices", authRequired, async (req, res, next) => {
   try {
+    const where = req.user.perms?.includes("office:access-all")
+      ? undefined
+      : { memberships: { some: { user: { email: String(req.user.sub) } } } };
     const offices = await prisma.office.findMany({
+      where,
       orderBy: [{ country: "asc" }, { city: "asc" }, { name: "asc" }],
       select: {
         id: true,
@@ -1199,7 +9729,7 @@ app.get("/offices", authRequired, async (_req, res, next) => {
 app.post(
   "/offices",
   authRequired,
-  requireRole("WORKSPACE_ADMIN", "PROJECT_ADMIN"),
+  requirePermission("office:manage"),
   async (req, res, next) => {
     try {
       const { name, address, city, country } = req.body || {};
@@ -1219,7 +9749,20 @@ app.post(
           city: city.trim(),
           country: country.trim(),
         },
-        select: { id: true },
+        select: {
+          id: true,
+          name: true,
+          address: true,
+          city: true,
+          country: true,
+        },
+      });
+      await audit(prisma, req, {
+        action: "create",
+        entity: "Office",
+        entityId: created.id,
+        officeId: created.id,
+        after: created,
       });
       res.status(201).json({ id: created.id });
     } catch (e) {
@@ -1231,7 +9774,7 @@ app.post(
 app.put(
   "/offices/:id",
   authRequired,
-  requireRole("WORKSPACE_ADMIN", "PROJECT_ADMIN"),
+  requirePermission("office:manage"),
   async (req, res, next) => {
     try {
       const id = Number(req.params.id);
@@ -1247,7 +9790,17 @@ app.put(
       if (Object.keys(data).length === 0)
         return res.status(400).json({ error: "No fields to update" });
 
-      await prisma.office.update({ where: { id }, data });
+      const before = await prisma.office.findUnique({ where: { id } });
+      if (!before) return res.status(404).json({ error: "Office not found" });
+      const after = await prisma.office.update({ where: { id }, data });
+      await audit(prisma, req, {
+        action: "update",
+        entity: "Office",
+        entityId: id,
+        officeId: id,
+        before,
+        after,
+      });
       res.json({ updated: true });
     } catch (e) {
       if (e.code === "P2025")
@@ -1260,7 +9813,7 @@ app.put(
 app.delete(
   "/offices/:id",
   authRequired,
-  requireRole("WORKSPACE_ADMIN", "PROJECT_ADMIN"),
+  requirePermission("office:manage"),
   async (req, res, next) => {
     try {
       const id = Number(req.params.id);
@@ -1273,7 +9826,14 @@ app.delete(
           .status(409)
           .json({ error: "Office has floors, delete them first" });
 
-      await prisma.office.delete({ where: { id } });
+      const removed = await prisma.office.delete({ where: { id } });
+      await audit(prisma, req, {
+        action: "delete",
+        entity: "Office",
+        entityId: id,
+        officeId: id,
+        before: removed,
+      });
       res.status(204).end();
     } catch (e) {
       if (e.code === "P2025")
@@ -1283,6 +9843,179 @@ app.delete(
   }
 );
 
+// ============ OFFICE MEMBERSHIPS ============
+const membershipSelect = {
+  userId: true,
+  officeId: true,
+  role: true,
+  createdAt: true,
+  user: { select: { email: true } },
+};
+
+// GET /offices/:officeId/members -> { members:[{userId, email, role, createdAt}] }
+app.get(
+  "/offices/:officeId/members",
+  authRequired,
+  requireOfficeRole("admin"),
+  async (req, res, next) => {
+    try {
+      const officeId = Number(req.params.officeId);
+      const rows = await prisma.officeMembership.findMany({
+        where: { officeId },
+        select: membershipSelect,
+        orderBy: { userId: "asc" },
+      });
+      res.json({
+        members: rows.map(({ user, ...m }) => ({ ...m, email: user.email })),
+      });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// POST /offices/:officeId/members { userId | email, role } -> membership
+// Повторная выдача меняет роль (upsert)
+app.post(
+  "/offices/:officeId/members",
+  authRequired,
+  requireOfficeRole("admin"),
+  async (req, res, next) => {
+    try {
+      const officeId = Number(req.params.officeId);
+      const { userId, email, role } = req.body || {};
+      if (!Object.keys(OFFICE_ROLE_RANK).includes(role))
+        return res
+          .status(400)
+          .json({ error: "role must be viewer, editor or admin" });
+      if (!Number.isInteger(userId) && typeof email !== "string")
+        return res.status(400).json({ error: "userId or email required" });
+
+      const office = await prisma.office.findUnique({
+        where: { id: officeId },
+        select: { id: true },
+      });
+      if (!office) return res.status(404).json({ error: "Office not found" });
+
+      const user = await prisma.user.findUnique({
+        where: Number.isInteger(userId)
+          ? { id: userId }
+          : { email: email.trim().toLowerCase() },
+        select: { id: true },
+      });
+      if (!user) return res.status(404).json({ error: "User not found" });
+
+      const key = { userId_officeId: { userId: user.id, officeId } };
+      const before = await prisma.officeMembership.findUnique({ where: key });
+      const saved = await prisma.officeMembership.upsert({
+        where: key,
+        create: { userId: user.id, officeId, role },
+        update: { role },
+        select: membershipSelect,
+      });
+      await audit(prisma, req, {
+        action: before ? "update" : "create",
+        entity: "OfficeMembership",
+        entityId: `${user.id}:${officeId}`,
+        before,
+        after: saved,
+      });
+      const { user: u, ...m } = saved;
+      res.status(before ? 200 : 201).json({ ...m, email: u.email });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// DELETE /offices/:officeId/members/:userId -> 204
+app.delete(
+  "/offices/:officeId/members/:userId",
+  authRequired,
+  requireOfficeRole("admin"),
+  async (req, res, next) => {
+    try {
+      const officeId = Number(req.params.officeId);
+      const userId = Number(req.params.userId);
+      if (!Number.isInteger(userId))
+        return res.status(400).json({ error: "Invalid userId" });
+
+      const removed = await prisma.officeMembership.delete({
+        where: { userId_officeId: { userId, officeId } },
+      });
+      await audit(prisma, req, {
+        action: "delete",
+        entity: "OfficeMembership",
+        entityId: `${userId}:${officeId}`,
+        before: removed,
+      });
+      res.status(204).end();
+    } catch (e) {
+      if (e.code === "P2025")
+        return res.status(404).json({ error: "Membership not found" });
+      next(e);
+    }
+  }
+);
+
+// ===================== AUDIT =====================
+// GET /audit?officeId&floorId&entity&entityId&user&action&from&to&limit&offset
+// -> { items:[{id, actor, action, entity, entityId, officeId, floorId, before, after, createdAt}], total }
+app.get(
+  "/audit",
+  authRequired,
+  requirePermission("audit:read"),
+  async (req, res, next) => {
+    try {
+      const {
+        entity,
+        entityId,
+        user,
+        action,
+        limit = "50",
+        offset = "0",
+      } = req.query;
+      const take = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+      const skip = Math.max(parseInt(offset, 10) || 0, 0);
+
+      const where = {};
+      for (const key of ["officeId", "floorId"]) {
+        if (req.query[key] == null) continue;
+        const v = intParam(req.query[key]);
+        if (v == null) return res.status(400).json({ error: `Invalid ${key}` });
+        where[key] = v;
+      }
+      if (entity) where.entity = String(entity);
+      if (entityId) where.entityId = String(entityId);
+      if (action) where.action = String(action);
+      if (user) where.actor = String(user).toLowerCase();
+
+      const from = parseDate(req.query.from);
+      const to = parseDate(req.query.to);
+      if ((req.query.from && !from) || (req.query.to && !to))
+        return res.status(400).json({ error: "from and to must be ISO dates" });
+      if (from || to)
+        where.createdAt = {
+          ...(from ? { gte: from } : {}),
+          ...(to ? { lt: to } : {}),
+        };
+
+      const [items, total] = await Promise.all([
+        prisma.auditLog.findMany({
+          where,
+          orderBy: { id: "desc" },
+          skip,
+          take,
+        }),
+        prisma.auditLog.count({ where }),
+      ]);
+      res.json({ items, total });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
 // ===================== START =====================
 const PORT = Number(process.env.PORT) || 3000;
 app.listen(PORT, () => console.log(`API running http://localhost:${PORT}`));